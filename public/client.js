@@ -2,6 +2,8 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import confetti from 'canvas-confetti'; 
+import { applyMove, legalMoves, initialPosition, rulesOf, seatsOf, parseHouseRules, STANDARD_RULES } from './rules.js';
+import { formatMove, rulesFromHeaders, eliminationsOf, skipsOf, applyTurnChanges } from './notation.js';
 
 
 const isMobile = window.innerWidth <= 768;
@@ -19,19 +21,71 @@ const homeScreen = document.getElementById("homeScreen");
 const createRoomBtn = document.getElementById("createRoomBtn");
 const roomInput = document.getElementById("roomInput");
 const homeNameInput = document.getElementById("homeNameInput");
+const vsBotBtn = document.getElementById("vsBotBtn");
+const botLevelSelect = document.getElementById("botLevelSelect");
+const noHintsCheck = document.getElementById("noHintsCheck");
+const clockSelect = document.getElementById("clockSelect");
+const takebacksSelect = document.getElementById("takebacksSelect");
+const maxMovesSelect = document.getElementById("maxMovesSelect");
+const variantSelect = document.getElementById("variantSelect");
+const playerCountSelect = document.getElementById("playerCountSelect");
+const teamsCheck = document.getElementById("teamsCheck");
+const teamVoteSelect = document.getElementById("teamVoteSelect");
+const firstMoveSelect = document.getElementById("firstMoveSelect");
+const creatorColorSelect = document.getElementById("creatorColorSelect");
+const allowSpectatorsCheck = document.getElementById("allowSpectatorsCheck");
+const spectatorChatCheck = document.getElementById("spectatorChatCheck");
+const houseRulesFields = document.getElementById("houseRulesFields");
+const houseSizeChecks = [...document.querySelectorAll('#houseRulesFields input[name="houseSize"]')];
+const houseCountSelect = document.getElementById("houseCountSelect");
+const houseBoardSelect = document.getElementById("houseBoardSelect");
+const houseWinSelect = document.getElementById("houseWinSelect");
+const houseRulesNote = document.getElementById("houseRulesNote");
+const roomOptionsOverlay = document.getElementById("roomOptionsOverlay");
+const closeRoomOptionsBtn = document.getElementById("closeRoomOptionsBtn");
+const confirmRoomOptionsBtn = document.getElementById("confirmRoomOptionsBtn");
+const seriesSelect = document.getElementById("seriesSelect");
+const swapColorsCheck = document.getElementById("swapColorsCheck");
+const lobbyList = document.getElementById("lobbyList");
+const privateCheck = document.getElementById("privateCheck");
+const passwordInput = document.getElementById("passwordInput");
+const quickMatchBtn = document.getElementById("quickMatchBtn");
+const ratingLabel = document.getElementById("ratingLabel");
+const matchStatus = document.getElementById("matchStatus");
+const matchStatusText = document.getElementById("matchStatusText");
+const cancelMatchBtn = document.getElementById("cancelMatchBtn");
+const profileBtn = document.getElementById("profileBtn");
+const leaderboardBtn = document.getElementById("leaderboardBtn");
+const playerOverlay = document.getElementById("playerOverlay");
+const playerTitle = document.getElementById("playerTitle");
+const playerContent = document.getElementById("playerContent");
+const closePlayerBtn = document.getElementById("closePlayerBtn");
 
 // ゲーム画面用
 const gameScreen = document.getElementById("gameScreen");
 const logEl = document.getElementById('log');
 const meLabel = document.getElementById('meLabel');
 const turnLabel = document.getElementById('turnLabel');
+const clockLabel = document.getElementById('clockLabel');
 const gameStateLabel = document.getElementById('gameStateLabel');
 const currentRoomLabel = document.getElementById('currentRoomLabel');
+const copyInviteBtn = document.getElementById('copyInviteBtn');
 const gameNameInput = document.getElementById('nameInput');
 const boardWrap = document.querySelector('.board-wrap');
 const handContainer = document.getElementById('handContainer');
 const turnCutIn = document.getElementById('turnCutIn');
 const cutinText = document.getElementById('cutinText');
+const hintBtn = document.getElementById('hintBtn');
+const hintCountLabel = document.getElementById('hintCountLabel');
+const undoBtn = document.getElementById('undoBtn');
+const undoCountLabel = document.getElementById('undoCountLabel');
+const seriesLabel = document.getElementById('seriesLabel');
+const roomRulesLabel = document.getElementById('roomRulesLabel');
+const teamRow = document.getElementById('teamRow');
+const teamLabel = document.getElementById('teamLabel');
+const teamVotePanel = document.getElementById('teamVotePanel');
+const teamVoteTimer = document.getElementById('teamVoteTimer');
+const teamVoteList = document.getElementById('teamVoteList');
 // モーダルUI用の要素
 const settingsBtn = document.getElementById('settingsBtn');
 const modalOverlay = document.getElementById('modalOverlay');
@@ -40,6 +94,9 @@ const tabButtons = document.querySelectorAll('.tab-btn');
 const tabPanes = document.querySelectorAll('.tab-pane');
 const modalRestartBtn = document.getElementById('modalRestartBtn');
 const modalLeaveBtn = document.getElementById('modalLeaveBtn');
+const recordDownloadBtn = document.getElementById('recordDownloadBtn');
+const recordImportBtn = document.getElementById('recordImportBtn');
+const recordFileInput = document.getElementById('recordFileInput');
 const toggleHighlightBtn = document.getElementById('toggleHighlightBtn');
 
 // ホーム画面用ボタンの参照
@@ -54,6 +111,24 @@ const resultMessage = document.getElementById('resultMessage');
 const resultContent = document.querySelector('.result-content');
 const resultRestartBtn = document.getElementById('resultRestartBtn');
 const resultCloseBtn = document.getElementById('resultCloseBtn');
+const resultReplayBtn = document.getElementById('resultReplayBtn');
+const resultRating = document.getElementById('resultRating');
+const seriesSummary = document.getElementById('seriesSummary');
+
+// リプレイUIの要素
+const replayBar = document.getElementById('replayBar');
+const replayTitle = document.getElementById('replayTitle');
+const replayExitBtn = document.getElementById('replayExitBtn');
+const replayFirstBtn = document.getElementById('replayFirstBtn');
+const replayPrevBtn = document.getElementById('replayPrevBtn');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayNextBtn = document.getElementById('replayNextBtn');
+const replayLastBtn = document.getElementById('replayLastBtn');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const replayPosLabel = document.getElementById('replayPosLabel');
+const replaySlider = document.getElementById('replaySlider');
+const replayMoveList = document.getElementById('replayMoveList');
+const replayOpenBtn = document.getElementById('replayOpenBtn');
 
 
 // グローバル変数
@@ -64,13 +139,17 @@ let selectedPiece = null;
 let currentRoomID = null; 
 
 let handMeshes = []; 
-const HAND_Z_Blue = 9;   
+const HAND_Z_Blue = 9;     // 3x3 の盤のとき。盤が大きければその分外側に置く (handPosition)
 const HAND_Z_Orange = -9;  
-const HAND_X_START = -7.0; // 広げるために左へずらす
-const HAND_X_GAP = 2.5;    // 間隔を広げる
-let lastSelectedHandX = 0; // 追加: アニメーション開始位置の記憶用
+const HAND_X_Green = 9;    // 3〜4人対局: Green は盤の右、Purple は盤の左に z 方向に並べる
+const HAND_X_Purple = -9;
+const HAND_ROW_WIDTH = 13.5; // 手駒の列の幅 (盤がこれより広ければ盤の幅)
+const HAND_X_GAP = 2.5;    // 間隔を広げる (駒が多くて列に収まらなければ詰める)
+const HAND_GROUP_GAP = 0.5; // サイズごとの区切り
+const HAND_STACK_GAP = 4.5; // 入れ子の山 (ゴブレット) の間隔
+let lastSelectedHandAlong = 0; // 追加: アニメーション開始位置の記憶用 (手駒の列に沿った座標)
 // --- 修正: 手駒スロット管理用の変数 ---
-const handSlots = { Blue: [], Orange: [] }; // スロット情報 { mesh, size, active, slotId } を格納
+const handSlots = { Blue: [], Orange: [], Green: [], Purple: [] }; // スロット情報 { mesh, size, slotId, stack } を格納 (stack は入れ子の山の番号)
 let isHandInitialized = false;      // 初期化フラグ
 let lastPlayedSlotId = null;        // 最後に操作した手駒のID（どの場所を消すか判定用）
 // --- 音声管理 ---
@@ -95,15 +174,64 @@ function playSE(key) {
     }
 }
 
-// 設定値
+// 設定値 (localStorage に保存して次回も引き継ぐ)
+const CONFIG_KEY = 'gg_config';
 let config = {
     highlightMoves: true
 };
+try {
+    config = { ...config, ...JSON.parse(localStorage.getItem(CONFIG_KEY) || '{}') };
+} catch (e) {
+    console.log('Config Load Error:', e);
+}
+
+function saveConfig() {
+    try {
+        localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+    } catch (e) {
+        console.log('Config Save Error:', e);
+    }
+}
+
+// 再接続用のセッション (部屋ごとにサーバーから受け取ったトークンを保存)
+const SESSION_PREFIX = 'gg_session_';
+
+function loadSession(roomID) {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_PREFIX + roomID) || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveSession(roomID, session) {
+    try {
+        if (session) localStorage.setItem(SESSION_PREFIX + roomID, JSON.stringify(session));
+        else localStorage.removeItem(SESSION_PREFIX + roomID);
+    } catch (e) {
+        console.log('Session Save Error:', e);
+    }
+}
 
 // URLパラメータ処理
+// ?room=<ID>&invite=<招待トークン> (招待トークンは非公開の部屋だけ)
 const params = new URLSearchParams(window.location.search);
+let currentInvite = null;
 if (params.get('room')) {
     roomInput.value = params.get('room');
+    // リロード時: この部屋のセッションが残っていれば、そのまま元の席に戻る
+    const session = loadSession(params.get('room'));
+    if (session) {
+        homeNameInput.value = session.name;
+        joinRoom({ room: params.get('room'), name: session.name });
+    }
+}
+
+// 部屋のURL (非公開の部屋なら招待トークン付き)
+function roomUrl(absolute = false) {
+    const query = `?room=${encodeURIComponent(currentRoomID)}`
+        + (currentInvite ? `&invite=${encodeURIComponent(currentInvite)}` : '');
+    return (absolute ? window.location.origin : '') + window.location.pathname + query;
 }
 
 // --- ▼▼▼ 画面遷移・入室ロジック ▼▼▼ ---
@@ -117,47 +245,532 @@ createRoomBtn.addEventListener("click", () => {
         return;
     }
 
-    const joinData = {
-        room: roomVal, 
-        name: nameVal
+    createOrJoinRoom({ room: roomVal, name: nameVal });
+});
+
+// CPU対戦: ルーム名が空ならサーバーに自動生成してもらう
+vsBotBtn.addEventListener("click", () => {
+    const roomVal = roomInput.value.trim();
+    const nameVal = homeNameInput.value.trim();
+
+    if (!nameVal) {
+        alert("プレイヤー名を入力して下さい");
+        return;
+    }
+
+    const joinData = { name: nameVal, vsBot: botLevelSelect.value };
+    if (roomVal) joinData.room = roomVal;
+    createOrJoinRoom(joinData);
+});
+
+// 既にある部屋にはそのまま入り、新しく作るときだけ先に設定を聞く
+let pendingCreate = null; // 設定ダイアログを閉じたあとに送る join のデータ
+
+function createOrJoinRoom(joinData) {
+    if (!joinData.room) {
+        openRoomOptions(joinData);
+        return;
+    }
+    // 非公開の部屋は招待トークンか席のトークンがないと「ない」と返ってくる
+    const { token, invite } = withRoomCredentials(joinData);
+    socket.emit('room_status', { room: joinData.room, token, invite }, (ack) => {
+        if (ack && ack.exists) joinRoom(joinData);
+        else openRoomOptions(joinData);
+    });
+}
+
+function openRoomOptions(joinData) {
+    pendingCreate = joinData;
+    roomOptionsOverlay.classList.remove('hidden');
+}
+
+confirmRoomOptionsBtn.addEventListener('click', () => {
+    roomOptionsOverlay.classList.add('hidden');
+    if (!pendingCreate) return;
+    joinRoom({ ...pendingCreate, create: true, options: readRoomOptions(), ...readRoomAccess() });
+    pendingCreate = null;
+});
+
+closeRoomOptionsBtn.addEventListener('click', () => {
+    roomOptionsOverlay.classList.add('hidden');
+    pendingCreate = null;
+});
+
+// --- プレイヤーの識別とクイックマッチ ---
+// サーバーが発行したプレイヤートークンを保存し、接続するたびに送って同じプレイヤーとして扱ってもらう
+const PLAYER_TOKEN_KEY = 'gg_player';
+let myAccount = null; // { id, name, rating }
+
+function identifyPlayer(name, callback) {
+    let token = null;
+    try {
+        token = localStorage.getItem(PLAYER_TOKEN_KEY);
+    } catch (e) {
+        console.log('Player Token Load Error:', e);
+    }
+    socket.emit('identify', { token, ...(name ? { name } : {}) }, (ack) => {
+        if (!ack || !ack.ok) return;
+        try {
+            localStorage.setItem(PLAYER_TOKEN_KEY, ack.token);
+        } catch (e) {
+            console.log('Player Token Save Error:', e);
+        }
+        myAccount = ack.player;
+        if (!homeNameInput.value.trim() && myAccount.name !== 'Guest') homeNameInput.value = myAccount.name;
+        updateRatingLabel();
+        if (callback) callback();
+    });
+}
+
+function updateRatingLabel() {
+    ratingLabel.textContent = myAccount ? `レート ${myAccount.rating}` : '';
+}
+
+function showMatchStatus(text) {
+    matchStatus.classList.toggle('hidden', !text);
+    matchStatusText.textContent = text || '';
+    quickMatchBtn.disabled = !!text;
+}
+
+quickMatchBtn.addEventListener("click", () => {
+    const nameVal = homeNameInput.value.trim();
+    if (!nameVal) {
+        alert("プレイヤー名を入力して下さい");
+        return;
+    }
+    identifyPlayer(nameVal, () => {
+        socket.emit('quick_match', {}, (ack) => {
+            if (ack && ack.ok) {
+                if (!ack.matched) showMatchStatus('対戦相手を探しています...');
+            } else {
+                alert("エラー: " + (ack && ack.error ? ack.error : "クイックマッチを開始できませんでした"));
+            }
+        });
+    });
+});
+
+cancelMatchBtn.addEventListener("click", () => {
+    socket.emit('cancel_match', {}, () => showMatchStatus(null));
+});
+
+// 相手が見つかった: サーバーが作った部屋に招待トークン付きで入る
+socket.on('match_found', (d) => {
+    showMatchStatus(null);
+    joinRoom({ room: d.roomID, invite: d.invite, name: homeNameInput.value.trim() || myAccount?.name || 'Guest' });
+});
+
+// 組んだ相手が来なかった: 部屋はサーバーが閉じて待ち行列に戻してくれるので、ホーム画面で待つ
+socket.on('match_cancelled', () => {
+    if (currentRoomID) saveSession(currentRoomID, null);
+    currentRoomID = null;
+    currentInvite = null;
+    mySlot = null;
+    toggleScreen(false);
+    window.history.replaceState({}, '', window.location.pathname);
+    showMatchStatus('対戦相手が来なかったため、探し直しています...');
+});
+
+// 長く待っている: CPU 対戦に切り替えるか聞く (断ればそのまま待つ)
+socket.on('match_waiting', (d) => {
+    if (!d || !d.offerBot) return;
+    showMatchStatus('なかなか相手が見つかりません...');
+    if (!confirm("対戦相手が見つかりません。CPUと対戦しますか？")) return;
+    socket.emit('cancel_match', {}, () => {
+        showMatchStatus(null);
+        joinRoom({ name: homeNameInput.value.trim() || myAccount?.name || 'Guest', vsBot: botLevelSelect.value });
+    });
+});
+
+// --- プロフィール・ランキング ---
+// /api/players/:id と /api/leaderboard を表で見せる。最近の対局は ?replay=<gameId> のリンクでリプレイを開く
+const RESULT_TEXT = { win: '勝ち', loss: '負け', draw: '引き分け' };
+
+function openPlayerOverlay(title) {
+    playerTitle.textContent = title;
+    playerContent.innerHTML = '<p class="player-empty">読み込み中...</p>';
+    playerOverlay.classList.remove('hidden');
+}
+
+async function fetchJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+async function showProfile(playerId) {
+    openPlayerOverlay('プロフィール');
+    try {
+        renderProfile(await fetchJson(`/api/players/${encodeURIComponent(playerId)}`));
+    } catch (e) {
+        playerContent.innerHTML = '<p class="player-empty">プロフィールを読み込めませんでした</p>';
+    }
+}
+
+async function showLeaderboard() {
+    openPlayerOverlay('ランキング');
+    try {
+        renderLeaderboard(await fetchJson('/api/leaderboard'));
+    } catch (e) {
+        playerContent.innerHTML = '<p class="player-empty">ランキングを読み込めませんでした</p>';
+    }
+}
+
+function playerLink(id, name) {
+    if (!id) return escapeHtml(name || '-');
+    return `<a data-player="${escapeHtml(id)}">${escapeHtml(name || 'Guest')}</a>`;
+}
+
+function renderProfile(p) {
+    const { wins, losses, draws } = p.stats;
+    const rows = p.recentGames.map(g => `
+        <tr>
+            <td>${new Date(g.time).toLocaleString()}</td>
+            <td>${playerLink(g.opponent.id, g.opponent.name)}</td>
+            <td class="${g.result}">${RESULT_TEXT[g.result]}</td>
+            <td>${g.rated ? `${g.ratingDelta >= 0 ? '+' : ''}${g.ratingDelta}` : '-'}</td>
+            <td>${g.gameId ? `<a href="?replay=${encodeURIComponent(g.gameId)}">🎬</a>` : ''}</td>
+        </tr>`).join('');
+    playerContent.innerHTML = `
+        <div class="profile-summary">
+            <span class="profile-name">${escapeHtml(p.name)}</span>
+            <span class="profile-rating">レート ${p.rating}</span>
+            <span>${wins}勝 ${losses}敗 ${draws}分</span>
+        </div>
+        ${ratingChart(p.ratingHistory)}
+        ${rows ? `<table class="player-table">
+            <tr><th>日時</th><th>相手</th><th>結果</th><th>レート</th><th></th></tr>${rows}
+        </table>` : '<p class="player-empty">まだ対局の記録がありません</p>'}`;
+}
+
+// レーティングの推移を折れ線で (2点以上あるときだけ)
+function ratingChart(history) {
+    if (history.length < 2) return '';
+    const ratings = history.map(h => h.rating);
+    const min = Math.min(...ratings) - 10;
+    const max = Math.max(...ratings) + 10;
+    const points = ratings
+        .map((r, i) => `${(i / (ratings.length - 1) * 100).toFixed(1)},${(100 - (r - min) / (max - min) * 100).toFixed(1)}`)
+        .join(' ');
+    return `<svg class="rating-chart" viewBox="0 0 100 100" preserveAspectRatio="none">
+        <polyline points="${points}" vector-effect="non-scaling-stroke" />
+    </svg>`;
+}
+
+function renderLeaderboard(list) {
+    if (!list.length) {
+        playerContent.innerHTML = '<p class="player-empty">まだレート戦の記録がありません</p>';
+        return;
+    }
+    const rows = list.map(p => `
+        <tr class="${myAccount && p.id === myAccount.id ? 'me' : ''}">
+            <td>${p.rank}</td>
+            <td>${playerLink(p.id, p.name)}</td>
+            <td>${p.rating}</td>
+            <td>${p.wins}勝 ${p.losses}敗 ${p.draws}分</td>
+        </tr>`).join('');
+    playerContent.innerHTML = `<table class="player-table">
+        <tr><th>#</th><th>名前</th><th>レート</th><th>戦績</th></tr>${rows}
+    </table>`;
+}
+
+// 表の中の名前をクリックするとそのプレイヤーのプロフィール
+playerContent.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-player]');
+    if (link) showProfile(link.dataset.player);
+});
+
+profileBtn.addEventListener('click', () => {
+    if (myAccount) showProfile(myAccount.id);
+    else alert('サーバーに接続してからもう一度お試しください');
+});
+leaderboardBtn.addEventListener('click', showLeaderboard);
+closePlayerBtn.addEventListener('click', () => playerOverlay.classList.add('hidden'));
+
+// ?replay=<gameId>: 部屋に入らずに保存された対局をリプレイする (閉じるとホームに戻る)
+if (params.get('replay')) {
+    fetchJson(`/api/games/${encodeURIComponent(params.get('replay'))}`)
+        .then(game => {
+            toggleScreen(true);
+            startReplay(game);
+        })
+        .catch(() => alert('棋譜が見つかりませんでした'));
+}
+
+// 持ち時間のプリセット (サーバーの parseClockOption と同じ形)
+const CLOCK_PRESETS = {
+    none: null,
+    blitz: { mode: 'total', baseMs: 3 * 60 * 1000, incrementMs: 2000 },
+    rapid: { mode: 'total', baseMs: 5 * 60 * 1000, incrementMs: 0 },
+    move30: { mode: 'move', moveMs: 30 * 1000 }
+};
+
+// 部屋の設定を1行で (ゲーム画面で入室した全員に見せる)
+const VARIANT_TEXT = { standard: '3x3', gobblet: 'ゴブレット 4x4' };
+const SIZE_TEXT = { small: '小', medium: '中', large: '大', xlarge: '特大' };
+const FIRST_MOVE_TEXT = { random: '先手ランダム', creator: '作成者が先手', opponent: '相手が先手' };
+
+function describeVariant(o) {
+    if (o.variant === 'custom' && o.houseRules) return describeHouseRules(o.houseRules);
+    return VARIANT_TEXT[o.variant] || o.variant;
+}
+
+// 例: "4x4・3個並べ・小中大特大 各3個"
+function describeHouseRules(rules) {
+    return `${rules.boardSize}x${rules.boardSize}・${rules.winLength}個並べ・`
+        + `${rules.sizes.map(size => SIZE_TEXT[size] || size).join('')} 各${rules.count}個`;
+}
+
+function describeRoomOptions(o) {
+    const clock = !o.clock ? '時計なし'
+        : o.clock.mode === 'move' ? `1手${o.clock.moveMs / 1000}秒`
+        : `${o.clock.baseMs / 60000}分${o.clock.incrementMs ? ` + ${o.clock.incrementMs / 1000}秒` : ''}`;
+    return [
+        describeVariant(o),
+        o.players > 2 ? `${o.players}人対局` : '',
+        o.teams ? `チーム戦 (相談${o.teamVoteMs / 1000}秒)` : '',
+        FIRST_MOVE_TEXT[o.firstMove] || '',
+        clock,
+        o.allowHints ? 'ヒントあり' : 'ヒント禁止',
+        !o.maxTakebacks ? '待った禁止' : o.maxTakebacks >= 99 ? '待った無制限' : `待った${o.maxTakebacks}回`,
+        o.maxMoves ? `${o.maxMoves}手で引き分け` : '',
+        o.rated ? 'レート戦' : '',
+        o.allowSpectators === false ? '観戦不可' : (o.spectatorChat === false ? '観戦者チャット不可' : '')
+    ].filter(Boolean).join(' / ');
+}
+
+// 部屋を新しく作るときだけサーバーが使う設定 (値の検証はサーバーの parseRoomOptions)
+function readRoomOptions() {
+    return {
+        variant: variantSelect.value,
+        houseRules: variantSelect.value === 'custom' ? readHouseRules() : undefined,
+        players: Number(playerCountSelect.value),
+        teams: teamsCheck.checked,
+        teamVoteMs: Number(teamVoteSelect.value),
+        firstMove: firstMoveSelect.value,
+        creatorColor: creatorColorSelect.value,
+        allowSpectators: allowSpectatorsCheck.checked,
+        spectatorChat: spectatorChatCheck.checked,
+        allowHints: !noHintsCheck.checked,
+        clock: CLOCK_PRESETS[clockSelect.value] || null,
+        maxTakebacks: Number(takebacksSelect.value),
+        maxMoves: Number(maxMovesSelect.value),
+        bestOf: Number(seriesSelect.value),
+        swapColors: swapColorsCheck.checked
+    };
+}
+
+// ハウスルール (駒の種類・数・盤の大きさ・勝ちの長さ)。検証はサーバーと同じ parseHouseRules
+function readHouseRules() {
+    return {
+        sizes: houseSizeChecks.filter(check => check.checked).map(check => check.value),
+        count: Number(houseCountSelect.value),
+        boardSize: Number(houseBoardSelect.value),
+        winLength: Number(houseWinSelect.value)
     };
+}
+
+// ルールの選択に合わせてハウスルールの入力欄を出し、ありえない組み合わせなら作成ボタンを止める
+function updateHouseRulesForm() {
+    const custom = variantSelect.value === 'custom';
+    houseRulesFields.classList.toggle('hidden', !custom);
+    if (!custom) {
+        confirmRoomOptionsBtn.disabled = false;
+        return;
+    }
+    const rules = parseHouseRules(readHouseRules());
+    houseRulesNote.textContent = rules
+        ? describeHouseRules(rules)
+        : '駒は2種類以上、並べる数は盤の一辺以下にしてください';
+    houseRulesNote.classList.toggle('error', !rules);
+    confirmRoomOptionsBtn.disabled = !rules;
+}
+
+[variantSelect, houseCountSelect, houseBoardSelect, houseWinSelect, ...houseSizeChecks]
+    .forEach(el => el.addEventListener('change', updateHouseRulesForm));
+updateHouseRulesForm();
+
+// 3〜4人対局では持ち時間・待った・N番勝負・色の入れ替え・チーム戦は使えない。チーム戦も色は入れ替えない (サーバーでも無効にする)
+function updatePlayerCountForm() {
+    const multiplayer = Number(playerCountSelect.value) > 2;
+    [clockSelect, takebacksSelect, seriesSelect, teamsCheck].forEach(el => { el.disabled = multiplayer; });
+    const teams = teamsCheck.checked && !multiplayer;
+    swapColorsCheck.disabled = multiplayer || teams;
+    teamVoteSelect.disabled = !teams;
+}
+playerCountSelect.addEventListener('change', updatePlayerCountForm);
+teamsCheck.addEventListener('change', updatePlayerCountForm);
+updatePlayerCountForm();
+
+// 非公開にする・合言葉 (部屋を新しく作るときだけ使われる)
+function readRoomAccess() {
+    const password = passwordInput.value;
+    return { private: privateCheck.checked, ...(password ? { password } : {}) };
+}
+
+const ACCESS_ERROR_TEXT = {
+    no_room: '部屋が見つかりません (非公開の部屋には招待リンクか合言葉が必要です)',
+    room_taken: 'この名前の部屋はすでにあります。合言葉を知っていれば入力してください',
+    wrong_password: '合言葉が違います',
+    rate_limited: '合言葉を試した回数が多すぎます。しばらく待ってからやり直してください',
+    bad_rules: 'ハウスルールの設定が正しくありません',
+    spectators_disabled: 'この部屋は観戦できません (席が空いていません)'
+};
+
+// 以前この部屋で席についていたなら、トークンを付けて同じ席に戻してもらう
+// 招待URLから開いた部屋なら招待トークンを付ける
+function withRoomCredentials(joinData) {
+    const session = joinData.room ? loadSession(joinData.room) : null;
+    if (session) joinData = { ...joinData, token: session.token };
+    if (joinData.room && joinData.room === params.get('room') && params.get('invite')) {
+        joinData = { ...joinData, invite: params.get('invite') };
+    }
+    return joinData;
+}
+
+function joinRoom(joinData) {
+    const nameVal = joinData.name;
 
     audioFiles.bgm.play().catch(e => console.log('BGM Play Error:', e));
 
+    joinData = withRoomCredentials(joinData);
     socket.emit("join", joinData, (ack) => {
+        // 作ろうとした名前が非公開の部屋で使われている・合言葉が違う: 合言葉を聞いてから、その部屋に入り直す
+        if (ack && (ack.error === 'room_taken' || ack.error === 'wrong_password')) {
+            const password = prompt(ACCESS_ERROR_TEXT[ack.error]);
+            if (password) joinRoom({ room: joinData.room, name: joinData.name, password });
+            return;
+        }
         if (ack && (ack.ok || ack.slot)) {
             mySlot = ack.slot;
-            currentRoomID = roomVal;
+            currentRoomID = ack.roomID || joinData.room;
+            currentInvite = ack.invite || null;
+            saveSession(currentRoomID, ack.token ? { token: ack.token, name: nameVal } : null);
+            if (ack.resumed) addLog('対局に復帰しました');
             
             currentRoomLabel.textContent = currentRoomID;
             gameNameInput.value = nameVal;
             
             addLog(`ルーム「${currentRoomID}」に参加しました (Role: ${mySlot})`);
             if (mySlot === 'spectator') addLog('観戦モードです');
+            if (ack.member) addLog(`${mySlot} チームのメンバーとして参加しました (手はチームの投票で決まります)`);
 
             toggleScreen(true);
 
-            const newUrl = `${window.location.pathname}?room=${encodeURIComponent(currentRoomID)}`;
+            const newUrl = roomUrl();
             window.history.pushState({ path: newUrl }, '', newUrl);
 
         } else {
-            const errorMsg = ack && ack.error ? ack.error : "参加できませんでした";
+            const errorMsg = ack && ack.error ? (ACCESS_ERROR_TEXT[ack.error] || ack.error) : "参加できませんでした";
             alert("エラー: " + errorMsg);
         }
     });
-});
+}
+
+// 通信が切れて自動で再接続したとき、同じ部屋・同じ席に戻る
+function rejoinRoom() {
+    const session = loadSession(currentRoomID);
+    if (!session) return;
+    const joinData = { room: currentRoomID, name: session.name, token: session.token };
+    if (currentInvite) joinData.invite = currentInvite;
+    socket.emit("join", joinData, (ack) => {
+        if (ack && ack.resumed) {
+            addLog('再接続しました');
+        } else if (ack && ack.ok) {
+            mySlot = ack.slot;
+            saveSession(currentRoomID, ack.token ? { token: ack.token, name: session.name } : null);
+            addLog(`再接続しましたが、席は空いていませんでした (Role: ${mySlot})`);
+        }
+    });
+}
 
 function toggleScreen(showGame) {
     if (showGame) {
         homeScreen.style.display = "none";
         gameScreen.style.display = "block";
         onWindowResize();
+        setLobbySubscribed(false);
     } else {
         homeScreen.style.display = "flex";
         gameScreen.style.display = "none";
+        setLobbySubscribed(true);
+    }
+}
+
+// --- ロビー ---
+// ホーム画面を開いている間だけ購読し、部屋が増減するたびに一覧を描き直す
+const LOBBY_STATUS_TEXT = { waiting: '待機中', playing: '対局中', finished: '終局' };
+let lobbySubscribed = false;
+
+function setLobbySubscribed(on) {
+    lobbySubscribed = on;
+    if (on) {
+        socket.emit('lobby_subscribe', {}, (ack) => {
+            if (ack && ack.ok) renderLobby(ack.rooms);
+        });
+    } else {
+        socket.emit('lobby_unsubscribe', {});
+    }
+}
+
+function renderLobby(list) {
+    lobbyList.innerHTML = '';
+    if (!list.length) {
+        lobbyList.innerHTML = '<p class="lobby-empty">公開されている部屋はまだありません</p>';
+        return;
     }
+    list.forEach(room => {
+        const names = Object.keys(room.players)
+            .map(k => room.players[k]
+                ? `${room.players[k].isBot ? '🤖' : ''}${room.players[k].name}${room.players[k].members ? ` +${room.players[k].members}` : ''}`
+                : '(空席)')
+            .join(' vs ');
+        const item = document.createElement('div');
+        item.className = 'lobby-room';
+
+        const info = document.createElement('div');
+        info.className = 'lobby-info';
+        const title = document.createElement('div');
+        title.className = 'lobby-name';
+        title.textContent = room.roomID;
+        const meta = document.createElement('div');
+        meta.className = 'lobby-meta';
+        const variant = [
+            room.options.variant !== 'standard' ? describeVariant(room.options) : '',
+            room.options.players > 2 ? `${room.options.players}人対局` : '',
+            room.options.teams ? 'チーム戦' : ''
+        ].filter(Boolean).map(text => ` ・ ${text}`).join('');
+        meta.textContent = `${names} ・ ${LOBBY_STATUS_TEXT[room.status] || room.status}${variant} ・ 観戦 ${room.spectators}人`;
+        info.append(title, meta);
+
+        const joinBtn = document.createElement('button');
+        joinBtn.className = 'join';
+        joinBtn.textContent = '参加';
+        joinBtn.disabled = room.openSeats === 0 && !room.options.teams; // チーム戦は席が埋まってもメンバーとして入れる
+        joinBtn.addEventListener('click', () => joinFromLobby(room.roomID, false));
+
+        const watchBtn = document.createElement('button');
+        watchBtn.textContent = '観戦';
+        watchBtn.disabled = room.options.allowSpectators === false;
+        watchBtn.addEventListener('click', () => joinFromLobby(room.roomID, true));
+
+        item.append(info, joinBtn, watchBtn);
+        lobbyList.appendChild(item);
+    });
+}
+
+function joinFromLobby(roomID, spectate) {
+    const nameVal = homeNameInput.value.trim();
+    if (!nameVal) {
+        alert("プレイヤー名を入力して下さい");
+        return;
+    }
+    joinRoom(spectate ? { room: roomID, name: nameVal, spectate: true } : { room: roomID, name: nameVal });
 }
 
+socket.on('lobby_update', (list) => {
+    if (lobbySubscribed) renderLobby(list);
+});
+
 
 // --- ▼▼▼ Three.js セットアップ ▼▼▼ ---
 let scene, camera, renderer, raycaster, pointer;
@@ -171,18 +784,31 @@ let selectedMesh = null;
 const COLORS = {
     Blue: 0x1f78b4,
     Orange: 0xef6c00,
+    Green: 0x2e9e4f,
+    Purple: 0x8e44ad,
     board: 0xffffff,
-    selected: 0xfacc15 
-};
-
-const PIECE_SIZES = { 
-    small:  { r: 0.8, h: 2.2 }, 
-    medium: { r: 1.1, h: 3.0 }, 
-    large:  { r: 1.4, h: 3.8 }  
+    selected: 0xfacc15,
+    legal: 0x22c55e,   // 移動可能マス
+    gobble: 0xef4444   // 相手の駒に被せられるマス
 };
+const HIGHLIGHT_OPACITY = 0.35;
+
+// 駒の半径・高さ: ルールの一番小さい駒から一番大きい駒まで等間隔に大きくする
+// (標準の3サイズなら r 0.8 / 1.1 / 1.4、h 2.2 / 3.0 / 3.8。サイズが多いときは最大値で頭打ち)
+const PIECE_MIN = { r: 0.8, h: 2.2 };
+const PIECE_STEP = { r: 0.3, h: 0.8 };
+const PIECE_MAX = { r: 1.6, h: 4.5 };
+
+function pieceDims(size, rules) {
+    const n = rules.sizes.length;
+    const t = n > 1 ? rules.sizes.indexOf(size) / (n - 1) : 1;
+    const span = key => Math.min(PIECE_STEP[key] * (n - 1), PIECE_MAX[key] - PIECE_MIN[key]);
+    return { r: PIECE_MIN.r + span('r') * t, h: PIECE_MIN.h + span('h') * t };
+}
 
 const CELL_GAP = 3.3; 
-const BOARD_OFFSET = -CELL_GAP;
+let boardRules = STANDARD_RULES; // 今の盤と手駒を作ったときのルール
+let boardOffset = -CELL_GAP;     // 左上のマスの座標 (盤の中心が原点)
 
 function initThree() {
     scene = new THREE.Scene();
@@ -250,6 +876,8 @@ function animate() {
 const chatMessages = document.getElementById("chatMessages");
 const chatInput = document.getElementById("chatInput");
 const chatSendBtn = document.getElementById("chatSendBtn");
+const teamChatToggle = document.getElementById("teamChatToggle");
+const teamChatCheck = document.getElementById("teamChatCheck");
 
 function launchFlyingComment(text) {
   const el = document.createElement("div");
@@ -287,7 +915,8 @@ if (seSlider) {
 function appendChat(msg) {
   const time = new Date(msg.time).toLocaleTimeString();
   const div = document.createElement("div");
-  div.innerHTML = `<strong>${escapeHtml(msg.name)}</strong>: ${escapeHtml(msg.text)} <span style="color:#888;font-size:11px;">(${time})</span>`;
+  if (msg.team) div.className = "team-msg"; // チームにだけ届いたメッセージ
+  div.innerHTML = `${msg.team ? '[チーム] ' : ''}<strong>${escapeHtml(msg.name)}</strong>: ${escapeHtml(msg.text)} <span style="color:#888;font-size:11px;">(${time})</span>`;
   chatMessages.appendChild(div);
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
@@ -295,7 +924,15 @@ function appendChat(msg) {
 chatSendBtn.onclick = () => {
   const text = chatInput.value.trim();
   if (!text) return;
-  socket.emit("chat_message", { text });
+  if (teamChatCheck.checked && !teamChatToggle.classList.contains("hidden")) {
+    socket.emit("team_chat", { text }, (ack) => {
+      if (ack && ack.error) addLog('チームチャットの送信失敗: ' + ack.error);
+    });
+  } else {
+    socket.emit("chat_message", { text }, (ack) => {
+      if (ack && ack.error === 'spectator_chat_disabled') addLog('この部屋では観戦者はチャットできません');
+    });
+  }
   chatInput.value = "";
 };
 
@@ -316,12 +953,19 @@ socket.on("chat_init", (log) => {
   log.forEach(msg => appendChat(msg));
 });
 
+// チーム戦: 同じ色のチームにだけ届くチャット (流れるコメントにはしない)
+socket.on("team_chat", (msg) => {
+  appendChat(msg);
+});
+
+socket.on("team_chat_init", (log) => {
+  log.forEach(msg => appendChat(msg));
+});
+
 
 // --- 3D盤面の構築 ---
 // --- 3D盤面の構築（テーブル追加版） ---
 function buildBoard3D() {
-    boardGroup = new THREE.Group();
-
     // 1. 木のテーブルを作成
     const tableGeo = new THREE.BoxGeometry(50, 2, 50); // かなり大きくする
     const woodTexture = createWoodTexture();
@@ -335,10 +979,18 @@ function buildBoard3D() {
     tableMesh.receiveShadow = true;     // 影を受ける
     scene.add(tableMesh); // boardGroupではなくsceneに直接追加（回転させないため）
 
+    buildBoardGrid(boardRules);
+}
+
+// 盤と格子・マス (ルールの盤の大きさで作る。ルールが変わったら作り直す)
+function buildBoardGrid(rules) {
+    const dim = rules.boardSize;
+    boardOffset = -CELL_GAP * (dim - 1) / 2;
+    boardGroup = new THREE.Group();
 
     // 2. ゲームボード（枠内）
     // 少し浮かせてテーブルの上に置く
-    const boardGeo = new THREE.BoxGeometry(CELL_GAP * 3 + 0.5, 0.2, CELL_GAP * 3 + 0.5);
+    const boardGeo = new THREE.BoxGeometry(CELL_GAP * dim + 0.5, 0.2, CELL_GAP * dim + 0.5);
     const boardMat = new THREE.MeshStandardMaterial({ 
         color: 0xffffff,
         transparent: true,
@@ -356,22 +1008,22 @@ function buildBoard3D() {
         roughness: 0.4
     });
     const lineThickness = 0.15;
-    const lineLength = CELL_GAP * 3;
+    const lineLength = CELL_GAP * dim;
 
     // 井の字を作る
     // 縦線
-    for (let i = 1; i < 3; i++) {
+    for (let i = 1; i < dim; i++) {
         const lineGeo = new THREE.BoxGeometry(lineThickness, 0.2, lineLength);
         const lineMesh = new THREE.Mesh(lineGeo, lineMaterial);
-        lineMesh.position.set(i * CELL_GAP + BOARD_OFFSET - CELL_GAP / 2, 0, 0);
+        lineMesh.position.set(i * CELL_GAP + boardOffset - CELL_GAP / 2, 0, 0);
         lineMesh.castShadow = true;
         boardGroup.add(lineMesh);
     }
     // 横線
-    for (let i = 1; i < 3; i++) {
+    for (let i = 1; i < dim; i++) {
         const lineGeo = new THREE.BoxGeometry(lineLength, 0.2, lineThickness);
         const lineMesh = new THREE.Mesh(lineGeo, lineMaterial);
-        lineMesh.position.set(0, 0, i * CELL_GAP + BOARD_OFFSET - CELL_GAP / 2);
+        lineMesh.position.set(0, 0, i * CELL_GAP + boardOffset - CELL_GAP / 2);
         lineMesh.castShadow = true;
         boardGroup.add(lineMesh);
     }
@@ -385,11 +1037,12 @@ function buildBoard3D() {
         depthWrite: false
     });
 
-    for (let r = 0; r < 3; r++) {
-        for (let c = 0; c < 3; c++) {
-            const cell = new THREE.Mesh(cellGeo, cellMat);
+    for (let r = 0; r < dim; r++) {
+        for (let c = 0; c < dim; c++) {
+            // ハイライトでマスごとに色を変えるのでマテリアルは個別に持つ
+            const cell = new THREE.Mesh(cellGeo, cellMat.clone());
             // Y位置を調整してクリック判定をしやすくする
-            cell.position.set(c * CELL_GAP + BOARD_OFFSET, 0.2, r * CELL_GAP + BOARD_OFFSET);
+            cell.position.set(c * CELL_GAP + boardOffset, 0.2, r * CELL_GAP + boardOffset);
             cell.userData = { type: 'cell', r, c }; 
             boardGroup.add(cell);
             cellObjects.push(cell); 
@@ -398,6 +1051,25 @@ function buildBoard3D() {
     scene.add(boardGroup);
 }
 
+// 部屋のルールが変わったら (3x3 <-> 4x4 など)、盤・手駒・盤上の駒を作り直す
+function setBoardRules(rules) {
+    if (JSON.stringify(rules) === JSON.stringify(boardRules)) return;
+    boardRules = rules;
+
+    scene.remove(boardGroup);
+    cellObjects.length = 0;
+    buildBoardGrid(rules);
+
+    handMeshes.forEach(mesh => scene.remove(mesh));
+    handMeshes = [];
+    Object.keys(handSlots).forEach(owner => { handSlots[owner] = []; });
+    isHandInitialized = false;
+
+    pieceMeshes.forEach(mesh => scene.remove(mesh));
+    pieceMeshes = [];
+    clearSelection();
+}
+
 // 顔のテクスチャ生成
 function createFaceTexture(colorHex) {
     const size = 512;
@@ -520,7 +1192,7 @@ function createWoodTexture() {
 
 // 駒メッシュ生成
 function createPieceMesh(size, owner) {
-    const { r, h } = PIECE_SIZES[size];
+    const { r, h } = pieceDims(size, boardRules);
     const points = [];
     const segments = 12; 
     const domeRadius = r; 
@@ -551,30 +1223,54 @@ function createPieceMesh(size, owner) {
     mesh.castShadow = true;
     if (owner === 'Blue') {
         mesh.rotation.y = 0; // 奥を向く（テクスチャの貼り方次第で Math.PI か 0 か調整してください）
+    } else if (owner === 'Green') {
+        mesh.rotation.y = Math.PI / 2; // 左 (盤の中心) を向く
+    } else if (owner === 'Purple') {
+        mesh.rotation.y = -Math.PI / 2; // 右を向く
     } else {
         mesh.rotation.y = Math.PI; // 手前を向く
     }
     return mesh;
 }
 
+// 手駒の列の上の位置 along (Blue / Orange は x、Green / Purple は z) を座標 { x, z } にする
+// 列は盤が大きければその分外側に置く
+function handPosition(owner, along) {
+    const away = base => base + Math.sign(base) * CELL_GAP * (boardRules.boardSize - 3) / 2;
+    if (owner === 'Green') return { x: away(HAND_X_Green), z: along };
+    if (owner === 'Purple') return { x: away(HAND_X_Purple), z: along };
+    return { x: along, z: away(owner === 'Orange' ? HAND_Z_Orange : HAND_Z_Blue) };
+}
+
+// 座標 -> 手駒の列に沿った位置 (handPosition の逆)
+function handAlong(owner, position) {
+    return owner === 'Green' || owner === 'Purple' ? position.z : position.x;
+}
+
+// 手駒の列の始点と間隔: 駒の数が増えても列の幅に収まるよう間隔を詰め、盤の中心に揃える
+function handRowLayout(rules) {
+    const n = rules.sizes.length * rules.count;
+    const groups = rules.sizes.length - 1;
+    const width = Math.max(HAND_ROW_WIDTH, CELL_GAP * rules.boardSize);
+    const gap = Math.min(HAND_X_GAP, (width - HAND_GROUP_GAP * groups) / Math.max(1, n - 1));
+    return { start: -(gap * (n - 1) + HAND_GROUP_GAP * groups) / 2, gap };
+}
+
 // 手駒スロットを初期化する関数（固定配置）
-function initHandSlots() {
+function initHandSlots(rules) {
     if (isHandInitialized) return;
 
-    ['Blue', 'Orange'].forEach(owner => {
-        const z = (owner === 'Blue') ? HAND_Z_Blue : HAND_Z_Orange;
-        let x = HAND_X_START;
-
-        // 固定順序: 大, 大, 中, 中, 小, 小
-        const sizes = ['large', 'large', 'medium', 'medium', 'small', 'small'];
+    seatsOf(rules).forEach(owner => {
+        let slotId = 0;
 
-        sizes.forEach((size, idx) => {
+        const addSlot = (size, along, stack) => {
             // メッシュ作成
             const mesh = createPieceMesh(size, owner);
+            const { x, z } = handPosition(owner, along);
             mesh.position.set(x, 0.1, z);
             
             // IDと情報を埋め込む
-            mesh.userData = { type: 'hand', owner, size, slotId: idx }; 
+            mesh.userData = { type: 'hand', owner, size, slotId }; 
             
             // 最初は非表示にしておく（renderで同期する）
             mesh.visible = false;
@@ -582,18 +1278,32 @@ function initHandSlots() {
             scene.add(mesh);
             
             // 管理リストに追加
-            handSlots[owner].push({
-                mesh: mesh,
-                size: size,
-                slotId: idx
-            });
+            handSlots[owner].push({ mesh, size, slotId, stack });
             
             // Raycaster判定用リストにも追加
             handMeshes.push(mesh); 
+            slotId++;
+        };
+
+        if (rules.stacks) {
+            // 入れ子の山: 山ごとに全サイズのメッシュを同じ位置に用意し、一番上の駒だけ表示する
+            for (let stack = 0; stack < rules.count; stack++) {
+                const x = (stack - (rules.count - 1) / 2) * HAND_STACK_GAP;
+                rules.sizes.forEach(size => addSlot(size, x, stack));
+            }
+            return;
+        }
 
-            // 座標計算
-            x += HAND_X_GAP;
-            if (idx % 2 === 1) x += 0.5; // サイズごとの区切り
+        // 固定順序: 大きい順に各サイズ rules.count 個ずつ (標準なら 大, 大, 中, 中, 小, 小)
+        const { start, gap } = handRowLayout(rules);
+        let x = start;
+        [...rules.sizes].reverse().forEach(size => {
+            for (let i = 0; i < rules.count; i++) {
+                addSlot(size, x, null);
+                // 座標計算
+                x += gap;
+            }
+            x += HAND_GROUP_GAP; // サイズごとの区切り
         });
     });
 
@@ -602,7 +1312,7 @@ function initHandSlots() {
 
 // --- アニメーション移動ヘルパー (GSAP) ---
 // --- アニメーション移動ヘルパー (GSAP) ---
-function animateJump(mesh, targetX, targetZ, onComplete) {
+function animateJump(mesh, targetX, targetZ, onComplete, silent = false) {
     // 現在位置
     const startX = mesh.position.x;
     const startZ = mesh.position.z;
@@ -629,7 +1339,7 @@ function animateJump(mesh, targetX, targetZ, onComplete) {
 
         const tl = gsap.timeline({
             onComplete: () => {
-                playSE('place'); // 着地音
+                if (!silent) playSE('place'); // 着地音
                 if (onComplete) onComplete();
             }
         });
@@ -653,20 +1363,59 @@ function animateJump(mesh, targetX, targetZ, onComplete) {
 // --- メイン描画ループ (アニメーション対応版) ---
 function render(stateObj) {
     state = stateObj;
+    setBoardRules(rulesOf(state));
     
     turnLabel.textContent = state.currentTurn || '—';
-    gameStateLabel.textContent = state.winner ? `終了: ${state.winner}` : (state.started ? '進行中' : '待機中');
+    const seats = seatsOf(rulesOf(state));
+    const waitingFor = seats.find(k => state.players && state.players[k] && !state.players[k].out && state.players[k].connected === false);
+    const dropped = seats.filter(k => state.players && state.players[k] && state.players[k].out);
+    gameStateLabel.textContent = state.replay ? 'リプレイ中'
+        : state.reason
+        ? (state.winner ? `終了: ${state.winner}` : '終了: 引き分け')
+        : waitingFor ? `再接続待ち (${waitingFor})`
+        : (state.started ? '進行中' : '待機中');
+    if (dropped.length) gameStateLabel.textContent += ` / 脱落: ${dropped.join(', ')}`;
     meLabel.textContent = mySlot ? `${mySlot}` : '未割当';
+    // リプレイ中もライブの時計は動かし続ける。同じ状態を描画し直したときは受信時刻を変えない
+    if (!state.replay) {
+        if (state.clock && !state.clock.receivedAt) state.clock.receivedAt = Date.now();
+        clockSnapshot = state.clock;
+        updateClockLabel();
+        updateSeriesLabel(state.series);
+        roomRulesLabel.textContent = state.options ? describeRoomOptions(state.options) : '-';
+        renderTeams();
+    }
+
+    // ヒント: 部屋の設定で禁止されていればボタンを無効にする。使用回数は全員に見せる
+    const hintsAllowed = !state.options || state.options.allowHints !== false;
+    hintBtn.disabled = !hintsAllowed || mySlot === 'spectator';
+    hintCountLabel.textContent = hintsAllowed
+        ? seats
+            .filter(k => state.players && state.players[k])
+            .map(k => `${k} ${state.players[k].hintsUsed || 0}回`)
+            .join(' / ') || '-'
+        : '禁止';
+
+    // 待った: 残り回数を表示し、申し込み中・禁止の部屋ではボタンを無効にする
+    const maxTakebacks = state.options ? state.options.maxTakebacks : 0;
+    const myPlayer = state.players && state.players[mySlot];
+    undoBtn.disabled = !myPlayer || !maxTakebacks || !!state.pendingUndo
+        || (myPlayer.takebacksUsed || 0) >= maxTakebacks;
+    undoCountLabel.textContent = !maxTakebacks
+        ? '禁止'
+        : state.pendingUndo
+        ? `${state.pendingUndo} が申し込み中`
+        : (myPlayer ? `残り ${maxTakebacks - (myPlayer.takebacksUsed || 0)}回` : '-');
 
     // 1. 今回必要な駒のリストを作成
     const neededPieces = [];
 
     if (state.board) {
-        for (let r = 0; r < 3; r++) {
-            for (let c = 0; c < 3; c++) {
+        for (let r = 0; r < state.board.length; r++) {
+            for (let c = 0; c < state.board[r].length; c++) {
                 const stack = (state.board[r] && state.board[r][c]) ? state.board[r][c] : [];
-                const x = c * CELL_GAP + BOARD_OFFSET;
-                const z = r * CELL_GAP + BOARD_OFFSET;
+                const x = c * CELL_GAP + boardOffset;
+                const z = r * CELL_GAP + boardOffset;
                 
                 for (let i = 0; i < stack.length; i++) {
                     const p = stack[i];
@@ -684,11 +1433,11 @@ function render(stateObj) {
     }
 
     // 2. 既存メッシュのプールを作成（再利用のため）
-    const pool = { 'Blue-small': [], 'Blue-medium': [], 'Blue-large': [], 'Orange-small': [], 'Orange-medium': [], 'Orange-large': [] };
+    const pool = {}; // 'Blue-small' などの持ち主とサイズごと
     
     pieceMeshes.forEach(mesh => {
         const key = `${mesh.userData.owner}-${mesh.userData.size}`;
-        if (pool[key]) pool[key].push(mesh);
+        (pool[key] ||= []).push(mesh);
     });
 
     // --- 3. 次フレーム用のメッシュリスト ---
@@ -758,18 +1507,18 @@ function render(stateObj) {
             mesh = createPieceMesh(pData.size, pData.owner);
             scene.add(mesh);
             
-            // 出現位置の決定
-            let startX = pData.targetX; 
-            const startZ = (pData.owner === 'Blue') ? HAND_Z_Blue : HAND_Z_Orange;
+            // 出現位置の決定 (持ち主の手駒の列の上)
+            let startAlong = handAlong(pData.owner, { x: pData.targetX, z: pData.targetZ });
 
-            if (pData.owner === mySlot && lastSelectedHandX !== 0) {
+            if (pData.owner === mySlot && lastSelectedHandAlong !== 0) {
                 // 自分の手駒から
-                startX = lastSelectedHandX;
+                startAlong = lastSelectedHandAlong;
             } else if (pData.owner !== mySlot) {
                 // 相手の手駒から（ランダム位置）
-                startX = (Math.random() - 0.5) * 8; 
+                startAlong = (Math.random() - 0.5) * 8; 
             }
-            mesh.position.set(startX, 0.1, startZ);
+            const start = handPosition(pData.owner, startAlong);
+            mesh.position.set(start.x, 0.1, start.z);
         }
 
         // データの更新
@@ -802,10 +1551,12 @@ function render(stateObj) {
 
     pieceMeshes = nextPieceMeshes;
     renderHands3D(state.players);
+    updateMoveHighlights();
 }
 
 function onCanvasClick(event) {
-    if (!state.started && !state.winner) return;
+    if (replay) return; // リプレイ中は盤面を操作しない
+    if (!state.started && !state.reason) return;
 
     const rect = renderer.domElement.getBoundingClientRect();
     pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -837,7 +1588,7 @@ function onCanvasClick(event) {
             selectedPiece = { from: { type: 'hand' }, size: data.size };
             
             // アニメーション用に座標を保存
-            lastSelectedHandX = clickedObj.position.x;
+            lastSelectedHandAlong = handAlong(data.owner, clickedObj.position);
 
             if (data.slotId !== undefined) {
                 lastPlayedSlotId = data.slotId;
@@ -871,10 +1622,40 @@ function onCanvasClick(event) {
                 addLog('先に手駒を選択してください');
                 return;
             }
+            return;
+        }
+
+        // 合法でないマスは送信前に弾く（自分の駒なら選択し直す）
+        const isSameCell = selectedPiece.from.type === 'cell'
+            && selectedPiece.from.r === targetR && selectedPiece.from.c === targetC;
+        if (!isSameCell && !legalTargetsFor(selectedPiece).some(t => t.r === targetR && t.c === targetC)) {
+            if (data.type === 'piece' && data.isTop && data.owner === mySlot) {
+                selectedPiece = { from: { type: 'cell', r: data.r, c: data.c }, size: data.size };
+                highlightSelection(clickedObj);
+                playSE('select');
+                addLog(`盤上駒選択: (${data.r},${data.c})`);
+            } else {
+                addLog(`そのマスには置けません: (${targetR},${targetC})`);
+            }
+            return;
         }
 
         const basePayload = { room: currentRoomID }; 
 
+        // 送信前にルールエンジンで合法か確認する（サーバーと同じ判定）
+        function tryMove(payload) {
+            if (state.currentTurn !== mySlot) {
+                addLog('相手のターンです');
+                return false;
+            }
+            const check = applyMove(state, payload);
+            if (!check.ok) {
+                addLog('不正手: ' + check.error);
+                return false;
+            }
+            return true;
+        }
+
         // 2. 手駒配置
         if (selectedPiece.from.type === 'hand') {
             const payload = { 
@@ -883,9 +1664,8 @@ function onCanvasClick(event) {
                 size: selectedPiece.size, 
                 to: { r: targetR, c: targetC } 
             };
-            socket.emit('place_piece', payload, (ack) => {
-                if (ack && ack.error) addLog('エラー: ' + ack.error);
-            });
+            if (!tryMove(payload)) return;
+            socket.emit('place_piece', payload, onMoveAck);
             addLog(`手駒を送信: ${selectedPiece.size} -> (${targetR},${targetC})`);
             clearSelection();
             return;
@@ -904,9 +1684,8 @@ function onCanvasClick(event) {
                 from: { r: selectedPiece.from.r, c: selectedPiece.from.c }, 
                 to: { r: targetR, c: targetC } 
             };
-            socket.emit('place_piece', payload, (ack) => {
-                if (ack && ack.error) addLog('エラー: ' + ack.error);
-            });
+            if (!tryMove(payload)) return;
+            socket.emit('place_piece', payload, onMoveAck);
             addLog(`盤上駒の移動を送信: (${selectedPiece.from.r},${selectedPiece.from.c}) -> (${targetR},${targetC})`);
             clearSelection();
             return;
@@ -928,9 +1707,37 @@ function highlightSelection(meshToHighlight = null) {
         meshToHighlight.material.color.set(COLORS.selected);
         selectedMesh = meshToHighlight;
     }
+    updateMoveHighlights();
     renderer.render(scene, camera);
 }
 
+// 選択中の駒の移動先として合法なマスを返す { r, c, gobble }
+function legalTargetsFor(sel) {
+    if (!state || !sel || !mySlot || mySlot === 'spectator') return [];
+    return legalMoves(state, mySlot)
+        .filter(m => sel.from.type === 'hand'
+            ? m.action === 'place_from_hand' && m.size === sel.size
+            : m.action === 'move_on_board' && m.from.r === sel.from.r && m.from.c === sel.from.c)
+        .map(m => {
+            const top = state.board[m.to.r][m.to.c].at(-1);
+            return { r: m.to.r, c: m.to.c, gobble: !!top && top.owner !== mySlot };
+        });
+}
+
+// 移動可能マスのハイライト（設定がOFFなら全マス透明に戻す）
+function updateMoveHighlights() {
+    const targets = config.highlightMoves ? legalTargetsFor(selectedPiece) : [];
+    cellObjects.forEach(cell => {
+        const t = targets.find(t => t.r === cell.userData.r && t.c === cell.userData.c);
+        if (t) {
+            cell.material.color.set(t.gobble ? COLORS.gobble : COLORS.legal);
+            cell.material.opacity = HIGHLIGHT_OPACITY;
+        } else {
+            cell.material.opacity = 0;
+        }
+    });
+}
+
 function clearSelection() {
     selectedPiece = null;
     highlightSelection(null); 
@@ -969,16 +1776,27 @@ function renderHandDOM() {
 // 3D手駒を描画・管理する関数（スロット制御版）
 function renderHands3D(players) {
     // まだ初期化してなければ作成
-    if (!isHandInitialized) initHandSlots();
+    if (!isHandInitialized) initHandSlots(boardRules);
 
     if (!players) return;
 
-    ['Blue', 'Orange'].forEach(owner => {
+    seatsOf(boardRules).forEach(owner => {
         const pData = players[owner];
         if (!pData) return;
 
+        // 入れ子の山: 残り数から各山の高さを出し、一番上の駒だけ表示する
+        // (大きさ k の残り = 高さが k より高い山の数なので、j 番目の山の高さ = 残りが j より多い大きさの数)
+        if (boardRules.stacks) {
+            const sizes = boardRules.sizes;
+            handSlots[owner].forEach(slot => {
+                const height = sizes.filter(size => (pData.pieces[size] || 0) > slot.stack).length;
+                slot.mesh.visible = height > 0 && slot.size === sizes[height - 1];
+            });
+            return;
+        }
+
         // サイズごとに同期処理
-        ['large', 'medium', 'small'].forEach(size => {
+        [...boardRules.sizes].reverse().forEach(size => {
             const serverCount = pData.pieces[size] || 0;
             
             // このサイズに該当するスロットを取得
@@ -1032,7 +1850,7 @@ function renderHands3D(players) {
             
             // 選択状態のハイライト更新
             if (selectedPiece && selectedPiece.from.type === 'hand') {
-                // 選択中のサイズで、表示されているもののうち、クリックしたもの(lastSelectedHandXに近いもの)を光らせる
+                // 選択中のサイズで、表示されているもののうち、クリックしたもの(lastSelectedHandAlongに近いもの)を光らせる
                 // 簡易的に「選択サイズで、表示されている最初のもの」を光らせる（または厳密にID管理してもよい）
                 const target = slots.find(s => s.mesh.visible && s.size === selectedPiece.size);
                 // ※厳密にはクリックしたその個体を光らせたいが、データ構造上 selectedPiece に ID がないので
@@ -1048,6 +1866,157 @@ function renderHands3D(players) {
     }
 }
 
+// --- 待った ---
+// 相手が了承すると、自分の手番まで盤面が戻る (結果は undo_result / update_state で届く)
+if (undoBtn) {
+    undoBtn.addEventListener('click', () => {
+        socket.emit('request_undo', {}, (ack) => {
+            if (!ack || ack.error) {
+                addLog('待ったできません: ' + (ack && ack.error ? ack.error : 'unknown'));
+                return;
+            }
+            addLog('待ったを申し込みました');
+        });
+    });
+}
+
+// --- ヒント ---
+// サーバーに最善手を聞き、半透明の駒で動きだけ見せる（実際には指さない）
+if (hintBtn) {
+    hintBtn.addEventListener('click', () => {
+        if (!state || state.currentTurn !== mySlot) {
+            addLog('ヒントは自分のターンにだけ使えます');
+            return;
+        }
+        socket.emit('request_hint', {}, (ack) => {
+            if (!ack || ack.error) {
+                addLog('ヒント取得失敗: ' + (ack && ack.error ? ack.error : 'unknown'));
+                return;
+            }
+            const move = ack.moves[0];
+            addLog(`ヒント: ${formatMove(move, rulesOf(state))}`);
+            showHintGhost(move);
+        });
+    });
+}
+
+function showHintGhost(move) {
+    let size, startX, startZ;
+    if (move.action === 'place_from_hand') {
+        size = move.size;
+        const slot = handSlots[mySlot].find(s => s.size === size && s.mesh.visible);
+        ({ x: startX, z: startZ } = handPosition(mySlot, slot ? handAlong(mySlot, slot.mesh.position) : 0));
+    } else {
+        size = state.board[move.from.r][move.from.c].at(-1).size;
+        startX = move.from.c * CELL_GAP + boardOffset;
+        startZ = move.from.r * CELL_GAP + boardOffset;
+    }
+
+    const ghost = createPieceMesh(size, mySlot);
+    ghost.material.transparent = true;
+    ghost.material.opacity = 0.5;
+    ghost.material.depthWrite = false;
+    ghost.position.set(startX, 0.1, startZ);
+    scene.add(ghost);
+
+    const targetX = move.to.c * CELL_GAP + boardOffset;
+    const targetZ = move.to.r * CELL_GAP + boardOffset;
+    if (typeof gsap === 'undefined') {
+        ghost.position.set(targetX, 0.1, targetZ);
+        setTimeout(() => scene.remove(ghost), 1500);
+        return;
+    }
+    animateJump(ghost, targetX, targetZ, () => {
+        gsap.to(ghost.material, {
+            opacity: 0, delay: 1.0, duration: 0.5,
+            onComplete: () => scene.remove(ghost)
+        });
+    }, true);
+}
+
+// --- チーム戦の相談 ---
+// 手番のチームが駒を動かすと案になる (サーバーが投票で決めて指す)。案は半透明の駒で盤に出す
+let teamVote = null; // { slot, remainingMs, proposals: [{ id, move, notation, by, votes }], receivedAt }
+let myVoteId = null; // 自分が票を入れている案
+let proposalGhosts = [];
+let teamVoteTicker = null;
+
+// place_piece の返事 (チーム戦では案を出しただけのことがある)
+function onMoveAck(ack) {
+    if (ack && ack.error) {
+        addLog('エラー: ' + ack.error);
+    } else if (ack && ack.proposalId && !ack.committed) {
+        myVoteId = ack.proposalId;
+        addLog('案を出しました (チームの投票で決まります)');
+        renderTeamVote();
+    }
+}
+
+function renderTeamVote() {
+    proposalGhosts.forEach(ghost => scene.remove(ghost));
+    proposalGhosts = [];
+    clearInterval(teamVoteTicker);
+    teamVoteTicker = null;
+    teamVotePanel.classList.toggle('hidden', !teamVote);
+    if (!teamVote) {
+        myVoteId = null;
+        if (renderer) renderer.render(scene, camera);
+        return;
+    }
+
+    teamVoteList.innerHTML = '';
+    teamVote.proposals.forEach(p => {
+        const btn = document.createElement('button');
+        btn.classList.toggle('mine', p.id === myVoteId);
+        btn.innerHTML = `<span>${escapeHtml(p.notation)} (${escapeHtml(p.by)})</span><span>${p.votes}票</span>`;
+        btn.addEventListener('click', () => {
+            socket.emit('vote_move', { proposalId: p.id }, (ack) => {
+                if (ack && ack.error) return addLog('投票できませんでした: ' + ack.error);
+                myVoteId = p.id;
+                renderTeamVote();
+            });
+        });
+        teamVoteList.appendChild(btn);
+        if (state && !state.replay) proposalGhosts.push(createProposalGhost(p.move, teamVote.slot));
+    });
+
+    const updateTimer = () => {
+        const left = Math.max(0, teamVote.remainingMs - (Date.now() - teamVote.receivedAt));
+        teamVoteTimer.textContent = `残り ${Math.ceil(left / 1000)}秒`;
+    };
+    updateTimer();
+    teamVoteTicker = setInterval(updateTimer, 250);
+    if (renderer) renderer.render(scene, camera);
+}
+
+// 案の手の行き先に置く半透明の駒
+function createProposalGhost(move, owner) {
+    const size = move.action === 'place_from_hand' ? move.size : state.board[move.from.r][move.from.c].at(-1).size;
+    const ghost = createPieceMesh(size, owner);
+    ghost.material.transparent = true;
+    ghost.material.opacity = 0.35;
+    ghost.material.depthWrite = false;
+    ghost.position.set(move.to.c * CELL_GAP + boardOffset, 0.1, move.to.r * CELL_GAP + boardOffset);
+    scene.add(ghost);
+    return ghost;
+}
+
+// チーム戦: 各色のメンバーを表示し、席についていればチームのみのチャットを使えるようにする
+function renderTeams() {
+    const teams = !!(state.options && state.options.teams);
+    teamRow.classList.toggle('hidden', !teams);
+    teamChatToggle.classList.toggle('hidden', !teams || !mySlot || mySlot === 'spectator');
+    if (!teams) return;
+    teamLabel.textContent = seatsOf(rulesOf(state))
+        .map(k => {
+            const p = state.players && state.players[k];
+            if (!p) return `${k}: (空席)`;
+            const names = [p, ...(p.members || [])].map(m => m.connected === false ? `${m.name}(切断)` : m.name);
+            return `${k}: ${names.join(', ')}`;
+        })
+        .join(' / ');
+}
+
 // --- モーダル関連イベント ---
 if (settingsBtn) {
     settingsBtn.addEventListener('click', () => {
@@ -1099,63 +2068,430 @@ if (modalRestartBtn) {
             return; // 処理をここで中断
         }
         // ★追加ここまで★
-        socket.emit('restart_game', {}, (ack) => {
-            if (ack && ack.ok) addLog('再戦リクエスト送信');
-            else if (ack && ack.error) addLog('再戦失敗: ' + ack.error);
+        requestRestart();
+        modalOverlay.classList.add('hidden');
+    });
+}
+
+// --- 招待リンク ---
+if (copyInviteBtn) {
+    copyInviteBtn.addEventListener('click', async () => {
+        if (!currentRoomID) return;
+        const url = roomUrl(true);
+        try {
+            await navigator.clipboard.writeText(url);
+            addLog(currentInvite ? '招待リンクをコピーしました（非公開ルーム）' : 'ルームのリンクをコピーしました');
+        } catch (e) {
+            prompt('このリンクを共有してください', url);
+        }
+    });
+}
+
+// --- 棋譜 ---
+// ダウンロードはサーバーの /api/rooms/:roomID/record から (今の対局)
+let importedRecord = null; // 読み込んだ棋譜 { headers, moves, winner, reason }
+
+if (recordDownloadBtn) {
+    recordDownloadBtn.addEventListener('click', async () => {
+        modalOverlay.classList.add('hidden');
+        if (!currentRoomID) return;
+        try {
+            const query = currentInvite ? `?invite=${encodeURIComponent(currentInvite)}` : '';
+            const res = await fetch(`/api/rooms/${encodeURIComponent(currentRoomID)}/record${query}`);
+            if (!res.ok) {
+                addLog('ダウンロードできる棋譜がありません');
+                return;
+            }
+            const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(await res.blob());
+            a.download = filename ? filename[1] : 'gobblet.ggn';
+            a.click();
+            URL.revokeObjectURL(a.href);
+        } catch (e) {
+            console.log('Record Download Error:', e);
+        }
+    });
+}
+
+// 読み込みはサーバーでルールどおりに指し直して検証してもらう
+if (recordImportBtn) {
+    recordImportBtn.addEventListener('click', () => recordFileInput.click());
+    recordFileInput.addEventListener('change', async () => {
+        const file = recordFileInput.files[0];
+        recordFileInput.value = '';
+        if (!file) return;
+        const text = await file.text();
+        socket.emit('import_record', { text }, (ack) => {
+            if (!ack || ack.error) {
+                const errors = (ack && ack.errors) || [];
+                addLog('棋譜の読み込みに失敗しました');
+                errors.forEach(e => addLog(e.line ? `${e.line}行目: ${e.message}` : e.message));
+                return;
+            }
+            importedRecord = ack;
+            startReplay(ack);
+            const result = ack.winner ? `${ack.winner} の勝ち` : (ack.reason ? '引き分け' : '未決着');
+            const names = seatsOf(rulesFromHeaders(ack.headers) || STANDARD_RULES).map(k => ack.headers[k] || k).join(' vs ');
+            addLog(`棋譜を読み込みました: ${names} / ${ack.moves.length}手 / ${result}`);
+            addLog(ack.moves.map(m => m.notation).join(' '));
         });
         modalOverlay.classList.add('hidden');
     });
 }
 
+// --- リプレイ ---
+// 棋譜の手順を rules.js で指し直して局面の列を作り、render() でライブと同じアニメーションで見せる。
+// リプレイ中に届いたライブの状態は liveState に取っておき、リプレイを閉じたら描画し直す
+const REPLAY_STEP_MS = 1200; // 1x のときの1手の間隔 (駒のジャンプ 0.6秒 より長く)
+let replay = null; // { names, positions, moves, index, timer }
+let liveState = null;
+
+// ライブの状態はリプレイ中なら描画せずに覚えておくだけ
+function renderLive(s) {
+    liveState = s;
+    if (!replay) render(s);
+}
+
+function startReplay(record) {
+    if (!replay) liveState = state;
+    stopReplayTimer();
+    clearSelection();
+    resultOverlay.classList.add('hidden');
+
+    const rules = rulesFromHeaders(record.headers) || STANDARD_RULES;
+    const seats = seatsOf(rules);
+    // 3〜4人対局で途中で抜けた人・再接続待ちで飛ばされた手番を、その時点で反映する
+    const eliminations = eliminationsOf(record.headers, rules) || [];
+    const skips = skipsOf(record.headers, rules) || [];
+    let pos = initialPosition(rules, record.headers.First || 'Blue');
+    const positions = [pos];
+    for (const m of record.moves) {
+        const turn = applyTurnChanges(pos, positions.length - 1, eliminations, skips);
+        if (!turn) break;
+        const result = applyMove(turn, m.move);
+        if (!result.ok) break;
+        pos = result.state;
+        positions.push(pos);
+    }
+    replay = {
+        names: Object.fromEntries(seats.map(k => [k, record.headers[k] || k])),
+        positions,
+        moves: record.moves.slice(0, positions.length - 1),
+        index: 0,
+        timer: null
+    };
+
+    replayTitle.textContent = `リプレイ: ${Object.values(replay.names).join(' vs ')}`;
+    replaySlider.max = replay.moves.length;
+    replayMoveList.innerHTML = '';
+    replay.moves.forEach((m, i) => {
+        const btn = document.createElement('button');
+        btn.textContent = `${i + 1}. ${m.notation}`;
+        btn.className = m.slot.toLowerCase();
+        btn.addEventListener('click', () => {
+            setReplayPlaying(false);
+            showReplayPosition(i + 1);
+        });
+        replayMoveList.appendChild(btn);
+    });
+    replayBar.classList.remove('hidden');
+    showReplayPosition(0);
+}
+
+// 部屋に残っている直前の対局の棋譜を取ってきて再生する
+function loadRoomReplay() {
+    socket.emit('get_record', {}, (ack) => {
+        if (!ack || ack.error) {
+            addLog('リプレイできる棋譜がありません');
+            return;
+        }
+        startReplay(ack);
+    });
+}
+
+function showReplayPosition(index) {
+    replay.index = Math.max(0, Math.min(index, replay.positions.length - 1));
+    const pos = replay.positions[replay.index];
+    const players = {};
+    for (const k of Object.keys(replay.names)) {
+        players[k] = { slot: k, name: replay.names[k], color: k.toLowerCase(), pieces: { ...pos.players[k].pieces }, out: !!pos.players[k].out };
+    }
+    render({
+        rules: pos.rules,
+        board: pos.board,
+        players,
+        currentTurn: pos.currentTurn,
+        winner: pos.winner,
+        reason: pos.reason,
+        started: false,
+        moveCount: replay.index,
+        options: liveState && liveState.options,
+        clock: null,
+        replay: true
+    });
+
+    replaySlider.value = replay.index;
+    replayPosLabel.textContent = `${replay.index} / ${replay.moves.length}`;
+    [...replayMoveList.children].forEach((btn, i) => btn.classList.toggle('active', i === replay.index - 1));
+    const active = replayMoveList.children[replay.index - 1];
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function stopReplayTimer() {
+    if (replay && replay.timer) {
+        clearInterval(replay.timer);
+        replay.timer = null;
+    }
+}
+
+function setReplayPlaying(playing) {
+    if (!replay) return;
+    stopReplayTimer();
+    if (playing) {
+        if (replay.index >= replay.moves.length) showReplayPosition(0); // 最後まで見ていたら最初から
+        replay.timer = setInterval(() => {
+            if (replay.index >= replay.moves.length) setReplayPlaying(false);
+            else showReplayPosition(replay.index + 1);
+        }, REPLAY_STEP_MS / Number(replaySpeedSelect.value));
+    }
+    replayPlayBtn.textContent = playing ? '⏸' : '▶️';
+}
+
+function exitReplay() {
+    // 部屋に入らずに開いたリプレイ (?replay=) はホームに戻る
+    if (!currentRoomID) {
+        window.location.href = window.location.pathname;
+        return;
+    }
+    stopReplayTimer();
+    replay = null;
+    replayBar.classList.add('hidden');
+    replayPlayBtn.textContent = '▶️';
+    if (liveState) render(liveState);
+}
+
+// 手動で動かしたら自動再生は止める
+function stepReplay(index) {
+    if (!replay) return;
+    setReplayPlaying(false);
+    showReplayPosition(index);
+}
+
+replayFirstBtn.addEventListener('click', () => stepReplay(0));
+replayPrevBtn.addEventListener('click', () => stepReplay(replay.index - 1));
+replayNextBtn.addEventListener('click', () => stepReplay(replay.index + 1));
+replayLastBtn.addEventListener('click', () => stepReplay(replay.moves.length));
+replayPlayBtn.addEventListener('click', () => setReplayPlaying(!replay.timer));
+replaySlider.addEventListener('input', () => stepReplay(Number(replaySlider.value)));
+replaySpeedSelect.addEventListener('change', () => {
+    if (replay && replay.timer) setReplayPlaying(true);
+});
+replayExitBtn.addEventListener('click', exitReplay);
+window.addEventListener('keydown', (e) => {
+    if (!replay || e.target.tagName === 'INPUT') return;
+    if (e.key === 'ArrowLeft') stepReplay(replay.index - 1);
+    if (e.key === 'ArrowRight') stepReplay(replay.index + 1);
+});
+
+if (replayOpenBtn) {
+    replayOpenBtn.addEventListener('click', () => {
+        modalOverlay.classList.add('hidden');
+        loadRoomReplay();
+    });
+}
+
 if (modalLeaveBtn) {
     modalLeaveBtn.addEventListener('click', () => {
-        socket.disconnect();
         modalOverlay.classList.add('hidden');
         if(confirm("退出してホームに戻りますか？")){
-            window.location.href = window.location.pathname; 
+            // 明示的に退出したときは席を残さない
+            if (currentRoomID) saveSession(currentRoomID, null);
+            socket.emit('leave_room', {}, () => {
+                socket.disconnect();
+                window.location.href = window.location.pathname; 
+            });
         }
     });
 }
 
+function syncHighlightToggle() {
+    toggleHighlightBtn.classList.toggle('on', config.highlightMoves);
+    toggleHighlightBtn.textContent = config.highlightMoves ? 'ON' : 'OFF';
+}
+
 if (toggleHighlightBtn) {
+    syncHighlightToggle();
     toggleHighlightBtn.addEventListener('click', () => {
         config.highlightMoves = !config.highlightMoves;
-        if (config.highlightMoves) {
-            toggleHighlightBtn.classList.add('on');
-            toggleHighlightBtn.textContent = 'ON';
-        } else {
-            toggleHighlightBtn.classList.remove('on');
-            toggleHighlightBtn.textContent = 'OFF';
-            if (selectedMesh) {
-                selectedMesh.material.color.set(0xffffff);
-                selectedMesh = null;
-                renderer.render(scene, camera);
-            }
-        }
+        saveConfig();
+        syncHighlightToggle();
+        updateMoveHighlights();
+        renderer.render(scene, camera);
     });
 }
 
+// --- 持ち時間の表示 ---
+// サーバーから届いた残り時間を、手番側だけ受信時刻からの経過で減らして表示する (判定はサーバー)
+const CLOCK_WARNING_MS = 10 * 1000;
+let clockSnapshot = null;
+let lastWarningSecond = null;
+let warningAudioCtx = null;
+
+function clockRemainingMs(slot) {
+    const ms = clockSnapshot[slot];
+    return clockSnapshot.running === slot ? Math.max(0, ms - (Date.now() - clockSnapshot.receivedAt)) : ms;
+}
+
+function formatClock(ms) {
+    const sec = Math.ceil(ms / 1000);
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+function updateClockLabel() {
+    if (!clockSnapshot) {
+        clockLabel.textContent = '';
+        clockLabel.classList.remove('low');
+        return;
+    }
+    clockLabel.textContent = '⏱ ' + ['Blue', 'Orange']
+        .map(k => `${k} ${formatClock(clockRemainingMs(k))}`)
+        .join(' / ');
+
+    // 自分の時計が残り10秒を切ったら、1秒ごとに警告音
+    const running = clockSnapshot.running;
+    const remaining = running ? clockRemainingMs(running) : Infinity;
+    const low = running === mySlot && remaining < CLOCK_WARNING_MS;
+    clockLabel.classList.toggle('low', low);
+    const second = Math.ceil(remaining / 1000);
+    if (low && remaining > 0 && second !== lastWarningSecond) playWarningBeep();
+    lastWarningSecond = low ? second : null;
+}
+
+// 警告音は音声ファイルを増やさず WebAudio で鳴らす (音量はSE音量に合わせる)
+function playWarningBeep() {
+    try {
+        warningAudioCtx = warningAudioCtx || new AudioContext();
+        const osc = warningAudioCtx.createOscillator();
+        const gain = warningAudioCtx.createGain();
+        osc.frequency.value = 880;
+        gain.gain.value = audioFiles.select.volume * 0.3;
+        osc.connect(gain).connect(warningAudioCtx.destination);
+        osc.start();
+        osc.stop(warningAudioCtx.currentTime + 0.12);
+    } catch (e) {
+        console.log('Beep Error:', e);
+    }
+}
+
+setInterval(updateClockLabel, 200);
+
 // --- リザルト画面の処理 ---
-function showResult(winner) {
-    resultOverlay.classList.remove('hidden');
-    resultContent.classList.remove('lose'); 
+// game_over の reason ごとの説明文
+const REASON_TEXT = {
+    revealed_line: '持ち上げた駒の下から現れたラインを塞げませんでした',
+    both_lines: '両者のラインが同時に揃ったため、動かした側の負けです',
+    repetition: '同じ局面が3回現れました',
+    move_limit: '決着がつかないまま手数の上限に達しました',
+    timeout: '持ち時間が切れました',
+    abandoned: '対局中に退出したため、退出した側の負けです (3〜4人対局は最後まで残った人の勝ち)'
+};
+
+// 並べる数は部屋のルール (4x4 やハウスルール) で変わる
+function reasonText(reason) {
+    if (reason === 'line') return `${rulesOf(state).winLength}つ並びました`;
+    return REASON_TEXT[reason];
+}
 
-    if (mySlot === 'spectator') {
+function showResult(winner, reason, ratings, series) {
+    resultOverlay.classList.remove('hidden');
+    resultContent.classList.remove('lose', 'draw'); 
+    const reasonNote = reasonText(reason) ? `（${reasonText(reason)}）` : '';
+    showRatingChange(ratings);
+    showSeriesSummary(series);
+
+    if (!winner) {
+        resultTitle.textContent = "DRAW";
+        resultMessage.textContent = `引き分けです${reasonNote}`;
+        resultContent.classList.add('draw');
+    } else if (mySlot === 'spectator') {
         resultTitle.textContent = "GAME SET";
-        resultMessage.textContent = `勝者: ${winner}`;
+        resultMessage.textContent = `勝者: ${winner}${reasonNote}`;
     } else if (winner === mySlot) {
         resultTitle.textContent = "YOU WIN!";
-        resultMessage.textContent = "おめでとうございます！";
+        resultMessage.textContent = `おめでとうございます！${reasonNote}`;
         fireConfetti(); 
         playSE('win');
     } else {
         resultTitle.textContent = "YOU LOSE...";
-        resultMessage.textContent = "ドンマイ！次は勝てます！";
+        resultMessage.textContent = `ドンマイ！次は勝てます！${reasonNote}`;
         resultContent.classList.add('lose'); 
         playSE('lose');
     }
 }
 
+// レート戦のレーティングの変化 (自分のもの。観戦者には両者)
+function showRatingChange(ratings) {
+    const format = (r) => `${r.before} → ${r.after} (${r.delta >= 0 ? '+' : ''}${r.delta})`;
+    let text = '';
+    if (ratings && ratings[mySlot]) {
+        text = `レート ${format(ratings[mySlot])}`;
+        if (myAccount) {
+            myAccount.rating = ratings[mySlot].after;
+            updateRatingLabel();
+        }
+    } else if (ratings) {
+        text = ['Blue', 'Orange'].map(k => `${k} ${format(ratings[k])}`).join(' / ');
+    }
+    resultRating.textContent = text;
+    resultRating.classList.toggle('hidden', !text);
+}
+
+// --- N番勝負 ---
+function seriesScoreText(series) {
+    return `Blue ${series.score.Blue} - ${series.score.Orange} Orange（${series.bestOf}番勝負）`;
+}
+
+function updateSeriesLabel(series) {
+    if (!series) {
+        seriesLabel.textContent = '-';
+        return;
+    }
+    const game = Math.min(series.games.length + 1, series.bestOf);
+    seriesLabel.textContent = series.result
+        ? `${seriesScoreText(series)} 終了`
+        : `${seriesScoreText(series)} 第${game}局`;
+}
+
+// 途中ならスコア、シリーズが終わったら全対局の一覧 (リプレイは別タブで開く)
+function showSeriesSummary(series) {
+    restartLabel = series && !series.result ? '次の対局へ' : (series ? '新しいシリーズを始める' : 'もう一度遊ぶ');
+    setRestartWaiting(false);
+    if (!series) {
+        seriesSummary.classList.add('hidden');
+        return;
+    }
+    seriesSummary.classList.remove('hidden');
+    if (!series.result) {
+        seriesSummary.innerHTML = `<div class="series-score">${escapeHtml(seriesScoreText(series))}</div>`;
+        return;
+    }
+    const final = series.result === 'draw'
+        ? 'シリーズは引き分けです'
+        : `シリーズ勝者: ${series.result}${series.result === mySlot ? '（あなた）' : ''}`;
+    const rows = series.games.map((g, i) => `
+        <tr>
+            <td>第${i + 1}局</td>
+            <td>${g.winner ? `${escapeHtml(g.winnerName || g.winner)} の勝ち` : '引き分け'}</td>
+            <td>${escapeHtml(reasonText(g.reason) || g.reason || '')}</td>
+            <td>${g.gameId ? `<a href="?replay=${encodeURIComponent(g.gameId)}" target="_blank">🎬 リプレイ</a>` : ''}</td>
+        </tr>`).join('');
+    seriesSummary.innerHTML = `
+        <div class="series-final">${escapeHtml(final)}</div>
+        <div class="series-score">${escapeHtml(seriesScoreText(series))}</div>
+        <table>${rows}</table>`;
+}
+
 function fireConfetti() {
     const count = 200;
     const defaults = {
@@ -1177,17 +2513,37 @@ function fireConfetti() {
     fire(0.1, { spread: 120, startVelocity: 45 });
 }
 
-if (resultRestartBtn) {
-    resultRestartBtn.addEventListener('click', () => {
-        socket.emit('restart_game', {}, (ack) => {
-            if (ack && ack.ok) {
-                addLog('再戦リクエスト送信');
-                resultOverlay.classList.add('hidden'); 
-            }
-        });
+// 再戦・やり直しは相手の同意が要る (相手が CPU ならすぐ始まる)。
+// 相手が先に申し込んでいれば、こちらの申し込みがそのまま同意になる
+function requestRestart() {
+    socket.emit('restart_game', {}, (ack) => {
+        if (!ack || ack.error) {
+            addLog('再戦できません: ' + (ack && ack.error ? ack.error : 'unknown'));
+            return;
+        }
+        if (ack.pending) {
+            addLog('再戦を申し込みました (相手の返事を待っています)');
+            setRestartWaiting(true);
+        }
     });
 }
 
+let restartLabel = 'もう一度遊ぶ'; // N番勝負の途中なら「次の対局へ」
+
+function setRestartWaiting(waiting) {
+    if (!resultRestartBtn) return;
+    resultRestartBtn.disabled = waiting;
+    resultRestartBtn.textContent = waiting ? '相手を待っています...' : restartLabel;
+}
+
+if (resultRestartBtn) {
+    resultRestartBtn.addEventListener('click', requestRestart);
+}
+
+if (resultReplayBtn) {
+    resultReplayBtn.addEventListener('click', () => loadRoomReplay());
+}
+
 if (resultCloseBtn) {
     resultCloseBtn.addEventListener('click', () => {
         resultOverlay.classList.add('hidden');
@@ -1198,6 +2554,9 @@ if (resultCloseBtn) {
 // --- Socketイベントリスナー ---
 socket.on('connect', () => {
   myId = socket.id;
+  identifyPlayer();
+  if (currentRoomID) rejoinRoom();
+  else if (homeScreen.style.display !== 'none') setLobbySubscribed(true);
 });
 socket.on('init', (s) => {});
 socket.on('assign', (d) => {
@@ -1206,23 +2565,28 @@ socket.on('assign', (d) => {
         meLabel.textContent = mySlot;
         addLog(`(System) Role Assigned: ${d.slot}`);
         
-        // ★追加: Player Bならカメラを反対側に移動
+        // ★追加: 自分の席の側から盤を見る (Orange は反対側、Green / Purple は右・左)
         if (mySlot === 'Orange') {
             camera.position.set(0, 15, -18); // Zをマイナスに
-            camera.lookAt(0, 0, 0);
+        } else if (mySlot === 'Green') {
+            camera.position.set(18, 15, 0);
+        } else if (mySlot === 'Purple') {
+            camera.position.set(-18, 15, 0);
         } else {
             camera.position.set(0, 15, 18); // Aなら定位置
-            camera.lookAt(0, 0, 0);
         }
+        camera.lookAt(0, 0, 0);
 
         if (state) render(state);
     }
 });
 socket.on('start_game', (s) => {
   resultOverlay.classList.add('hidden');
+  setRestartWaiting(false);
   addLog('ゲーム開始！');
   clearSelection();
-  render(s);
+  if (replay) exitReplay(); // 新しい対局が始まったらライブに戻る
+  renderLive(s);
 
    // --- カットイン表示処理 ---
    if (!mySlot || mySlot === 'spectator') {
@@ -1247,16 +2611,63 @@ socket.on('start_game', (s) => {
  //}
 });
 socket.on('update_state', (s) => {
-  render(s); 
+  renderLive(s); 
 });
 socket.on('invalid_move', (d) => {
   addLog('不正手: ' + (d && d.reason ? d.reason : 'unknown'));
 });
 socket.on('game_over', (d) => {
-  addLog('ゲーム終了: 勝者 = ' + d.winner);
+  addLog(d.winner
+    ? `ゲーム終了: 勝者 = ${d.winner} (${d.reason || '-'})`
+    : `ゲーム終了: 引き分け (${d.reason || '-'})`);
   clearSelection();
-  render(d.state);
-  showResult(d.winner);
+  renderLive(d.state);
+  if (!replay) showResult(d.winner, d.reason, d.ratings, d.state.series);
+});
+socket.on('undo_requested', (d) => {
+  if (!d || d.slot === mySlot) return;
+  addLog(`${d.slot} が待ったを申し込みました`);
+  if (!mySlot || mySlot === 'spectator') return;
+  const accept = confirm(`${d.slot} が待ったを申し込んでいます。受けますか？`);
+  socket.emit('respond_undo', { accept }, (ack) => {
+    if (ack && ack.error) addLog('待ったの返答失敗: ' + ack.error);
+  });
+});
+socket.on('restart_requested', (d) => {
+  if (!d || d.slot === mySlot) return;
+  const what = d.midGame ? '対局のやり直し' : '再戦';
+  addLog(`${d.slot} が${what}を申し込みました`);
+  if (!mySlot || mySlot === 'spectator') return;
+  const accept = confirm(`${d.slot} が${what}を申し込んでいます。受けますか？`);
+  socket.emit('respond_restart', { accept }, (ack) => {
+    if (ack && ack.error) addLog('再戦の返答失敗: ' + ack.error);
+    else if (ack && ack.pending) addLog('ほかのプレイヤーの返事を待っています');
+  });
+});
+socket.on('restart_result', (d) => {
+  if (!d) return;
+  if (d.slot === mySlot) setRestartWaiting(false);
+  if (d.accepted) return; // 新しい対局は start_game で始まる
+  addLog(d.reason === 'cancelled' ? '再戦の申し込みは取り消されました' : '再戦は断られました');
+});
+socket.on('undo_result', (d) => {
+  if (!d) return;
+  if (d.accepted) {
+    addLog(`待ったが成立しました (${d.slot} の手番に戻ります)`);
+    clearSelection();
+  } else {
+    addLog(d.reason === 'cancelled' ? '待ったの申し込みは取り消されました' : '待ったは断られました');
+  }
+});
+socket.on('team_vote', (v) => {
+  teamVote = v ? { ...v, receivedAt: Date.now() } : null;
+  renderTeamVote();
+});
+socket.on('player_status', (d) => {
+  if (!d || d.slot === mySlot) return;
+  addLog(d.connected
+    ? `${d.slot} が再接続しました`
+    : `${d.slot} の接続が切れました (${Math.round((d.graceMs || 0) / 1000)}秒間 再接続を待ちます)`);
 });
 socket.on('disconnect', () => {
   addLog('サーバー切断');
@@ -0,0 +1,263 @@
+// notation.js (棋譜の表記 - server.js / client.js 共通)
+// 手の表記:
+//   手駒を置く   "L@b2"   (大きさの頭文字 S/M/L/X + @ + マス)
+//   盤上の移動   "a1-b2"  (移動元 - 移動先)
+// マスは列 a〜 (左から)、段 1〜 (Blue 側から) で表す。盤面の r = 0 が一番上の段 (3x3 なら 3 段目)。
+// 盤の大きさ・駒の種類はルール (rules.js の VARIANTS) ごとに違うので、各関数は rules を受け取る (省略時は標準ルール)。
+//
+// 棋譜ファイル (PGN 風):
+//   [Blue "名前"] などのヘッダー行、空行、手順 ("1. L@b2 {+3.2s} S@a3 {+5.0s}" のように先手・後手の2手で1行)
+//   { } の中は経過時間などの注釈で、読み込むときは無視してよい。
+//   標準以外のルールの対局には [Variant "gobblet"] のようにルール名のヘッダーが付く。
+//   ハウスルールは [Variant "custom"] と、駒・盤の設定を1行にした [Rules "sizes=small,medium;count=3;..."] (rules.js の formatHouseRules)。
+//   3〜4人対局は [Players "3"] と各席の名前 ([Green "名前"] など) が付き、手順は1巡 (人数分の手) で1行。
+//   途中で抜けたプレイヤーは [Eliminated "Green:12"] (12手指された後に脱落。複数なら "," 区切り) で表す。
+//   再接続を待っていて手番を飛ばされた席は [Skipped "Green:5,Purple:5"] (5手指された後の Green、続けて Purple の手番を飛ばした)。
+
+import { PLAYER_SLOTS, PLAYER_COUNTS, VARIANTS, STANDARD_RULES, applyMove, dropOut, initialPosition, nextTurn, parseHouseRulesText, seatsOf, withPlayers } from './rules.js';
+
+const FILES = 'abcdefgh';
+const sizeCode = size => size[0].toUpperCase();
+
+// ヘッダーの並び順 (ここにないヘッダーは後ろに付ける)
+export const RECORD_HEADERS = ['Event', 'Variant', 'Rules', 'Players', 'Room', 'Date', 'Time', 'Blue', 'Orange', 'Green', 'Purple', 'First', 'Result', 'Reason', 'Eliminated', 'Skipped'];
+
+// ----------------- マスと手 -----------------
+export function cellName({ r, c }, rules = STANDARD_RULES) {
+  return `${FILES[c]}${rules.boardSize - r}`;
+}
+
+export function parseCell(text, rules = STANDARD_RULES) {
+  const dim = rules.boardSize;
+  const m = /^([a-z])(\d)$/.exec(String(text));
+  if (!m) return null;
+  const c = FILES.slice(0, dim).indexOf(m[1]);
+  const r = dim - Number(m[2]);
+  if (c < 0 || r < 0 || r >= dim) return null;
+  return { r, c };
+}
+
+// place_piece の payload -> 表記
+export function formatMove(move, rules = STANDARD_RULES) {
+  if (move.action === 'place_from_hand') return `${sizeCode(move.size)}@${cellName(move.to, rules)}`;
+  return `${cellName(move.from, rules)}-${cellName(move.to, rules)}`;
+}
+
+// 表記 -> place_piece の payload (読めなければ null)
+export function parseMove(text, rules = STANDARD_RULES) {
+  const drop = /^([A-Z])@([a-z]\d)$/.exec(text);
+  if (drop) {
+    const size = rules.sizes.find(s => sizeCode(s) === drop[1]);
+    const to = parseCell(drop[2], rules);
+    return size && to ? { action: 'place_from_hand', size, to } : null;
+  }
+  const step = /^([a-z]\d)[-x]([a-z]\d)$/.exec(text);
+  if (step) {
+    const from = parseCell(step[1], rules);
+    const to = parseCell(step[2], rules);
+    return from && to ? { action: 'move_on_board', from, to } : null;
+  }
+  return null;
+}
+
+// ----------------- ルール -----------------
+// 棋譜のヘッダーからその対局のルールを返す (Variant がなければ標準ルール、分からなければ null)
+export function rulesFromHeaders(headers) {
+  const variant = headers.Variant || 'standard';
+  const base = variant === 'custom'
+    ? parseHouseRulesText(headers.Rules)
+    : Object.hasOwn(VARIANTS, variant) ? VARIANTS[variant] : null;
+  const players = Number(headers.Players || 2);
+  if (!base || !PLAYER_COUNTS.includes(players)) return null;
+  return withPlayers(base, players);
+}
+
+// "Green:12,Purple:20" の形のヘッダー -> [{ slot, ply }] (なければ []、読めなければ null)
+function parseSlotPlies(text, rules) {
+  if (!text) return [];
+  const list = text.split(',').map(part => {
+    const m = /^(\w+):(\d+)$/.exec(part.trim());
+    return m && seatsOf(rules).includes(m[1]) ? { slot: m[1], ply: Number(m[2]) } : null;
+  });
+  return list.every(Boolean) ? list : null;
+}
+
+// Eliminated ヘッダー -> [{ slot, ply }] (読めなければ null)
+export function eliminationsOf(headers, rules = STANDARD_RULES) {
+  return parseSlotPlies(headers.Eliminated, rules);
+}
+
+// Skipped ヘッダー -> [{ slot, ply }] (飛ばした順。読めなければ null)
+export function skipsOf(headers, rules = STANDARD_RULES) {
+  return parseSlotPlies(headers.Skipped, rules);
+}
+
+// [{ slot, ply }] -> Eliminated / Skipped ヘッダーの値 (空ならヘッダーを付けない)
+export function formatSlotPlies(list) {
+  return list.length ? list.map(({ slot, ply }) => `${slot}:${ply}`).join(',') : undefined;
+}
+
+// ply 手指された時点の脱落と手番の飛ばしを局面に反映する (棋譜の読み込みとリプレイで使う)
+// 飛ばしたはずの席がその時点の手番でなければ null
+export function applyTurnChanges(state, ply, eliminations, skips) {
+  for (const e of eliminations) if (e.ply === ply) state = dropOut(state, e.slot);
+  for (const skip of skips) {
+    if (skip.ply !== ply) continue;
+    if (state.currentTurn !== skip.slot) return null;
+    state = { ...state, currentTurn: nextTurn(state) };
+  }
+  return state;
+}
+
+// ----------------- 結果 -----------------
+// Result ヘッダー: 勝った側の slot / "Draw" / 終わっていなければ "*"
+export function resultTag(winner, reason) {
+  if (winner) return winner;
+  return reason ? 'Draw' : '*';
+}
+
+// ----------------- 書き出し -----------------
+// record: { headers: { Blue, Orange, ... }, moves: [{ notation, elapsedMs }] }
+export function formatRecord(record) {
+  const names = [...RECORD_HEADERS, ...Object.keys(record.headers).filter(k => !RECORD_HEADERS.includes(k))];
+  const lines = names
+    .filter(name => record.headers[name] !== undefined && record.headers[name] !== null)
+    .map(name => `[${name} "${String(record.headers[name]).replace(/["\\]/g, '\\$&')}"]`);
+  lines.push('');
+
+  // 先手・後手の2手で1行 (3〜4人対局は人数分の手で1行)
+  const perLine = Number(record.headers.Players) || 2;
+  for (let i = 0; i < record.moves.length; i += perLine) {
+    const round = record.moves.slice(i, i + perLine).map(m =>
+      m.elapsedMs === undefined ? m.notation : `${m.notation} {+${(m.elapsedMs / 1000).toFixed(1)}s}`
+    );
+    lines.push(`${i / perLine + 1}. ${round.join(' ')}`);
+  }
+  lines.push(record.headers.Result || '*');
+  return lines.join('\n') + '\n';
+}
+
+// ----------------- 読み込み -----------------
+// 棋譜の文字列を読み、ルールどおりに指し直して検証する
+//   成功: { ok: true, headers, moves: [{ notation, move, slot, line, elapsedMs }], winner, reason, state, rules }
+//   失敗: { ok: false, errors: [{ line, message }] }   line は1始まりの行番号
+export function parseRecord(text) {
+  const errors = [];
+  const headers = {};
+  const headerLines = {}; // ヘッダー名 -> 行番号 (エラー表示用)
+  const tokens = []; // { text, line }
+
+  const lines = String(text || '').split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = i + 1;
+    const body = raw.trim();
+    if (!body) return;
+    const header = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(body);
+    if (header) {
+      headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+      headerLines[header[1]] = line;
+      return;
+    }
+    if (body.startsWith('[')) {
+      errors.push({ line, message: 'ヘッダーの形式が不正です' });
+      return;
+    }
+    // 注釈 { ... } は経過時間だけ拾う
+    const re = /\{([^}]*)\}|(\S+)/g;
+    let m;
+    while ((m = re.exec(body))) {
+      if (m[1] !== undefined) {
+        const elapsed = /^\+(\d+(?:\.\d+)?)s$/.exec(m[1].trim());
+        if (elapsed && tokens.length) tokens.at(-1).elapsedMs = Math.round(Number(elapsed[1]) * 1000);
+        continue;
+      }
+      if (/^\d+\.$/.test(m[2])) continue; // 手数の番号
+      tokens.push({ text: m[2], line });
+    }
+  });
+
+  // 最後のトークンが結果なら手順から外す
+  const RESULT_TAGS = [...PLAYER_SLOTS, 'Draw', '*'];
+  if (tokens.length && RESULT_TAGS.includes(tokens.at(-1).text)) {
+    const tag = tokens.pop();
+    if (headers.Result && headers.Result !== tag.text) {
+      errors.push({ line: tag.line, message: `結果 ${tag.text} がヘッダーの Result "${headers.Result}" と一致しません` });
+    }
+    headers.Result = headers.Result || tag.text;
+  }
+
+  const rules = rulesFromHeaders(headers);
+  const seats = seatsOf(rules || STANDARD_RULES);
+  if (!rules) {
+    errors.push({
+      line: headerLines.Players || headerLines.Rules || headerLines.Variant,
+      message: headers.Players && !PLAYER_COUNTS.includes(Number(headers.Players))
+        ? `Players "${headers.Players}" は ${PLAYER_COUNTS.join(' / ')} のどれかで指定してください`
+        : headers.Variant === 'custom' ? `Rules "${headers.Rules || ''}" は不正です` : `Variant "${headers.Variant}" は知らないルールです`
+    });
+  }
+  const first = headers.First || seats[0];
+  if (!seats.includes(first)) {
+    errors.push({ line: headerLines.First, message: `First "${first}" は ${seats.join(' / ')} のどれかで指定してください` });
+  }
+  if (headers.Result && !['Draw', '*', ...seats].includes(headers.Result)) {
+    errors.push({ line: headerLines.Result, message: `Result "${headers.Result}" は不正です` });
+  }
+  const eliminations = eliminationsOf(headers, rules || STANDARD_RULES);
+  if (!eliminations) {
+    errors.push({ line: headerLines.Eliminated, message: `Eliminated "${headers.Eliminated}" は不正です` });
+  }
+  const skips = skipsOf(headers, rules || STANDARD_RULES);
+  if (!skips) {
+    errors.push({ line: headerLines.Skipped, message: `Skipped "${headers.Skipped}" は不正です` });
+  }
+  if (errors.length) return { ok: false, errors };
+
+  // 初期局面から1手ずつ指し直す (途中で脱落したプレイヤー・飛ばされた手番はその時点で反映する)
+  let state = initialPosition(rules, first);
+  const moves = [];
+  const turnChangesAt = ply => {
+    const next = applyTurnChanges(state, ply, eliminations, skips);
+    if (!next) {
+      errors.push({ line: headerLines.Skipped, message: `Skipped "${headers.Skipped}": ${ply}手目の後の手番と合いません` });
+      return false;
+    }
+    state = next;
+    return true;
+  };
+  for (const token of tokens) {
+    if (!turnChangesAt(moves.length)) break;
+    if (state.winner) {
+      errors.push({ line: token.line, message: `決着後に手があります: ${token.text}` });
+      break;
+    }
+    const move = parseMove(token.text, rules);
+    if (!move) {
+      errors.push({ line: token.line, message: `手の表記が読めません: ${token.text}` });
+      break;
+    }
+    const slot = state.currentTurn;
+    const result = applyMove(state, move);
+    if (!result.ok) {
+      errors.push({ line: token.line, message: `${moves.length + 1}手目 ${token.text} (${slot}) は指せません: ${result.error}` });
+      break;
+    }
+    moves.push({ notation: formatMove(move, rules), move, slot, line: token.line, elapsedMs: token.elapsedMs });
+    state = result.state;
+  }
+  if (!errors.length && !state.winner) turnChangesAt(moves.length);
+
+  // 盤上で決着したなら、ヘッダーの結果と食い違っていないか確かめる
+  if (!errors.length && state.winner && headers.Result && headers.Result !== '*' && headers.Result !== state.winner) {
+    errors.push({
+      line: headerLines.Result || moves.at(-1).line,
+      message: `Result "${headers.Result}" ですが、手順では ${state.winner} が勝っています`
+    });
+  }
+  if (errors.length) return { ok: false, errors };
+
+  // 時間切れ・千日手などは盤面から分からないのでヘッダーの結果を使う
+  const winner = state.winner || (seats.includes(headers.Result) ? headers.Result : null);
+  const reason = state.reason || headers.Reason || null;
+  return { ok: true, headers, moves, winner, reason, state, rules };
+}
@@ -0,0 +1,582 @@
+// rules.js (ルールエンジン - server.js / client.js 共通)
+// 盤面や手駒を直接書き換えない純粋関数だけを置く。
+// ブラウザからは /rules.js、サーバーからは ./public/rules.js として読み込む。
+
+// サイズ定義 (標準ルール)
+export const SIZE_VAL = { small: 1, medium: 2, large: 3 };
+export const SIZES = Object.keys(SIZE_VAL);
+export const SLOTS = ['Blue', 'Orange'];
+export const BOARD_DIM = 3;
+
+// 3〜4人対局の席 (手番もこの順に回る)。2人対局は先頭の2席 (= SLOTS)
+export const PLAYER_SLOTS = ['Blue', 'Orange', 'Green', 'Purple'];
+export const PLAYER_COUNTS = [2, 3, 4];
+const MAX_MULTIPLAYER_BOARD = 6;
+
+// 縦・横・斜めの勝利ライン (標準ルール)
+export const LINES = [
+  [[0,0],[0,1],[0,2]], [[1,0],[1,1],[1,2]], [[2,0],[2,1],[2,2]], // rows
+  [[0,0],[1,0],[2,0]], [[0,1],[1,1],[2,1]], [[0,2],[1,2],[2,2]], // cols
+  [[0,0],[1,1],[2,2]], [[0,2],[1,1],[2,0]] // diags
+];
+
+// ----------------- ルール設定 -----------------
+// 盤の大きさ・駒の種類と数は部屋ごとのルール (state.rules) で決まる。state.rules がなければ標準ルール
+//   variant:    ルール名 (VARIANTS のキー。ハウスルールは 'custom')
+//   sizes:      駒の大きさ (小さい順。大きい駒は小さい駒に被せられる)
+//   count:      各大きさの駒を1人何個持つか
+//   boardSize:  盤の一辺のマス数
+//   winLength:  何個並べたら勝ちか
+//   stacks:     true なら手駒は count 個の入れ子の山で、各山の一番上 (一番大きい駒) しか使えない
+//   handGobble: 'always' = 手駒を盤上の駒に被せられる
+//               'threat' = 手駒で被せられるのは、相手が winLength - 1 個並べている列の相手の駒だけ
+//   players:    対局する人数 (省略時は 2。withPlayers で決める)
+export const VARIANTS = Object.freeze({
+  standard: Object.freeze({
+    variant: 'standard', sizes: SIZES, count: 2, boardSize: BOARD_DIM, winLength: 3, stacks: false, handGobble: 'always'
+  }),
+  gobblet: Object.freeze({
+    variant: 'gobblet', sizes: ['small', 'medium', 'large', 'xlarge'], count: 3, boardSize: 4, winLength: 4, stacks: true, handGobble: 'threat'
+  })
+});
+export const STANDARD_RULES = VARIANTS.standard;
+
+// ----------------- ハウスルール -----------------
+// 部屋を作るときに駒の種類・数・盤の大きさ・勝ちの長さを自由に決めるルール (variant: 'custom')
+// 駒の大きさはこの中から選び、序列もこの順 (後ろほど大きい) になる
+export const SIZE_PALETTE = ['small', 'medium', 'large', 'xlarge'];
+export const HOUSE_RULE_LIMITS = Object.freeze({
+  sizes: { min: 2, max: SIZE_PALETTE.length },
+  count: { min: 1, max: 4 },
+  boardSize: { min: 3, max: 5 }
+});
+const HAND_GOBBLE = ['always', 'threat']; // rules.handGobble
+
+// 受け取ったハウスルールを検証して rules の形にする。ありえない設定なら null
+//   raw: { sizes: ['small', 'medium', ...], count, boardSize, winLength, stacks, handGobble }
+//   sizes は小さい順 (SIZE_PALETTE の順)。winLength は 3 〜 boardSize
+export function parseHouseRules(raw) {
+  if (!raw || !Array.isArray(raw.sizes)) return null;
+  const sizes = SIZE_PALETTE.filter(size => raw.sizes.includes(size));
+  if (sizes.length !== raw.sizes.length || raw.sizes.some((size, i) => size !== sizes[i])) return null;
+  const { min, max } = HOUSE_RULE_LIMITS.sizes;
+  if (sizes.length < min || sizes.length > max) return null;
+
+  const inRange = (v, range) => Number.isInteger(v) && v >= range.min && v <= range.max;
+  const count = Number(raw.count);
+  const boardSize = Number(raw.boardSize);
+  const winLength = Number(raw.winLength ?? boardSize);
+  if (!inRange(count, HOUSE_RULE_LIMITS.count) || !inRange(boardSize, HOUSE_RULE_LIMITS.boardSize)) return null;
+  if (!inRange(winLength, { min: 3, max: boardSize })) return null;
+
+  const handGobble = raw.handGobble ?? 'always';
+  if (!HAND_GOBBLE.includes(handGobble)) return null;
+  return { variant: 'custom', sizes, count, boardSize, winLength, stacks: raw.stacks === true, handGobble };
+}
+
+// 棋譜の Rules ヘッダー用の1行表記
+//   例: "sizes=small,medium,large,xlarge;count=3;board=4;win=3;stacks=0;gobble=always"
+export function formatHouseRules(rules) {
+  return [
+    `sizes=${rules.sizes.join(',')}`,
+    `count=${rules.count}`,
+    `board=${rules.boardSize}`,
+    `win=${rules.winLength}`,
+    `stacks=${rules.stacks ? 1 : 0}`,
+    `gobble=${rules.handGobble}`
+  ].join(';');
+}
+
+export function parseHouseRulesText(text) {
+  const fields = Object.fromEntries(String(text || '').split(';').map(part => part.split('=')));
+  if (!fields.sizes) return null;
+  return parseHouseRules({
+    sizes: fields.sizes.split(','),
+    count: Number(fields.count),
+    boardSize: Number(fields.board),
+    winLength: Number(fields.win),
+    stacks: fields.stacks === '1',
+    handGobble: fields.gobble
+  });
+}
+
+export function rulesOf(state) {
+  return (state && state.rules) || STANDARD_RULES;
+}
+
+// 3〜4人で遊ぶときのルール。人数が1人増えるごとに盤の一辺を1マス広げる (勝ちの長さはそのまま)
+export function withPlayers(rules, players) {
+  if (!PLAYER_COUNTS.includes(players) || players === 2) return rules;
+  const boardSize = Math.min(MAX_MULTIPLAYER_BOARD, rules.boardSize + players - 2);
+  return { ...rules, players, boardSize };
+}
+
+// そのルールで使う席 (手番順)
+export function seatsOf(rules = STANDARD_RULES) {
+  return PLAYER_SLOTS.slice(0, rules.players || 2);
+}
+
+// ルールから導く値 (勝利ライン・対称変換など) はルールの中身ごとに1回だけ作る
+const geometryCache = new Map();
+
+// { dim, sizeVal, lines, linesThrough, symmetryIndex, tag }
+//   linesThrough[r * dim + c]: そのマスを通るライン
+//   tag: canonicalKey の先頭に付ける文字列 (標準ルールは空)
+export function geometryOf(rules = STANDARD_RULES) {
+  const key = rulesKey(rules);
+  let geometry = geometryCache.get(key);
+  if (!geometry) {
+    geometry = buildGeometry(rules, key === rulesKey(STANDARD_RULES) ? '' : `${key};`);
+    geometryCache.set(key, geometry);
+  }
+  return geometry;
+}
+
+function rulesKey(rules) {
+  return [rules.sizes.join(','), rules.count, rules.boardSize, rules.winLength, rules.stacks ? 1 : 0, rules.handGobble, rules.players || 2].join('/');
+}
+
+function buildGeometry(rules, tag) {
+  const dim = rules.boardSize;
+  const len = rules.winLength;
+  const sizeVal = Object.fromEntries(rules.sizes.map((size, i) => [size, i + 1]));
+
+  // 縦・横・斜めに len 個続くマスの組をすべて列挙する
+  const lines = [];
+  const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+  for (const [dr, dc] of directions) {
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        const line = [];
+        for (let i = 0; i < len; i++) line.push([r + dr * i, c + dc * i]);
+        if (line.every(([lr, lc]) => lr >= 0 && lr < dim && lc >= 0 && lc < dim)) lines.push(line);
+      }
+    }
+  }
+  const linesThrough = Array.from({ length: dim * dim }, () => []);
+  for (const line of lines) {
+    for (const [r, c] of line) linesThrough[r * dim + c].push(line);
+  }
+
+  return { dim, sizeVal, lines, linesThrough, symmetryIndex: symmetryIndexOf(dim), tag };
+}
+
+export function initialPieces(rules = STANDARD_RULES) {
+  return Object.fromEntries(rules.sizes.map(size => [size, rules.count]));
+}
+
+export function emptyBoard(rules = STANDARD_RULES) {
+  return Array.from({ length: rules.boardSize }, () => Array.from({ length: rules.boardSize }, () => []));
+}
+
+// 初期局面 (parsePosition と同じ形)
+export function initialPosition(rules = STANDARD_RULES, first = SLOTS[0]) {
+  const players = Object.fromEntries(seatsOf(rules).map(slot => [slot, { pieces: initialPieces(rules), color: slot.toLowerCase() }]));
+  return { board: emptyBoard(rules), players, currentTurn: first, winner: null, reason: null, rules };
+}
+
+// applyMove が返すエラーコード (ack の error にそのまま使う)
+export const MOVE_ERROR = Object.freeze({
+  GAME_OVER: 'game_over',
+  BAD_MOVE: 'bad_move',       // payload の形式が不正
+  NO_PIECE: 'no_piece',       // その大きさの手駒が残っていない
+  EMPTY: 'empty',             // 移動元のマスに駒がない
+  NOT_YOURS: 'not_yours',     // 移動元の一番上が自分の駒ではない
+  ILLEGAL: 'illegal',         // 同じか大きい駒の上には置けない
+  BURIED: 'buried',           // 入れ子の山の下にあって、まだ使えない手駒
+  NO_GOBBLE: 'no_gobble'      // このルールでは手駒をそこに被せられない
+});
+
+// game_over の reason コード
+export const WIN_REASON = Object.freeze({
+  LINE: 'line',                   // 自分の手でラインを揃えた
+  REVEALED_LINE: 'revealed_line', // 持ち上げて現れた相手のラインを塞げなかった
+  BOTH_LINES: 'both_lines',       // 両者のラインが同時に揃った (手番側の負け)
+  TIMEOUT: 'timeout',             // 持ち時間切れ (時計はサーバーが管理する)
+  ABANDONED: 'abandoned'          // レート戦で相手が退出・再接続の猶予切れ、3〜4人対局で最後の1人になった (サーバーが判定する)
+});
+
+// 引き分けの reason コード (winner は null)
+export const DRAW_REASON = Object.freeze({
+  REPETITION: 'repetition',       // 同一局面が3回現れた
+  MOVE_LIMIT: 'move_limit'        // 決着がつかないまま手数上限に達した
+});
+
+// ----------------- 結果型 -----------------
+// applyMove の戻り値
+//   成功: { ok: true, state, winner, reason }  state は新しいオブジェクト (引数は変更しない)
+//         決着がついていなければ winner / reason は null
+//   失敗: { ok: false, error }                 error は MOVE_ERROR のいずれか
+function ok(state) {
+  return { ok: true, state, winner: state.winner, reason: state.reason };
+}
+function fail(error) {
+  return { ok: false, error };
+}
+
+// ----------------- 基本判定 -----------------
+// 2人対局の相手
+export function opponentOf(slot) {
+  return slot === 'Blue' ? 'Orange' : 'Blue';
+}
+
+// slot の次に指す席。脱落した (players[x].out) プレイヤーは飛ばす
+// 2人対局では opponentOf と同じ
+export function nextTurn(state, slot = state.currentTurn) {
+  const next = seatsAfter(slot, rulesOf(state)).find(seat => !state.players[seat]?.out);
+  return next || slot;
+}
+
+// slot のプレイヤーを脱落させた局面 (3〜4人対局で席を離れたとき)。駒は盤に残り、以後の手番は飛ばす
+export function dropOut(state, slot) {
+  const next = { ...state, players: { ...state.players, [slot]: { ...state.players[slot], out: true } } };
+  if (next.currentTurn === slot) next.currentTurn = nextTurn(next, slot);
+  return next;
+}
+
+// slot の後ろに座っている席を手番順に (slot 自身は含まない)
+function seatsAfter(slot, rules) {
+  const seats = seatsOf(rules);
+  const start = seats.indexOf(slot);
+  return seats.slice(start + 1).concat(seats.slice(0, start));
+}
+
+function isCell(pos, dim) {
+  return !!pos
+    && Number.isInteger(pos.r) && pos.r >= 0 && pos.r < dim
+    && Number.isInteger(pos.c) && pos.c >= 0 && pos.c < dim;
+}
+
+export function canPlaceAt(board, toR, toC, pieceSizeName, rules = STANDARD_RULES) {
+  const { sizeVal } = geometryOf(rules);
+  const targetStack = board[toR][toC];
+  const topPiece = targetStack.at(-1);
+  const pieceVal = sizeVal[pieceSizeName];
+  if (!topPiece) return true;
+  if (pieceVal > sizeVal[topPiece.size]) return true;
+  return false;
+}
+
+// 手駒のうち、その大きさを今使えるか (入れ子の山では一番上に出ている大きさだけ)
+// 山は小さい駒から積むので、size の残りが一回り大きい駒の残りより多ければ、その大きさが一番上の山がある
+export function canUseFromHand(pieces, size, rules = STANDARD_RULES) {
+  if (!(pieces[size] > 0)) return false;
+  if (!rules.stacks) return true;
+  const larger = rules.sizes[rules.sizes.indexOf(size) + 1];
+  return !larger || pieces[size] > (pieces[larger] || 0);
+}
+
+// 手駒を (r, c) の駒に被せてよいか (大きさの判定は canPlaceAt)
+function canGobbleFromHand(board, r, c, slot, rules) {
+  const top = board[r][c].at(-1);
+  if (!top || rules.handGobble !== 'threat') return true;
+  if (top.owner === slot) return false;
+  const { dim, linesThrough } = geometryOf(rules);
+  return linesThrough[r * dim + c].some(line =>
+    line.filter(([lr, lc]) => board[lr][lc].at(-1)?.owner === top.owner).length >= rules.winLength - 1
+  );
+}
+
+// 一番上の駒で揃っているラインを持ち主ごとに返す { Blue: [line...], Orange: [line...], ... }
+// players (state.players) を渡すと、脱落した (out) プレイヤーのラインは数えない (盤に残った駒は相手のラインを塞ぐだけ)
+export function findLines(board, rules = STANDARD_RULES, players = null) {
+  const found = {};
+  for (const slot of seatsOf(rules)) found[slot] = [];
+  for (const line of geometryOf(rules).lines) {
+    const topOwners = line.map(([r,c]) => {
+      const stack = board[r][c];
+      return stack.length ? stack.at(-1).owner : null;
+    });
+    if (topOwners.every(o => o && o === topOwners[0]) && !players?.[topOwners[0]]?.out) {
+      found[topOwners[0]].push(line);
+    }
+  }
+  return found;
+}
+
+// ラインが揃っているプレイヤーを返す。
+// 複数人揃っている場合は mover (直前に指した側) 以外で、mover の次に近い手番の人の勝ち。mover 省略時は null
+// players は findLines と同じ (脱落したプレイヤーは勝ちにならない)
+export function checkWinner(board, mover = null, rules = STANDARD_RULES, players = null) {
+  const found = findLines(board, rules, players);
+  const owners = seatsOf(rules).filter(slot => found[slot].length);
+  if (owners.length === 1) return owners[0];
+  if (owners.length > 1 && mover) return seatsAfter(mover, rules).find(slot => found[slot].length);
+  return null;
+}
+
+function cloneBoard(board) {
+  return board.map(row => row.map(stack => stack.slice()));
+}
+
+// ----------------- 手の適用 -----------------
+// state: { board, players: { Blue: { pieces, color }, Orange: {...} }, currentTurn, winner, reason, rules }
+// reason が入っていれば終局済み (winner が null なら引き分け)。rules は省略すると標準ルール
+// 3〜4人対局では players に Green / Purple も入る。out: true のプレイヤーは脱落済み (ラインも数えない)
+// move:  place_piece の payload と同じ形
+//   { action: 'place_from_hand', size, to: { r, c } }
+//   { action: 'move_on_board', from: { r, c }, to: { r, c } }
+// 手番は state.currentTurn のプレイヤーとして扱う
+export function applyMove(state, move) {
+  if (state.winner || state.reason) return fail(MOVE_ERROR.GAME_OVER);
+
+  const rules = rulesOf(state);
+  const { dim, sizeVal } = geometryOf(rules);
+  const slot = state.currentTurn;
+  const player = state.players[slot];
+  if (!player || !move || !isCell(move.to, dim)) return fail(MOVE_ERROR.BAD_MOVE);
+
+  const board = cloneBoard(state.board);
+  const { to } = move;
+  let pieces = player.pieces;
+  let revealed = false;
+  // 相手 (手番順。2人対局なら opponentOf(slot) だけ)。脱落したプレイヤーのラインは findLines が数えない
+  const rivals = seatsAfter(slot, rules);
+
+  if (move.action === 'place_from_hand') {
+    const { size } = move;
+    if (!(size in sizeVal)) return fail(MOVE_ERROR.BAD_MOVE);
+    if (!(pieces[size] > 0)) return fail(MOVE_ERROR.NO_PIECE);
+    if (!canUseFromHand(pieces, size, rules)) return fail(MOVE_ERROR.BURIED);
+    if (!canPlaceAt(board, to.r, to.c, size, rules)) return fail(MOVE_ERROR.ILLEGAL);
+    if (!canGobbleFromHand(board, to.r, to.c, slot, rules)) return fail(MOVE_ERROR.NO_GOBBLE);
+
+    board[to.r][to.c].push({ owner: slot, size, color: player.color });
+    pieces = { ...pieces, [size]: pieces[size] - 1 };
+
+  } else if (move.action === 'move_on_board') {
+    const { from } = move;
+    if (!isCell(from, dim)) return fail(MOVE_ERROR.BAD_MOVE);
+    const srcStack = board[from.r][from.c];
+    if (!srcStack.length) return fail(MOVE_ERROR.EMPTY);
+    const top = srcStack.at(-1);
+    if (top.owner !== slot) return fail(MOVE_ERROR.NOT_YOURS);
+    if (!canPlaceAt(board, to.r, to.c, top.size, rules)) return fail(MOVE_ERROR.ILLEGAL);
+
+    // 持ち上げた時点で相手のラインが現れても、そのラインの駒に被せて塞げば続行できる
+    srcStack.pop();
+    const lifted = findLines(board, rules, state.players);
+    revealed = rivals.some(rival => lifted[rival].length > 0);
+    board[to.r][to.c].push(top);
+
+  } else {
+    return fail(MOVE_ERROR.BAD_MOVE);
+  }
+
+  // 相手のラインが揃っていれば、手番順で一番近い相手の勝ち
+  const found = findLines(board, rules, state.players);
+  const mine = found[slot].length > 0;
+  const theirs = rivals.find(rival => found[rival].length > 0);
+  let winner = null;
+  let reason = null;
+  if (mine && theirs) {
+    winner = theirs;
+    reason = WIN_REASON.BOTH_LINES;
+  } else if (theirs) {
+    winner = theirs;
+    reason = revealed ? WIN_REASON.REVEALED_LINE : WIN_REASON.LINE;
+  } else if (mine) {
+    winner = slot;
+    reason = WIN_REASON.LINE;
+  }
+
+  const next = { ...state, board, players: { ...state.players, [slot]: { ...player, pieces } }, winner, reason };
+  next.currentTurn = winner ? slot : nextTurn(next, slot);
+  return ok(next);
+}
+
+// ----------------- 合法手の列挙 -----------------
+// slot の合法手を place_piece の payload 形式で返す (手番かどうかは問わない)
+export function legalMoves(state, slot = state.currentTurn) {
+  const moves = [];
+  if (state.winner || state.reason) return moves;
+  const rules = rulesOf(state);
+  const dim = rules.boardSize;
+  const player = state.players[slot];
+  const board = state.board;
+
+  if (player) {
+    for (const size of rules.sizes) {
+      if (!canUseFromHand(player.pieces, size, rules)) continue;
+      for (let r = 0; r < dim; r++) {
+        for (let c = 0; c < dim; c++) {
+          if (canPlaceAt(board, r, c, size, rules) && canGobbleFromHand(board, r, c, slot, rules)) {
+            moves.push({ action: 'place_from_hand', size, to: { r, c } });
+          }
+        }
+      }
+    }
+  }
+
+  for (let fr = 0; fr < dim; fr++) {
+    for (let fc = 0; fc < dim; fc++) {
+      const top = board[fr][fc].at(-1);
+      if (!top || top.owner !== slot) continue;
+      for (let r = 0; r < dim; r++) {
+        for (let c = 0; c < dim; c++) {
+          if (r === fr && c === fc) continue;
+          if (canPlaceAt(board, r, c, top.size, rules)) {
+            moves.push({ action: 'move_on_board', from: { r: fr, c: fc }, to: { r, c } });
+          }
+        }
+      }
+    }
+  }
+  return moves;
+}
+
+// 勝敗 (または引き分け) が決している局面かどうか (脱落したプレイヤーのラインは数えない)
+export function isTerminal(state) {
+  return !!(state.winner || state.reason || checkWinner(state.board, null, rulesOf(state), state.players));
+}
+
+// 局面を一意に表す文字列 (盤面・手駒・手番)。千日手の判定や /api/analyze の position に使う
+//   例: "Bl//|/OsBm/|//;211,122;Orange"
+//   マスは行内を "/"、行を "|" で区切り、駒は 持ち主の頭文字 + サイズの頭文字 を下から並べる
+//   手駒は rules.sizes の順 (小さい順) に残りの数を席の順に並べる
+export function positionKey(state) {
+  const rules = rulesOf(state);
+  const { sizes } = rules;
+  const cells = state.board
+    .map(row => row.map(stack => stack.map(p => p.owner[0] + p.size[0]).join('')).join('/'))
+    .join('|');
+  const hands = seatsOf(rules)
+    .map(slot => {
+      const p = state.players[slot];
+      return p ? sizes.map(size => p.pieces[size]).join('') : '-';
+    })
+    .join(',');
+  return `${cells};${hands};${state.currentTurn}`;
+}
+
+// positionKey の文字列から局面を復元する。形式やルール上ありえない局面なら null
+export function parsePosition(text, rules = STANDARD_RULES) {
+  const parts = String(text || '').split(';');
+  if (parts.length !== 3) return null;
+  const [cellsText, handsText, turn] = parts;
+  const seats = seatsOf(rules);
+  if (!seats.includes(turn)) return null;
+
+  const { dim, sizeVal } = geometryOf(rules);
+  const { sizes } = rules;
+  const ownerOf = Object.fromEntries(seats.map(slot => [slot[0], slot]));
+  const sizeOf = Object.fromEntries(sizes.map(size => [size[0], size]));
+  const used = Object.fromEntries(seats.map(slot => [slot, Object.fromEntries(sizes.map(s => [s, 0]))]));
+
+  const rows = cellsText.split('|');
+  if (rows.length !== dim) return null;
+  const board = [];
+  for (const rowText of rows) {
+    const cells = rowText.split('/');
+    if (cells.length !== dim) return null;
+    const row = [];
+    for (const cellText of cells) {
+      if (cellText.length % 2) return null;
+      const stack = [];
+      for (let i = 0; i < cellText.length; i += 2) {
+        const owner = ownerOf[cellText[i]];
+        const size = sizeOf[cellText[i + 1]];
+        if (!owner || !size) return null;
+        // 下の駒より大きくなければ積めない
+        if (stack.length && sizeVal[size] <= sizeVal[stack.at(-1).size]) return null;
+        stack.push({ owner, size, color: owner.toLowerCase() });
+        used[owner][size]++;
+      }
+      row.push(stack);
+    }
+    board.push(row);
+  }
+
+  const hands = handsText.split(',');
+  if (hands.length !== seats.length) return null;
+  const players = {};
+  for (let i = 0; i < seats.length; i++) {
+    const slot = seats[i];
+    if (hands[i].length !== sizes.length || !/^\d+$/.test(hands[i])) return null;
+    const pieces = {};
+    sizes.forEach((size, j) => {
+      pieces[size] = Number(hands[i][j]);
+    });
+    // 盤上と手駒を合わせて各サイズ rules.count 個まで
+    if (sizes.some(size => pieces[size] + used[slot][size] > rules.count)) return null;
+    // 入れ子の山は小さい駒から積むので、大きい駒ほど残りが多いことはない
+    if (rules.stacks && sizes.some((size, j) => j > 0 && pieces[size] > pieces[sizes[j - 1]])) return null;
+    players[slot] = { pieces, color: slot.toLowerCase() };
+  }
+
+  return { board, players, currentTurn: turn, winner: null, reason: null, rules };
+}
+
+// ----------------- 盤面の対称性 -----------------
+// 回転・反転で重なる局面は同じ局面として扱える (探索の置換表用)
+// 各要素は (r, c) -> [r', c'] の座標変換
+export function symmetriesOf(dim) {
+  const edge = dim - 1;
+  return [
+    (r, c) => [r, c],
+    (r, c) => [c, edge - r],
+    (r, c) => [edge - r, edge - c],
+    (r, c) => [edge - c, r],
+    (r, c) => [r, edge - c],
+    (r, c) => [edge - r, c],
+    (r, c) => [c, r],
+    (r, c) => [edge - c, edge - r]
+  ];
+}
+export const SYMMETRIES = symmetriesOf(BOARD_DIM);
+
+export function transformBoard(board, sym) {
+  const dim = board.length;
+  const out = board.map(row => row.map(() => null));
+  for (let r = 0; r < dim; r++) {
+    for (let c = 0; c < dim; c++) {
+      const [r2, c2] = sym(r, c);
+      out[r2][c2] = board[r][c];
+    }
+  }
+  return out;
+}
+
+// 変換後の i 番目のマスが、変換前のどのマスか (r * dim + c の添字)
+function symmetryIndexOf(dim) {
+  return symmetriesOf(dim).map(sym => {
+    const index = [];
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        const [r2, c2] = sym(r, c);
+        index[r2 * dim + c2] = r * dim + c;
+      }
+    }
+    return index;
+  });
+}
+
+// マスの中身を1文字に詰める (サイズごとに 空 / 各席 の 人数 + 1 通り。2人なら3通り)
+function cellCode(stack, sizeVal, seats) {
+  const base = seats.length + 1;
+  let code = 0;
+  for (const p of stack) code += (seats.indexOf(p.owner) + 1) * base ** (sizeVal[p.size] - 1);
+  return String.fromCharCode(48 + code);
+}
+
+// 回転・反転で重なる局面に共通のキー。探索の置換表で何度も呼ぶので短い文字列にしている
+// (positionKey と違って人が読む形式ではない。標準以外のルールは先頭にルールの印が付く)
+export function canonicalKey(state) {
+  const rules = rulesOf(state);
+  const { sizeVal, symmetryIndex, tag } = geometryOf(rules);
+  const seats = seatsOf(rules);
+  const codes = state.board.flat().map(stack => cellCode(stack, sizeVal, seats));
+  let best = null;
+  for (const index of symmetryIndex) {
+    let key = '';
+    for (const i of index) key += codes[i];
+    if (best === null || key < best) best = key;
+  }
+  const hands = seats
+    .map(slot => {
+      const p = state.players[slot];
+      return p ? rules.sizes.map(size => p.pieces[size]).join('') : '-';
+    })
+    .join('');
+  return `${tag}${best}${hands}${state.currentTurn[0]}`;
+}
@@ -1,7 +1,23 @@
 // server.js (Multi-room & Auto-ID generation & Chat supported)
 import express from "express";
 import http from "http";
+import crypto from "crypto";
+import { promisify } from "util";
 import { Server as IOServer } from "socket.io";
+import {
+  applyMove, positionKey, parsePosition, opponentOf, nextTurn, seatsOf, withPlayers, initialPieces, emptyBoard, parseHouseRules, formatHouseRules,
+  VARIANTS, PLAYER_COUNTS, DRAW_REASON, WIN_REASON
+} from "./public/rules.js";
+import { BOT_LEVELS } from "./server/ai.js";
+import { Engine, EngineBusy, enginePosition } from "./server/engine.js";
+import { formatMove, parseMove, formatRecord, formatSlotPlies, parseRecord, resultTag } from "./public/notation.js";
+import { createStorage } from "./server/storage.js";
+import { attachBotServer, BOT_PROTOCOL_VERSION } from "./server/botProtocol.js";
+import { pickOpponent } from "./server/matchmaking.js";
+import {
+  initPlayers, flushPlayers, identify, getPlayer, renamePlayer, tokenFor, applyResult,
+  recordGame, publicProfile, leaderboard, loadGame
+} from "./server/players.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -9,6 +25,126 @@ const io = new IOServer(server);
 
 app.use(express.static("public"));
 
+// ----------------- 回数制限 -----------------
+// 1つの IP からの呼び出しを rate.windowMs あたり rate.count 回までに抑える関数を作る
+function createRateLimit(rate) {
+  const hits = new Map(); // IP -> 直近 windowMs 以内に呼ばれた時刻
+
+  // しばらく呼んでいない IP の記録を消す
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, times] of hits) {
+      if (!times.length || now - times.at(-1) >= rate.windowMs) hits.delete(ip);
+    }
+  }, rate.windowMs).unref();
+
+  return ip => {
+    const now = Date.now();
+    const times = (hits.get(ip) || []).filter(t => now - t < rate.windowMs);
+    const allowed = times.length < rate.count;
+    if (allowed) times.push(now);
+    hits.set(ip, times);
+    return allowed;
+  };
+}
+
+// ----------------- 局面評価 API -----------------
+// 読み切り (server/solver.js) は CPU の手とは別のワーカーで動かし、メインスレッドも CPU の手も待たせない。
+// 同じ局面の結果は使い回し、1つの IP からの評価は ANALYZE_RATE の回数までに抑える
+const analysisEngine = new Engine();
+const ANALYZE_CACHE_LIMIT = 1000;
+const analyzeCache = new Map(); // "<ルール>|<positionKey>|<reason>" -> analyze の結果の Promise (古いものから捨てる)
+const ANALYZE_RATE = { count: 10, windowMs: 60 * 1000 };
+const allowAnalyze = createRateLimit(ANALYZE_RATE);
+
+function analyzeCached(state) {
+  const key = `${JSON.stringify(state.rules ?? null)}|${positionKey(state)}|${state.reason || ""}`;
+  let result = analyzeCache.get(key);
+  if (!result) {
+    result = analysisEngine.run("analyze", enginePosition(state));
+    result.catch(() => analyzeCache.get(key) === result && analyzeCache.delete(key)); // 失敗 (混雑など) は覚えない
+    if (analyzeCache.size >= ANALYZE_CACHE_LIMIT) analyzeCache.delete(analyzeCache.keys().next().value);
+    analyzeCache.set(key, result);
+  }
+  return result;
+}
+
+// ワーカーでの探索に失敗したときの error コード
+function engineError(e) {
+  return e instanceof EngineBusy ? "engine_busy" : "engine_error";
+}
+
+// GET /api/analyze?position=<positionKey>  (形式は public/rules.js の positionKey を参照)
+//   429 rate_limited: 評価の回数が多すぎる / 503 engine_busy: 評価の順番待ちがいっぱい
+app.get("/api/analyze", async (req, res) => {
+  if (!allowAnalyze(req.ip)) return res.status(429).json({ error: "rate_limited" });
+  const state = parsePosition(req.query.position);
+  if (!state) return res.status(400).json({ error: "bad_position" });
+  try {
+    res.json(await analyzeCached(state));
+  } catch (e) {
+    res.status(503).json({ error: engineError(e) });
+  }
+});
+
+// ----------------- ロビー API -----------------
+// GET /api/rooms  公開されている部屋の一覧 (形は lobbyEntry を参照)
+app.get("/api/rooms", (req, res) => {
+  res.json(listLobby());
+});
+
+// ----------------- プレイヤー API -----------------
+// GET /api/players/:id       プロフィール・戦績・レーティングの推移・最近の対局 (publicProfile の形)
+// GET /api/leaderboard       レーティング順の一覧 (?limit=N, 最大100)
+// GET /api/games/:gameId     最近の対局の棋譜 ({ id, headers, moves }。moves は buildRecord の形)
+app.get("/api/players/:id", (req, res) => {
+  const profile = publicProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: "no_player" });
+  res.json(profile);
+});
+
+app.get("/api/leaderboard", (req, res) => {
+  const limit = Number(req.query.limit);
+  res.json(leaderboard(Number.isInteger(limit) && limit > 0 ? Math.min(limit, 100) : undefined));
+});
+
+app.get("/api/games/:gameId", async (req, res) => {
+  const game = await loadGame(req.params.gameId);
+  if (!game) return res.status(404).json({ error: "no_game" });
+  res.json(game);
+});
+
+// ----------------- 棋譜 API -----------------
+// GET /api/rooms/:roomID/records        その部屋に残っている棋譜の一覧 (終わった対局 + 進行中の対局)
+// GET /api/rooms/:roomID/record?game=N  棋譜ファイル (N を省略すると最新の対局)
+// (非公開の部屋は ?invite=<招待トークン> が必要)
+function findRoomForApi(req) {
+  const roomState = rooms[req.params.roomID];
+  if (!roomState) return null;
+  if (roomState.access?.private && req.query.invite !== roomState.access.inviteToken) return null;
+  return roomState;
+}
+
+app.get("/api/rooms/:roomID/records", (req, res) => {
+  if (!findRoomForApi(req)) return res.status(404).json({ error: "no_room" });
+  const list = listRecords(req.params.roomID);
+  res.json(list.map((record, game) => ({ game, headers: record.headers, moves: record.moves.length })));
+});
+
+app.get("/api/rooms/:roomID/record", (req, res) => {
+  const roomID = req.params.roomID;
+  if (!findRoomForApi(req)) return res.status(404).json({ error: "no_room" });
+  const list = listRecords(roomID);
+  const game = req.query.game === undefined ? list.length - 1 : Number(req.query.game);
+  const record = list[game];
+  if (!record) return res.status(404).json({ error: "no_record" });
+
+  const date = record.headers.Date.replace(/\./g, "");
+  res.type("text/plain; charset=utf-8");
+  res.attachment(`gobblet-${roomID}-${date}-${game + 1}.ggn`);
+  res.send(formatRecord(record));
+});
+
 // ----------------- データ管理 -----------------
 
 // 全部屋の状態を管理するオブジェクト
@@ -20,57 +156,1209 @@ function generateRoomId() {
   return Math.random().toString(36).substring(2, 6);
 }
 
+// 部屋ごとの設定 (部屋を作った人の join で指定できる)
+const DEFAULT_MAX_MOVES = 200; // 決着がつかないまま引き分けにする手数
+const MAX_MOVES_LIMIT = 1000;
+const MAX_CLOCK_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_TAKEBACKS = 3; // 1局で1人が「待った」を使える回数 (0 なら禁止)
+const MAX_ARCHIVED_GAMES = 20; // 部屋ごとに残しておく終わった対局の棋譜
+const SERIES_LENGTHS = [1, 3, 5, 7, 9]; // N番勝負 (1 なら1局ずつ)
+const FIRST_MOVES = ["random", "creator", "opponent"]; // 最初の対局の先手 (2局目からは交互)
+const CREATOR_COLORS = ["Blue", "Orange", "random"];
+const TEAM_VOTE_MS = [10, 20, 30, 60].map(s => s * 1000); // チーム戦で1手を相談する時間 (最初の案が出てから)
+const DEFAULT_TEAM_VOTE_MS = 20 * 1000;
+
+// ありえないハウスルール (variant が "custom" で houseRules が読めない) なら null を返す (部屋は作らず bad_rules と答える)
+function parseRoomOptions(raw) {
+  const options = {
+    maxMoves: DEFAULT_MAX_MOVES,
+    allowHints: raw?.allowHints !== false, // 対戦を重視する部屋ではヒントを禁止できる
+    clock: parseClockOption(raw?.clock),
+    maxTakebacks: DEFAULT_MAX_TAKEBACKS,
+    rated: false, // レート戦 (クイックマッチで作った部屋だけ。join では指定できない)
+    bestOf: 1, // N番勝負: 過半数を勝つか N 局指したら終わり
+    swapColors: raw?.swapColors === true, // 1局ごとに色 (席) を入れ替える
+    variant: Object.hasOwn(VARIANTS, raw?.variant) || raw?.variant === "custom" ? raw.variant : "standard", // ルールの種類 (rules.js の VARIANTS か "custom")
+    houseRules: null, // variant が "custom" のときのルール (駒の種類・数・盤の大きさ・勝ちの長さ)
+    players: PLAYER_COUNTS.includes(Number(raw?.players)) ? Number(raw.players) : 2, // 人数 (3〜4人は盤を広げて順番に指す)
+    teams: raw?.teams === true, // チーム戦: 同じ色に何人でも入り、案を出し合って投票で手を決める
+    teamVoteMs: TEAM_VOTE_MS.includes(Number(raw?.teamVoteMs)) ? Number(raw.teamVoteMs) : DEFAULT_TEAM_VOTE_MS,
+    firstMove: FIRST_MOVES.includes(raw?.firstMove) ? raw.firstMove : "random",
+    creatorColor: CREATOR_COLORS.includes(raw?.creatorColor) ? raw.creatorColor : "Blue",
+    allowSpectators: raw?.allowSpectators !== false,
+    spectatorChat: raw?.spectatorChat !== false // 観戦者のチャット (応援スタンプは対象外)
+  };
+  if (options.variant === "custom") {
+    options.houseRules = parseHouseRules(raw?.houseRules);
+    if (!options.houseRules) return null;
+  }
+  const bestOf = Number(raw?.bestOf);
+  if (SERIES_LENGTHS.includes(bestOf)) options.bestOf = bestOf;
+  const maxMoves = Number(raw?.maxMoves);
+  if (Number.isInteger(maxMoves) && maxMoves >= 10 && maxMoves <= MAX_MOVES_LIMIT) {
+    options.maxMoves = maxMoves;
+  }
+  const maxTakebacks = Number(raw?.maxTakebacks);
+  if (Number.isInteger(maxTakebacks) && maxTakebacks >= 0 && maxTakebacks <= 99) {
+    options.maxTakebacks = maxTakebacks;
+  }
+  // 持ち時間・待った・N番勝負・色の入れ替えは2人対局だけ
+  if (options.players > 2) Object.assign(options, { clock: null, maxTakebacks: 0, bestOf: 1, swapColors: false });
+  // チーム戦は2人対局だけ。チームのチャンネルが色ごとなので、色の入れ替えはしない
+  if (options.players > 2) options.teams = false;
+  if (options.teams) options.swapColors = false;
+  return options;
+}
+
+// 持ち時間 (null なら時計なし)
+//   { mode: "total", baseMs, incrementMs } : 1局の持ち時間 + 1手ごとの加算 (フィッシャー)
+//   { mode: "move", moveMs }               : 1手ごとの持ち時間
+function parseClockOption(raw) {
+  const inRange = (v, min) => Number.isInteger(v) && v >= min && v <= MAX_CLOCK_MS;
+  if (raw?.mode === "total") {
+    const baseMs = Number(raw.baseMs);
+    const incrementMs = Number(raw.incrementMs ?? 0);
+    if (inRange(baseMs, 10 * 1000) && inRange(incrementMs, 0)) return { mode: "total", baseMs, incrementMs };
+  }
+  if (raw?.mode === "move") {
+    const moveMs = Number(raw.moveMs);
+    if (inRange(moveMs, 5 * 1000)) return { mode: "move", moveMs };
+  }
+  return null;
+}
+
 // 部屋ごとの初期状態を作る関数
-function createNewGameState() {
+function createNewGameState(options = parseRoomOptions()) {
+  const base = options.variant === "custom" ? options.houseRules : VARIANTS[options.variant];
+  const rules = withPlayers(base, options.players);
   return {
-    board: [
-      [[], [], []],
-      [[], [], []],
-      [[], [], []]
-    ],
-    players: { Blue: null, Orange: null },
+    rules, // 盤の大きさ・駒の種類と数・勝ちに必要な列の長さ・人数
+    board: emptyBoard(rules),
+    players: Object.fromEntries(seatsOf(rules).map(slot => [slot, null])), // Blue / Orange (3〜4人対局は Green / Purple も)
     currentTurn: null,
     winner: null,
+    reason: null, // 決着理由 (rules.js の WIN_REASON)
     started: false,
-    chatLog: [] // ★追加: 部屋ごとのチャット履歴をここに保存
+    options,
+    moveCount: 0,
+    positionHistory: [], // 千日手判定用: 各手の後の positionKey
+    clock: null, // 持ち時間: { remaining: { Blue, Orange }, turnStartedAt }
+    history: [], // 指した手: { slot, name, move, time, before: 手を指す前の { board, pieces, currentTurn } }
+    eliminated: [], // 3〜4人対局で途中で抜けた人: { slot, ply: それまでに指された手数 }
+    skipped: [], // 3〜4人対局で再接続待ちのため飛ばした手番: { slot, ply } (飛ばした順)
+    gameStartedAt: null,
+    games: [], // 終わった対局の棋譜 (buildRecord の形)
+    pendingUndo: null, // 「待った」を申し込んでいる側の slot
+    pendingRestart: null, // 再戦 (やり直し) を申し込んでいる側の slot
+    restartAgreed: [], // 再戦に同意した slot (3〜4人対局は全員の同意が揃うまで待つ)
+    firstTurn: null, // 今の対局の先手 (次の対局は先手を入れ替える)
+    creatorToken: null, // 部屋を作った人の席のトークン (先手の設定用)
+    series: [], // N番勝負で終わった対局: { winner, winnerName, reason, gameId, first }  勝ち数は各席の seriesWins
+    chatLog: [], // ★追加: 部屋ごとのチャット履歴をここに保存
+    teamChat: {}, // チーム戦: チームごとのチャット履歴 { Blue: [...], Orange: [...] }
+    vote: null // チーム戦: 手番のチームの相談 { slot, proposals: [{ id, move, notation, by, voters: [token] }], deadline }
   };
 }
 
-// サイズ定義
-const SIZE_VAL = { small: 1, medium: 2, large: 3 };
-
-// ----------------- ルール判定関数 -----------------
-function canPlaceAt(board, toR, toC, pieceSizeName) {
-  const targetStack = board[toR][toC];
-  const topPiece = targetStack.at(-1);
-  const pieceVal = SIZE_VAL[pieceSizeName];
-  if (!topPiece) return true;
-  if (pieceVal > SIZE_VAL[topPiece.size]) return true;
-  return false;
-}
-
-function checkWinner(board) {
-  const lines = [
-    [[0,0],[0,1],[0,2]], [[1,0],[1,1],[1,2]], [[2,0],[2,1],[2,2]], // rows
-    [[0,0],[1,0],[2,0]], [[0,1],[1,1],[2,1]], [[0,2],[1,2],[2,2]], // cols
-    [[0,0],[1,1],[2,2]], [[0,2],[1,1],[2,0]] // diags
-  ];
-  for (const line of lines) {
-    const topOwners = line.map(([r,c]) => {
-      const stack = board[r][c];
-      return stack.length ? stack.at(-1).owner : null; 
-    });
-    if (topOwners.every(o => o && o === topOwners[0])) {
-      return topOwners[0];
+// ----------------- ルール判定 -----------------
+// 合法手判定・勝敗判定は public/rules.js (クライアントと共通) に置いている
+
+// 対局者の席か (観戦者は "spectator")
+function isSeat(roomState, slot) {
+  return seatsOf(roomState.rules).includes(slot);
+}
+
+// ルールエンジンが返した新しい局面を部屋の状態に反映する
+// (待ったで戻せるよう、指す前の局面を history に残す。applyMove は元の盤面を書き換えないので参照のままでよい)
+function commitMove(roomState, next, slot, move) {
+  roomState.history.push({
+    slot,
+    name: roomState.players[slot].name,
+    move,
+    time: Date.now(),
+    before: {
+      board: roomState.board,
+      pieces: Object.fromEntries(seatsOf(roomState.rules).map(k => [k, { ...roomState.players[k].pieces }])),
+      currentTurn: roomState.currentTurn
+    }
+  });
+  roomState.board = next.board;
+  roomState.players = next.players;
+  roomState.currentTurn = next.currentTurn;
+  roomState.winner = next.winner;
+  roomState.reason = next.reason;
+  roomState.moveCount++;
+}
+
+// 直前の手で引き分けになったかを判定し、reason を返す (なければ null)
+function checkDraw(roomState) {
+  const key = positionKey(roomState);
+  roomState.positionHistory.push(key);
+  const seen = roomState.positionHistory.filter(k => k === key).length;
+  if (seen >= 3) return DRAW_REASON.REPETITION;
+  if (roomState.moveCount >= roomState.options.maxMoves) return DRAW_REASON.MOVE_LIMIT;
+  return null;
+}
+
+// 3〜4人対局では、再接続を待っている人の手番は飛ばす (2人対局は相手が戻るのを待つ)
+function skipAbsentTurns(roomState) {
+  const seats = seatsOf(roomState.rules);
+  if (seats.length <= 2 || !roomState.started || roomState.reason) return;
+  for (let i = 0; i < seats.length && roomState.players[roomState.currentTurn]?.connected === false; i++) {
+    roomState.skipped.push({ slot: roomState.currentTurn, ply: roomState.history.length }); // 棋譜の Skipped
+    roomState.currentTurn = nextTurn(roomState);
+  }
+}
+
+// ----------------- 手の処理 (人間・CPU共通) -----------------
+// slot の手番として payload を指す。ack と同じ形 ({ ok } / { error }) を返す
+function handleMove(roomID, slot, payload) {
+  const roomState = rooms[roomID];
+
+  if (!isSeat(roomState, slot)) return { error: "spectator" };
+  if (!roomState.started) return { error: "not_started" };
+  if (roomState.reason) return { error: "game_over" };
+  if (roomState.currentTurn !== slot) return { error: "not_your_turn" };
+  // タイマーの発火より先に手が届いても、時間切れなら受け付けない
+  if (clockRemaining(roomState, slot) <= 0) {
+    flagTimeout(roomID);
+    return { error: "timeout" };
+  }
+
+  const result = applyMove(roomState, payload);
+  if (!result.ok) return { error: result.error };
+  pressClock(roomState, slot);
+  commitMove(roomState, result.state, slot, payload);
+  clearVote(roomID);
+  clearUndoRequest(roomID);
+  if (!result.winner) roomState.reason = checkDraw(roomState);
+
+  if (roomState.reason) {
+    endGame(roomID);
+  } else {
+    skipAbsentTurns(roomState);
+    startClockTimer(roomID);
+    io.to(roomID).emit("update_state", sanitizeState(roomState));
+    scheduleBotMove(roomID);
+  }
+  touchRoom(roomID);
+  return { ok: true };
+}
+
+// ブラウザ (place_piece) と外部ボット (move) から届いた手。チーム戦ではすぐには指さず、チームの案として投票にかける
+function submitMove(roomID, socket, payload) {
+  return rooms[roomID].options.teams
+    ? proposeMove(roomID, socket, payload)
+    : handleMove(roomID, socket.data.playerSlot, payload);
+}
+
+// 決着したときの共通処理 (winner / reason は設定済み)
+function endGame(roomID) {
+  const roomState = rooms[roomID];
+  roomState.started = false;
+  stopClock(roomID);
+  cancelBotMove(roomID);
+  clearVote(roomID);
+  clearUndoRequest(roomID);
+  archiveGame(roomID);
+  const ratings = rateGame(roomID);
+  const gameId = recordPlayerGame(roomID, ratings);
+  addSeriesResult(roomID, gameId);
+  io.to(roomID).emit("game_over", { winner: roomState.winner, reason: roomState.reason, ratings, state: sanitizeState(roomState) });
+  sendToRemoteBots(roomID, { type: "game_over", roomID, winner: roomState.winner, reason: roomState.reason, ratings, state: sanitizeState(roomState) });
+  touchRoom(roomID);
+}
+
+// レート戦ならレーティングを更新して { Blue: { before, after, delta }, Orange: {...} } を返す
+function rateGame(roomID) {
+  const roomState = rooms[roomID];
+  const blue = roomState.players.Blue;
+  const orange = roomState.players.Orange;
+  if (!roomState.options.rated || !blue?.playerId || !orange?.playerId || blue.playerId === orange.playerId) return null;
+
+  const scoreBlue = roomState.winner === "Blue" ? 1 : roomState.winner === "Orange" ? 0 : 0.5;
+  const changes = applyResult(blue.playerId, orange.playerId, scoreBlue);
+  return changes && { Blue: changes[blue.playerId], Orange: changes[orange.playerId] };
+}
+
+// identify 済みのプレイヤーの戦績に残す (棋譜は archiveGame で残したもの)
+function recordPlayerGame(roomID, ratings) {
+  const roomState = rooms[roomID];
+  const seats = {};
+  for (const slot of seatsOf(roomState.rules)) {
+    const p = roomState.players[slot];
+    seats[slot] = p ? { playerId: p.playerId || null, name: p.name } : null;
+  }
+  const record = roomState.history.length ? roomState.games.at(-1) : null;
+  return recordGame(record, seats, roomState.winner, roomState.reason, ratings);
+}
+
+// ----------------- 棋譜 -----------------
+// 今の対局の棋譜を notation.js の formatRecord に渡せる形で返す
+function buildRecord(roomID) {
+  const roomState = rooms[roomID];
+  const { history } = roomState;
+  const startedAt = roomState.gameStartedAt || Date.now();
+  const nameOf = slot => history.find(h => h.slot === slot)?.name || roomState.players[slot]?.name || "";
+  const iso = new Date(startedAt).toISOString();
+  const seats = seatsOf(roomState.rules);
+
+  return {
+    headers: {
+      Event: "Gobblet Gobblers",
+      Variant: roomState.rules.variant !== "standard" ? roomState.rules.variant : undefined,
+      Rules: roomState.rules.variant === "custom" ? formatHouseRules(roomState.rules) : undefined,
+      Players: seats.length > 2 ? String(seats.length) : undefined,
+      Room: roomID,
+      Date: iso.slice(0, 10).replace(/-/g, "."),
+      Time: iso.slice(11, 19),
+      ...Object.fromEntries(seats.map(slot => [slot, nameOf(slot)])),
+      First: roomState.firstTurn || history[0]?.slot || roomState.currentTurn || "Blue", // 先手の手番が飛ばされても先手は変わらない
+      Result: resultTag(roomState.winner, roomState.reason),
+      Reason: roomState.reason || undefined,
+      Eliminated: formatSlotPlies(roomState.eliminated),
+      Skipped: formatSlotPlies(roomState.skipped)
+    },
+    // elapsedMs はその手に使った時間
+    moves: history.map((h, i) => ({
+      notation: formatMove(h.move, roomState.rules),
+      move: h.move,
+      slot: h.slot,
+      name: h.name,
+      time: h.time,
+      elapsedMs: h.time - (i ? history[i - 1].time : startedAt)
+    }))
+  };
+}
+
+// 残っている棋譜 (古い順)。進行中の対局は手があれば最後に付ける
+function listRecords(roomID) {
+  const roomState = rooms[roomID];
+  const inProgress = roomState.history.length && !roomState.reason;
+  return inProgress ? [...roomState.games, buildRecord(roomID)] : [...roomState.games];
+}
+
+// 対局が終わった・打ち切られたときに棋譜を残す (手がなければ残さない)
+function archiveGame(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState.history.length) return;
+  roomState.games.push(buildRecord(roomID));
+  if (roomState.games.length > MAX_ARCHIVED_GAMES) roomState.games.shift();
+}
+
+// ----------------- 待った -----------------
+// 申し込んだ側の手番に戻るまで巻き戻す: 相手がまだ指していなければ1手、指していれば2手
+function undoPlies(roomState, slot) {
+  return roomState.currentTurn === slot ? 2 : 1;
+}
+
+// 待ったを申し込めるか。できなければエラーコードを返す
+function checkUndoRequest(roomState, slot) {
+  if (!isSeat(roomState, slot)) return "spectator";
+  if (!roomState.started) return "not_started";
+  if (roomState.reason) return "game_over";
+  if (roomState.options.maxTakebacks <= 0) return "takebacks_disabled";
+  if ((roomState.players[slot].takebacksUsed || 0) >= roomState.options.maxTakebacks) return "no_takebacks_left";
+  if (roomState.pendingUndo) return "already_requested";
+  const plies = undoPlies(roomState, slot);
+  const history = roomState.history;
+  if (history.length < plies || history[history.length - plies].slot !== slot) return "nothing_to_undo";
+  return null;
+}
+
+// 盤面・両者の手駒・手番を巻き戻す
+function performUndo(roomID, slot) {
+  const roomState = rooms[roomID];
+  const plies = undoPlies(roomState, slot);
+  const { before } = roomState.history[roomState.history.length - plies];
+  roomState.history.length -= plies;
+  roomState.skipped = roomState.skipped.filter(s => s.ply <= roomState.history.length); // 戻した手の後の飛ばしは無かったことに
+  roomState.positionHistory.length = Math.max(0, roomState.positionHistory.length - plies);
+  roomState.moveCount -= plies;
+
+  stopClock(roomID);
+  clearVote(roomID);
+  roomState.board = before.board;
+  for (const k of seatsOf(roomState.rules)) roomState.players[k].pieces = { ...before.pieces[k] };
+  roomState.currentTurn = before.currentTurn;
+  roomState.players[slot].takebacksUsed = (roomState.players[slot].takebacksUsed || 0) + 1;
+  startClockTimer(roomID);
+
+  cancelBotMove(roomID);
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  scheduleBotMove(roomID);
+  touchRoom(roomID);
+}
+
+// 申し込み中の待ったを取り下げる (どちらかが指した・対局が変わったとき)
+function clearUndoRequest(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState.pendingUndo) return;
+  io.to(roomID).emit("undo_result", { slot: roomState.pendingUndo, accepted: false, reason: "cancelled" });
+  roomState.pendingUndo = null;
+}
+
+// ----------------- 先手 -----------------
+// 最初の対局の先手を部屋の設定から決める (部屋を作った人が席にいなければランダム)
+// 3〜4人対局の "opponent" は、部屋を作った人の次の席
+function pickFirstTurn(roomState) {
+  const seats = seatsOf(roomState.rules);
+  const creatorSlot = seats.find(k => roomState.creatorToken && roomState.players[k]?.token === roomState.creatorToken);
+  if (roomState.options.firstMove === "creator" && creatorSlot) return creatorSlot;
+  if (roomState.options.firstMove === "opponent" && creatorSlot) return nextTurn(roomState, creatorSlot);
+  return seats[Math.floor(Math.random() * seats.length)];
+}
+
+// 部屋を作った人の席 (設定が "random" なら Blue か Orange)
+function creatorSeat(roomState) {
+  const color = roomState.options.creatorColor;
+  return color === "random" ? (Math.random() < 0.5 ? "Blue" : "Orange") : color;
+}
+
+// 席が全部埋まった部屋で最初の対局を始める
+function startGame(roomID) {
+  const roomState = rooms[roomID];
+  roomState.currentTurn = pickFirstTurn(roomState);
+  roomState.firstTurn = roomState.currentTurn;
+  roomState.started = true;
+  if (!roomState.history.length) roomState.gameStartedAt = Date.now();
+  resetClock(roomID);
+  startClockTimer(roomID);
+  io.to(roomID).emit("start_game", sanitizeState(roomState));
+  scheduleBotMove(roomID);
+}
+
+// ----------------- 再戦 -----------------
+// 新しい対局は両者が同意したときだけ始める (相手が CPU・外部ボット・空席ならすぐ)。
+// 片方の restart_game で申し込み、もう片方の restart_game (「もう一度遊ぶ」) か respond_restart で成立する
+// 3〜4人対局は申し込んだ人以外の全員 (restartVoters) が同意したら成立する
+function restartVoters(roomState, requester) {
+  return seatsOf(roomState.rules).filter(k => {
+    const p = roomState.players[k];
+    return k !== requester && p && !p.bot && !p.remote && !p.out;
+  });
+}
+
+// 同意が揃ったか (揃っていなければ false)
+function restartAgreedByAll(roomState) {
+  return restartVoters(roomState, roomState.pendingRestart).every(k => roomState.restartAgreed.includes(k));
+}
+
+function restartGame(roomID) {
+  const roomState = rooms[roomID];
+  // 途中で打ち切った対局も棋譜は残す (終わった対局は endGame で保存済み)
+  if (!roomState.reason) archiveGame(roomID);
+  if (seriesResult(roomState)) resetSeries(roomState); // 終わったシリーズの次は新しいシリーズ
+
+  // 先手は前の対局と入れ替える (3〜4人対局は次の席へ回す)。色を入れ替えるときは、席ごと入れ替えて同じ色が先手
+  const previousFirst = roomState.firstTurn;
+  const swapped = roomState.options.swapColors && swapSeats(roomID);
+  const seats = seatsOf(roomState.rules);
+  // 状態リセット (脱落した人の席は空けて、新しい人が座れるようにする)
+  roomState.board = emptyBoard(roomState.rules);
+  for (const k of seats) {
+    if (roomState.players[k]?.out) roomState.players[k] = null;
+    if (roomState.players[k]) roomState.players[k].pieces = initialPieces(roomState.rules);
+  }
+  if (!previousFirst) roomState.currentTurn = pickFirstTurn(roomState);
+  else roomState.currentTurn = swapped ? previousFirst : nextTurn(roomState, previousFirst);
+  roomState.firstTurn = roomState.currentTurn;
+  roomState.winner = null;
+  roomState.reason = null;
+  roomState.moveCount = 0;
+  roomState.positionHistory = [];
+  roomState.history = [];
+  roomState.eliminated = [];
+  roomState.skipped = [];
+  roomState.gameStartedAt = Date.now();
+  roomState.pendingRestart = null;
+  roomState.restartAgreed = [];
+  clearVote(roomID);
+  clearUndoRequest(roomID);
+  for (const k of seats) {
+    if (roomState.players[k]) Object.assign(roomState.players[k], { hintsUsed: 0, takebacksUsed: 0 });
+  }
+  roomState.started = seats.every(k => roomState.players[k]);
+  resetClock(roomID);
+  startClockTimer(roomID);
+
+  cancelBotMove(roomID);
+  io.to(roomID).emit("start_game", sanitizeState(roomState));
+  scheduleBotMove(roomID);
+  touchRoom(roomID);
+}
+
+// 申し込み中の再戦を取り下げる (申し込んだ側・相手が席を離れたとき)
+function clearRestartRequest(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState.pendingRestart) return;
+  io.to(roomID).emit("restart_result", { slot: roomState.pendingRestart, accepted: false, reason: "cancelled" });
+  roomState.pendingRestart = null;
+  roomState.restartAgreed = [];
+}
+
+// ----------------- N番勝負 -----------------
+// 勝ち数は席のプレイヤーに持たせる (色を入れ替えても付いていく)
+function seriesWinsNeeded(roomState) {
+  return Math.floor(roomState.options.bestOf / 2) + 1;
+}
+
+// 決着がついたシリーズの勝者の slot (引き分けで N 局終わったら "draw")。続いていれば null
+function seriesResult(roomState) {
+  if (roomState.options.bestOf <= 1) return null;
+  const wins = slot => roomState.players[slot]?.seriesWins || 0;
+  const winner = ["Blue", "Orange"].find(slot => wins(slot) >= seriesWinsNeeded(roomState));
+  if (winner) return winner;
+  if (roomState.series.length < roomState.options.bestOf) return null;
+  return wins("Blue") === wins("Orange") ? "draw" : wins("Blue") > wins("Orange") ? "Blue" : "Orange";
+}
+
+function addSeriesResult(roomID, gameId) {
+  const roomState = rooms[roomID];
+  if (roomState.options.bestOf <= 1) return;
+  const winner = roomState.players[roomState.winner];
+  if (winner) winner.seriesWins = (winner.seriesWins || 0) + 1;
+  roomState.series.push({
+    winner: roomState.winner,
+    winnerName: winner?.name || null,
+    reason: roomState.reason,
+    gameId: gameId || null,
+    first: roomState.firstTurn
+  });
+}
+
+function resetSeries(roomState) {
+  roomState.series = [];
+  for (const slot of seatsOf(roomState.rules)) {
+    if (roomState.players[slot]) roomState.players[slot].seriesWins = 0;
+  }
+}
+
+// 席を入れ替える (色の交代)。再接続待ちの席があるときは猶予タイマーが席に紐づいているので入れ替えない
+function swapSeats(roomID) {
+  const roomState = rooms[roomID];
+  const { Blue, Orange } = roomState.players;
+  if (Blue?.connected === false || Orange?.connected === false) return false;
+  roomState.players = { Blue: Orange, Orange: Blue };
+  for (const slot of ["Blue", "Orange"]) {
+    const player = roomState.players[slot];
+    if (!player) continue;
+    player.color = slot.toLowerCase();
+    if (player.remote && remoteBots.has(player.id)) remoteBots.get(player.id).data.playerSlot = slot; // 席が替わったことは次の state で伝わる
+    const socket = player.bot ? null : io.sockets.sockets.get(player.id);
+    if (socket) {
+      socket.data.playerSlot = slot;
+      socket.emit("assign", { slot });
     }
   }
+  return true;
+}
+
+// ----------------- 持ち時間 -----------------
+// 残り時間はサーバーだけが数える。手番側の残りは remaining - (今 - turnStartedAt)
+const clockTimers = new Map(); // roomID -> setTimeout のハンドル (手番側の時間切れ)
+
+function resetClock(roomID) {
+  const roomState = rooms[roomID];
+  const setting = roomState.options.clock;
+  stopClock(roomID);
+  if (!setting) {
+    roomState.clock = null;
+    return;
+  }
+  const initial = setting.mode === "total" ? setting.baseMs : setting.moveMs;
+  roomState.clock = { remaining: Object.fromEntries(seatsOf(roomState.rules).map(k => [k, initial])), turnStartedAt: null };
+}
+
+function clockRemaining(roomState, slot) {
+  const clock = roomState.clock;
+  if (!clock) return Infinity;
+  const running = clock.turnStartedAt !== null && roomState.currentTurn === slot;
+  return clock.remaining[slot] - (running ? Date.now() - clock.turnStartedAt : 0);
+}
+
+// 手を指した側の時計を止める (加算・1手ごとの持ち時間のリセットもここで)
+function pressClock(roomState, slot) {
+  const clock = roomState.clock;
+  if (!clock) return;
+  const setting = roomState.options.clock;
+  clock.remaining[slot] = setting.mode === "total"
+    ? clockRemaining(roomState, slot) + setting.incrementMs
+    : setting.moveMs;
+  clock.turnStartedAt = null;
+}
+
+// 手番側の時計を動かし、時間切れのタイマーを仕掛ける
+function startClockTimer(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState.clock || !roomState.started || roomState.reason) return;
+  clearTimeout(clockTimers.get(roomID));
+  roomState.clock.turnStartedAt = Date.now();
+  clockTimers.set(roomID, setTimeout(() => {
+    clockTimers.delete(roomID);
+    if (rooms[roomID] === roomState) flagTimeout(roomID);
+  }, roomState.clock.remaining[roomState.currentTurn]));
+}
+
+// 時計を止める (対局の中断・終了)。経過時間は手番側から引いておく
+function stopClock(roomID) {
+  const roomState = rooms[roomID];
+  clearTimeout(clockTimers.get(roomID));
+  clockTimers.delete(roomID);
+  const clock = roomState?.clock;
+  if (!clock || clock.turnStartedAt === null) return;
+  const slot = roomState.currentTurn;
+  clock.remaining[slot] = Math.max(0, clockRemaining(roomState, slot));
+  clock.turnStartedAt = null;
+}
+
+// 手番側の時間切れ: 相手の勝ち
+function flagTimeout(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState.started || roomState.reason) return;
+  stopClock(roomID);
+  roomState.clock.remaining[roomState.currentTurn] = 0;
+  roomState.winner = opponentOf(roomState.currentTurn);
+  roomState.reason = WIN_REASON.TIMEOUT;
+  endGame(roomID);
+}
+
+// ----------------- CPU プレイヤー -----------------
+const BOT_NAMES = { random: "CPU (よわい)", greedy: "CPU (ふつう)", strong: "CPU (つよい)" };
+// 駒のジャンプ演出 (約0.6秒) が見えるように、考えている時間を取ってから指す
+const BOT_THINK_MS = { min: 900, max: 1800 };
+const botTimers = new Map(); // roomID -> setTimeout のハンドル (探索中も指し終わるまで残す)
+const playEngine = new Engine(); // CPU の手とヒントの探索
+const hintSearches = new Set(); // ヒントを探索中の部屋
+
+function createBotPlayer(level, color, rules) {
+  return { id: `bot:${level}`, name: BOT_NAMES[level], color, pieces: initialPieces(rules), bot: { level } };
+}
+
+function isBotTurn(roomState) {
+  const player = roomState.players[roomState.currentTurn];
+  return !!(roomState.started && !roomState.reason && player && player.bot);
+}
+
+// CPU の手番なら思考時間のあと handleMove で指す。探索はワーカースレッド (server/engine.js) で行う
+function scheduleBotMove(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState || !isBotTurn(roomState) || botTimers.has(roomID)) return;
+
+  const delay = BOT_THINK_MS.min + Math.random() * (BOT_THINK_MS.max - BOT_THINK_MS.min);
+  const handle = setTimeout(async () => {
+    const current = rooms[roomID];
+    if (!current || !isBotTurn(current)) return botTimers.delete(roomID);
+
+    const slot = current.currentTurn;
+    const moveCount = current.moveCount;
+    let move;
+    try {
+      move = await playEngine.run("chooseMove", enginePosition(current), current.players[slot].bot.level);
+    } catch (e) {
+      console.log(`Bot search failed in ${roomID}: ${e.message}`);
+    }
+    // 考えている間に待った・やり直しなどで取り消されたか、局面が変わっていれば指さない
+    if (botTimers.get(roomID) !== handle) return;
+    botTimers.delete(roomID);
+    if (rooms[roomID] !== current || current.moveCount !== moveCount || current.currentTurn !== slot) return;
+    if (move === undefined) return scheduleBotMove(roomID); // 探索に失敗したら考え直す
+    if (!move) return;
+    const res = handleMove(roomID, slot, move);
+    if (res.error) console.log(`Bot move rejected in ${roomID}: ${res.error}`);
+  }, delay);
+  botTimers.set(roomID, handle);
+}
+
+function cancelBotMove(roomID) {
+  clearTimeout(botTimers.get(roomID));
+  botTimers.delete(roomID);
+}
+
+// ----------------- 切断・再接続 -----------------
+// 切断したプレイヤーの席は一定時間そのまま残し、同じトークンで join すれば戻れる
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60 * 1000; // 環境変数で変えられる (テストでは短くする)
+const graceTimers = new Map(); // "roomID:slot" -> setTimeout のハンドル
+
+function createSessionToken() {
+  return crypto.randomUUID();
+}
+
+// 脱落した (out) 席には戻れない
+function findSeatByToken(roomState, token) {
+  return seatsOf(roomState.rules).find(k => roomState.players[k] && !roomState.players[k].out && roomState.players[k].token === token) || null;
+}
+
+// 再接続したソケット (外部ボットなら接続の id) を元の席に戻す (盤面・手駒・手番はそのまま)
+function resumeSeat(roomID, slot, id) {
+  const roomState = rooms[roomID];
+  const player = roomState.players[slot];
+  clearTimeout(graceTimers.get(`${roomID}:${slot}`));
+  graceTimers.delete(`${roomID}:${slot}`);
+  player.id = id;
+  player.connected = true;
+
+  io.to(roomID).emit("player_status", { slot, connected: true });
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  touchRoom(roomID);
+}
+
+// 切断したプレイヤーの席を猶予時間だけ確保する (3〜4人対局なら、その間の手番は飛ばす)
+function holdSeat(roomID, slot) {
+  const player = rooms[roomID].players[slot];
+  player.connected = false;
+  skipAbsentTurns(rooms[roomID]);
+  checkVote(roomID); // チーム戦: 残ったメンバーだけで過半数になることがある
+  io.to(roomID).emit("player_status", { slot, connected: false, graceMs: RECONNECT_GRACE_MS });
+  io.to(roomID).emit("update_state", sanitizeState(rooms[roomID]));
+  scheduleBotMove(roomID);
+  touchRoom(roomID);
+
+  graceTimers.set(`${roomID}:${slot}`, setTimeout(() => {
+    graceTimers.delete(`${roomID}:${slot}`);
+    const current = rooms[roomID];
+    if (current && current.players[slot] === player && player.connected === false) {
+      releaseSeat(roomID, slot);
+    }
+  }, RECONNECT_GRACE_MS));
+}
+
+// 席を空ける (退出・猶予切れ)。対局は中断される (レート戦では退出した側の負け)
+// 3〜4人対局の途中なら、抜けた人だけ脱落にして残りの人で続ける。チーム戦でメンバーが残っていれば、その人が席を継ぐ
+function releaseSeat(roomID, slot) {
+  const roomState = rooms[roomID];
+  clearTimeout(graceTimers.get(`${roomID}:${slot}`));
+  graceTimers.delete(`${roomID}:${slot}`);
+  if (promoteMember(roomID, slot)) return;
+  if (seatsOf(roomState.rules).length > 2 && roomState.started && !roomState.reason) {
+    eliminateSeat(roomID, slot);
+    if (!deleteRoomIfEmpty(roomID)) touchRoom(roomID);
+    return;
+  }
+  if (roomState.options.rated && roomState.started && !roomState.reason && roomState.players[opponentOf(slot)]) {
+    roomState.winner = opponentOf(slot);
+    roomState.reason = WIN_REASON.ABANDONED;
+    endGame(roomID);
+  }
+  roomState.players[slot] = null;
+  delete roomState.teamChat[slot]; // 次にこの色に座るチームには見せない
+  roomState.started = false;
+  resetSeries(roomState); // 相手が替わるのでシリーズはやり直し
+  clearVote(roomID);
+  clearUndoRequest(roomID);
+  clearRestartRequest(roomID);
+  stopClock(roomID);
+  cancelBotMove(roomID);
+  if (!deleteRoomIfEmpty(roomID)) {
+    io.to(roomID).emit("update_state", sanitizeState(roomState));
+    touchRoom(roomID);
+  }
+}
+
+// 3〜4人対局で抜けた人を脱落にする。駒は盤に残し、以後の手番は飛ばす (最後の1人になったらその人の勝ち)
+function eliminateSeat(roomID, slot) {
+  const roomState = rooms[roomID];
+  Object.assign(roomState.players[slot], { out: true, connected: false, id: null });
+  roomState.eliminated.push({ slot, ply: roomState.history.length });
+  clearRestartRequest(roomID);
+
+  const remaining = seatsOf(roomState.rules).filter(k => !roomState.players[k].out);
+  if (remaining.length === 1) {
+    roomState.winner = remaining[0];
+    roomState.reason = WIN_REASON.ABANDONED;
+    endGame(roomID);
+    return;
+  }
+  if (roomState.currentTurn === slot) roomState.currentTurn = nextTurn(roomState, slot);
+  skipAbsentTurns(roomState);
+  cancelBotMove(roomID);
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  scheduleBotMove(roomID);
+}
+
+// 接続中のソケットも、再接続待ちの席もなくなったら部屋をメモリから削除
+function deleteRoomIfEmpty(roomID) {
+  const roomState = rooms[roomID];
+  const socketsInRoom = io.sockets.adapter.rooms.get(roomID);
+  const waiting = seatsOf(roomState.rules).some(k =>
+    graceTimers.has(`${roomID}:${k}`) || (roomState.players[k]?.members || []).some(m => graceTimers.has(memberGraceKey(roomID, k, m)))
+  );
+  if ((socketsInRoom && socketsInRoom.size > 0) || remoteBotsIn(roomID).length || waiting) return false;
+
+  cancelBotMove(roomID);
+  stopClock(roomID);
+  clearVote(roomID);
+  delete rooms[roomID];
+  forgetRoom(roomID);
+  notifyLobby();
+  console.log(`Room deleted: ${roomID}`);
+  return true;
+}
+
+// ----------------- チーム戦 (相談モード) -----------------
+// 同じ色に何人でも入れる。席のプレイヤー (players[slot]) のほかは players[slot].members に並ぶ。
+// 手番のチームの誰かが手を指すと「案」になり、チームで投票する。過半数の票が集まるか、最初の案から
+// teamVoteMs 経ったら、一番票の多い案 (同数なら先に出た案) を handleMove で指す。
+// 案とチームのチャットは "roomID:team:slot" のチャンネルで、そのチームにだけ送る
+const TEAM_MAX_MEMBERS = 8; // 席のプレイヤーを除いた1チームの人数
+const TEAM_CHAT_LIMIT = 50;
+const voteTimers = new Map(); // roomID -> setTimeout のハンドル (相談の締め切り)
+
+function teamChannel(roomID, slot) {
+  return `${roomID}:team:${slot}`;
+}
+
+function memberGraceKey(roomID, slot, member) {
+  return `${roomID}:${slot}:${member.token}`;
+}
+
+// 席のプレイヤーとメンバー (CPU の席はチームにならない)
+function teamOf(roomState, slot) {
+  const player = roomState.players[slot];
+  if (!player || player.bot) return [];
+  return [player, ...(player.members || [])];
+}
+
+// socket がその色の席のプレイヤーかメンバーなら、その人を返す
+function teammateOf(roomState, slot, socket) {
+  if (!isSeat(roomState, slot)) return null;
+  return teamOf(roomState, slot).find(p => p.id === socket.id) || null;
+}
+
+function findMemberByToken(roomState, token) {
+  for (const slot of seatsOf(roomState.rules)) {
+    const member = roomState.players[slot]?.members?.find(m => m.token === token);
+    if (member) return { slot, member };
+  }
   return null;
 }
 
+// 席が埋まった部屋に入る人のチーム: 指定があればそのチーム、なければ人数の少ないチーム (満員・CPU の席は除く)
+function pickTeam(roomState, wanted) {
+  if (!roomState.options.teams) return null;
+  const open = seatsOf(roomState.rules).filter(k => {
+    const p = roomState.players[k];
+    return p && !p.bot && (p.members || []).length < TEAM_MAX_MEMBERS;
+  });
+  if (open.includes(wanted)) return wanted;
+  return open.sort((a, b) => teamOf(roomState, a).length - teamOf(roomState, b).length)[0] || null;
+}
+
+// チームのチャンネルに入れて、チームのチャット履歴と相談中の案を送る
+function enterTeamChannel(socket, roomID, slot) {
+  const roomState = rooms[roomID];
+  if (!roomState.options.teams) return;
+  socket.join(teamChannel(roomID, slot));
+  socket.emit("team_chat_init", roomState.teamChat[slot] || []);
+  socket.emit("team_vote", roomState.vote?.slot === slot ? voteView(roomState.vote) : null);
+}
+
+function resumeMember(socket, roomID, slot, member) {
+  const roomState = rooms[roomID];
+  clearTimeout(graceTimers.get(memberGraceKey(roomID, slot, member)));
+  graceTimers.delete(memberGraceKey(roomID, slot, member));
+  member.id = socket.id;
+  member.connected = true;
+  socket.data.playerSlot = slot;
+
+  socket.emit("assign", { slot });
+  socket.emit("chat_init", roomState.chatLog);
+  enterTeamChannel(socket, roomID, slot);
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  touchRoom(roomID);
+}
+
+// 切断したメンバーも猶予時間だけ待つ (その間は過半数の数に入れない)
+function holdMember(roomID, slot, member) {
+  member.connected = false;
+  io.to(roomID).emit("update_state", sanitizeState(rooms[roomID]));
+  checkVote(roomID);
+  touchRoom(roomID);
+
+  const key = memberGraceKey(roomID, slot, member);
+  graceTimers.set(key, setTimeout(() => {
+    graceTimers.delete(key);
+    const current = rooms[roomID];
+    if (current && current.players[slot]?.members?.includes(member) && member.connected === false) {
+      removeMember(roomID, slot, member);
+    }
+  }, RECONNECT_GRACE_MS));
+}
+
+// メンバーがチームを抜ける (退出・猶予切れ)。入れていた票も取り消す
+function removeMember(roomID, slot, member) {
+  const roomState = rooms[roomID];
+  clearTimeout(graceTimers.get(memberGraceKey(roomID, slot, member)));
+  graceTimers.delete(memberGraceKey(roomID, slot, member));
+  const player = roomState.players[slot];
+  player.members = player.members.filter(m => m !== member);
+  dropVote(roomID, member.token);
+  if (deleteRoomIfEmpty(roomID)) return;
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  checkVote(roomID);
+  touchRoom(roomID);
+}
+
+// 席のプレイヤーが抜けたら、つながっているメンバーが席 (手駒・使った回数など) を継ぐ。継げなければ false
+function promoteMember(roomID, slot) {
+  const roomState = rooms[roomID];
+  const player = roomState.players[slot];
+  const next = player?.members?.find(m => m.connected !== false);
+  if (!next) return false;
+  dropVote(roomID, player.token);
+  player.members = player.members.filter(m => m !== next);
+  Object.assign(player, { id: next.id, name: next.name, token: next.token, playerId: next.playerId, connected: true });
+  io.to(roomID).emit("update_state", sanitizeState(roomState));
+  checkVote(roomID);
+  touchRoom(roomID);
+  return true;
+}
+
+// チームにだけ送る相談の様子 (残り時間はこの時点の値)
+function voteView(vote) {
+  return {
+    slot: vote.slot,
+    remainingMs: Math.max(0, vote.deadline - Date.now()),
+    proposals: vote.proposals.map(({ id, move, notation, by, voters }) => ({ id, move, notation, by, votes: voters.length }))
+  };
+}
+
+// 手番のチームの誰かが出した手を案にして、その人の票を入れる
+function proposeMove(roomID, socket, payload) {
+  const roomState = rooms[roomID];
+  const slot = socket.data.playerSlot;
+  const voter = teammateOf(roomState, slot, socket);
+  if (!voter) return { error: "spectator" };
+  if (!roomState.started) return { error: "not_started" };
+  if (roomState.reason) return { error: "game_over" };
+  if (roomState.currentTurn !== slot) return { error: "not_your_turn" };
+  const result = applyMove(roomState, payload);
+  if (!result.ok) return { error: result.error };
+
+  if (!roomState.vote) {
+    const ms = roomState.options.teamVoteMs;
+    roomState.vote = { slot, proposals: [], deadline: Date.now() + ms };
+    voteTimers.set(roomID, setTimeout(() => {
+      voteTimers.delete(roomID);
+      closeVote(roomID);
+    }, ms));
+  }
+  // 同じ手の案がもうあれば、それへの票として数える
+  const notation = formatMove(payload, roomState.rules);
+  let proposal = roomState.vote.proposals.find(p => p.notation === notation);
+  if (!proposal) {
+    proposal = { id: roomState.vote.proposals.length + 1, move: parseMove(notation, roomState.rules), notation, by: voter.name, voters: [] };
+    roomState.vote.proposals.push(proposal);
+  }
+  return castVote(roomID, voter, proposal);
+}
+
+// 1人1票。別の案に入れ直すと前の票は消える。過半数が揃えばその場で指す
+function castVote(roomID, voter, proposal) {
+  const roomState = rooms[roomID];
+  for (const p of roomState.vote.proposals) p.voters = p.voters.filter(t => t !== voter.token);
+  proposal.voters.push(voter.token);
+  if (voteDecided(roomState)) {
+    const res = closeVote(roomID);
+    return res.error ? res : { ok: true, proposalId: proposal.id, committed: true };
+  }
+  io.to(teamChannel(roomID, roomState.vote.slot)).emit("team_vote", voteView(roomState.vote));
+  return { ok: true, proposalId: proposal.id, committed: false };
+}
+
+// 抜けた人の票を取り消す
+function dropVote(roomID, token) {
+  const vote = rooms[roomID].vote;
+  if (!vote) return;
+  for (const p of vote.proposals) p.voters = p.voters.filter(t => t !== token);
+  io.to(teamChannel(roomID, vote.slot)).emit("team_vote", voteView(vote));
+}
+
+// つながっているメンバーの過半数が同じ案に入れたか
+function voteDecided(roomState) {
+  const vote = roomState.vote;
+  const connected = teamOf(roomState, vote.slot).filter(p => p.connected !== false).length;
+  return vote.proposals.some(p => p.voters.length * 2 > connected);
+}
+
+function checkVote(roomID) {
+  const roomState = rooms[roomID];
+  if (roomState?.vote && voteDecided(roomState)) closeVote(roomID);
+}
+
+// 相談を締め切って、一番票の多い案 (同数なら先に出た案) を指す
+function closeVote(roomID) {
+  const vote = rooms[roomID]?.vote;
+  if (!vote) return { error: "no_vote" };
+  const best = vote.proposals.reduce((a, b) => (b.voters.length > a.voters.length ? b : a));
+  clearVote(roomID);
+  const res = handleMove(roomID, vote.slot, best.move);
+  if (res.error) console.log(`Team move rejected in ${roomID}: ${res.error}`);
+  return res;
+}
+
+// 相談を取り下げる (手が指された・待った・再戦・対局の中断)
+function clearVote(roomID) {
+  clearTimeout(voteTimers.get(roomID));
+  voteTimers.delete(roomID);
+  const roomState = rooms[roomID];
+  if (!roomState?.vote) return;
+  const { slot } = roomState.vote;
+  roomState.vote = null;
+  io.to(teamChannel(roomID, slot)).emit("team_vote", null);
+}
+
+// ----------------- 保存と復元 -----------------
+// 部屋の状態 (盤面・手順・チャット・棋譜) を storage に保存し、再起動時に読み戻す。
+// 変更のたびに書くと重いので、部屋ごとに少し待ってまとめて保存する
+const storage = createStorage("rooms");
+const SAVE_DELAY_MS = 300;
+const saveTimers = new Map(); // roomID -> setTimeout のハンドル
+
+function saveRoomSoon(roomID) {
+  if (!rooms[roomID] || saveTimers.has(roomID)) return;
+  saveTimers.set(roomID, setTimeout(() => {
+    saveTimers.delete(roomID);
+    saveRoomNow(roomID);
+  }, SAVE_DELAY_MS));
+}
+
+function saveRoomNow(roomID) {
+  clearTimeout(saveTimers.get(roomID));
+  saveTimers.delete(roomID);
+  if (!rooms[roomID]) return Promise.resolve();
+  // savedAt: 復元するとき、止まっていた間の時間を持ち時間から引かないために使う
+  return storage.save(roomID, { ...rooms[roomID], savedAt: Date.now() })
+    .catch(e => console.log(`Room save error (${roomID}):`, e.message));
+}
+
+function forgetRoom(roomID) {
+  clearTimeout(saveTimers.get(roomID));
+  saveTimers.delete(roomID);
+  storage.remove(roomID).catch(e => console.log(`Room delete error (${roomID}):`, e.message));
+}
+
+// 起動時: 保存されていた部屋を読み戻す。席にいた人は再接続待ちにし、持ち時間・CPU を動かし直す
+async function restoreRooms() {
+  const saved = await storage.loadAll();
+  for (const [roomID, data] of Object.entries(saved)) {
+    const { savedAt, ...stored } = data;
+    // 古い形式で保存された部屋は、後から増えた項目を既定値で補う
+    const roomState = { ...createNewGameState(), ...stored, options: { ...parseRoomOptions(), ...stored.options } };
+    roomState.pendingUndo = null;
+    roomState.pendingRestart = null;
+    roomState.restartAgreed = [];
+    roomState.vote = null; // 相談は締め切りのタイマーごと捨てる (案は出し直し)
+    const clock = roomState.clock;
+    if (clock && clock.turnStartedAt !== null) {
+      clock.remaining[roomState.currentTurn] -= savedAt - clock.turnStartedAt;
+      clock.turnStartedAt = null;
+    }
+    rooms[roomID] = roomState;
+
+    for (const slot of seatsOf(roomState.rules)) {
+      const player = roomState.players[slot];
+      if (player && !player.bot && !player.out) {
+        player.id = null;
+        holdSeat(roomID, slot);
+      }
+      for (const member of player?.members || []) {
+        member.id = null;
+        holdMember(roomID, slot, member);
+      }
+    }
+    startClockTimer(roomID);
+    scheduleBotMove(roomID);
+  }
+  const count = Object.keys(saved).length;
+  if (count) console.log(`Restored ${count} room(s) from storage`);
+}
+
+// 終了時 (デプロイなど): 保存待ちの部屋をすべて書き出してから終わる
+async function shutdown(signal) {
+  console.log(`${signal} received, saving rooms...`);
+  await Promise.all(Object.keys(rooms).map(saveRoomNow));
+  await Promise.all([storage.flush(), flushPlayers()]);
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+// ----------------- 非公開の部屋 -----------------
+// 非公開の部屋はロビーに出さず、招待トークン (招待URL) か合言葉を知っている人だけが入れる。
+// 合言葉はハッシュにして持つ (部屋の状態ごと保存されるため)。
+// scrypt は重いのでスレッドプールで計算し、1つの IP から合言葉を試せるのは PASSWORD_RATE の回数までにする
+const scrypt = promisify(crypto.scrypt);
+const PASSWORD_RATE = { count: 10, windowMs: 60 * 1000 };
+const allowPasswordAttempt = createRateLimit(PASSWORD_RATE);
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, hash: (await scrypt(password, salt, 32)).toString("hex") };
+}
+
+async function verifyPassword(password, { salt, hash }) {
+  const actual = Buffer.from((await hashPassword(password, salt)).hash, "hex");
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, "hex"));
+}
+
+// 非公開の部屋のアクセス設定 (password は hashPassword の結果。合言葉なしなら null)
+function privateAccess(password = null) {
+  return { private: true, inviteToken: crypto.randomBytes(16).toString("base64url"), password };
+}
+
+// join のデータから部屋のアクセス設定を作る
+async function createRoomAccess(data) {
+  const password = data?.password ? String(data.password).slice(0, 100) : "";
+  if (!data?.private && !password) return { private: false };
+  return privateAccess(password ? await hashPassword(password) : null);
+}
+
+// 入室できなければ ack のエラーコードを返す (ip は合言葉を試す回数の制限に使う)
+// 招待トークンも合言葉も合わなければ、ない部屋と同じ no_room を返す (非公開の部屋があることを漏らさない)。
+// ただし名前を指定して部屋を作ろうとした人 (create) には、その名前は使われていると答えるしかない
+async function checkRoomAccess(roomState, data, ip) {
+  const access = roomState.access;
+  if (!access?.private) return null;
+  if (data?.invite && String(data.invite) === access.inviteToken) return null;
+  if (!access.password || !data?.password) return data?.create ? "room_taken" : "no_room";
+  if (!allowPasswordAttempt(ip)) return "rate_limited";
+  if (!await verifyPassword(String(data.password), access.password)) return "wrong_password";
+  return null;
+}
+
+// ----------------- ロビー -----------------
+// ホーム画面に出す部屋の一覧。"lobby" に入っているソケットへ変更のたびに配る
+const LOBBY_CHANNEL = "lobby";
+const LOBBY_DELAY_MS = 250; // 続けて変わったときは1回にまとめる
+let lobbyTimer = null;
+
+function countSpectators(roomID) {
+  const ids = io.sockets.adapter.rooms.get(roomID) || [];
+  return [...ids].filter(id => io.sockets.sockets.get(id)?.data.playerSlot === "spectator").length;
+}
+
+function lobbyEntry(roomID) {
+  const roomState = rooms[roomID];
+  const seats = seatsOf(roomState.rules);
+  const players = {};
+  for (const k of seats) {
+    const p = roomState.players[k];
+    players[k] = p ? { name: p.name, isBot: !!(p.bot || p.remote), connected: p.connected !== false, members: (p.members || []).length } : null;
+  }
+  return {
+    roomID,
+    players,
+    openSeats: seats.filter(k => !roomState.players[k]).length,
+    spectators: countSpectators(roomID),
+    status: roomState.reason ? "finished" : roomState.started ? "playing" : "waiting",
+    moveCount: roomState.moveCount,
+    options: {
+      clock: roomState.options.clock,
+      allowHints: roomState.options.allowHints,
+      allowSpectators: roomState.options.allowSpectators,
+      bestOf: roomState.options.bestOf,
+      variant: roomState.options.variant,
+      houseRules: roomState.options.houseRules,
+      players: roomState.options.players,
+      teams: roomState.options.teams
+    }
+  };
+}
+
+// 非公開の部屋は出さない
+function listLobby() {
+  return Object.keys(rooms).filter(id => !rooms[id].access?.private).map(lobbyEntry);
+}
+
+function notifyLobby() {
+  if (lobbyTimer) return;
+  lobbyTimer = setTimeout(() => {
+    lobbyTimer = null;
+    io.to(LOBBY_CHANNEL).emit("lobby_update", listLobby());
+  }, LOBBY_DELAY_MS);
+}
+
+// 部屋の状態が変わったとき: 保存とロビーへの通知、外部ボットへの状態の送信
+function touchRoom(roomID) {
+  saveRoomSoon(roomID);
+  notifyLobby();
+  pushStateToRemoteBots(roomID);
+}
+
+// ----------------- クイックマッチ -----------------
+// 待っている人の中からレーティングが一番近い相手と組ませ、非公開のレート戦の部屋を作る
+const MATCH_BOT_OFFER_MS = 30 * 1000; // これ以上待たせたら CPU 対戦を勧める
+const MATCH_JOIN_TIMEOUT_MS = Number(process.env.MATCH_JOIN_TIMEOUT_MS) || 60 * 1000; // 組んだのに2人そろわなかった部屋を閉じるまで
+const matchQueue = []; // { socket, playerId, rating, since, offerTimer }
+
+function joinMatchQueue(socket, player) {
+  const opponent = pickOpponent(matchQueue, player);
+  if (opponent) {
+    leaveMatchQueue(opponent.socket);
+    createMatchRoom([opponent.socket, socket]);
+    return { matched: true };
+  }
+
+  const entry = { socket, playerId: player.id, rating: player.rating, since: Date.now() };
+  entry.offerTimer = setTimeout(() => {
+    socket.emit("match_waiting", { waitedMs: Date.now() - entry.since, offerBot: true });
+  }, MATCH_BOT_OFFER_MS);
+  matchQueue.push(entry);
+  return { matched: false };
+}
+
+function leaveMatchQueue(socket) {
+  const i = matchQueue.findIndex(e => e.socket === socket);
+  if (i < 0) return false;
+  clearTimeout(matchQueue[i].offerTimer);
+  matchQueue.splice(i, 1);
+  return true;
+}
+
+// 組んだ2人に部屋を知らせる。入室は通常の join (招待トークン付き) で行う
+function createMatchRoom(sockets) {
+  let roomID = generateRoomId();
+  while (rooms[roomID]) roomID = generateRoomId();
+  const roomState = createNewGameState(parseRoomOptions({ allowHints: false, maxTakebacks: 0 }));
+  roomState.options.rated = true;
+  roomState.access = privateAccess();
+  rooms[roomID] = roomState;
+  console.log(`Match room created: ${roomID}`);
+
+  for (const s of sockets) s.emit("match_found", { roomID, invite: roomState.access.inviteToken });
+  setTimeout(() => {
+    if (rooms[roomID] === roomState && !roomState.started && !roomState.games.length) cancelMatchRoom(roomID, sockets);
+  }, MATCH_JOIN_TIMEOUT_MS);
+  touchRoom(roomID);
+}
+
+// 組んだ相手が時間内に来なかった: 部屋を閉じ、来ていた人 (と、まだ部屋に入っていない人) を待ち行列に戻す
+// 戻された人には match_cancelled が届く (待ち続けると、これまでどおり CPU 対戦を勧められる)
+function cancelMatchRoom(roomID, matched) {
+  const roomState = rooms[roomID];
+  const requeue = matched.filter(s => s.connected && !s.data.roomID);
+  for (const slot of seatsOf(roomState.rules)) {
+    const socket = roomState.players[slot] && io.sockets.sockets.get(roomState.players[slot].id);
+    clearTimeout(graceTimers.get(`${roomID}:${slot}`));
+    graceTimers.delete(`${roomID}:${slot}`);
+    roomState.players[slot] = null;
+    if (!socket) continue;
+    socket.leave(roomID);
+    Object.assign(socket.data, { roomID: null, playerSlot: null });
+    requeue.push(socket);
+  }
+  if (!deleteRoomIfEmpty(roomID)) touchRoom(roomID);
+
+  for (const socket of requeue) {
+    socket.emit("match_cancelled", { requeued: true });
+    joinMatchQueue(socket, getPlayer(socket.data.playerId));
+  }
+}
+
 // ----------------- クライアント送信用の整形 -----------------
 function sanitizeState(state) {
   const players = {};
-  for (const k of ['Blue','Orange']) {
+  for (const k of seatsOf(state.rules)) {
     const p = state.players[k];
     if (p) {
       players[k] = {
@@ -78,26 +1366,205 @@ function sanitizeState(state) {
         name: p.name,
         color: p.color,
         pieces: { ...p.pieces },
-        id: p.id
+        id: p.id,
+        isBot: !!(p.bot || p.remote),
+        connected: p.connected !== false,
+        out: !!p.out, // 3〜4人対局で脱落した
+        rating: p.playerId ? getPlayer(p.playerId)?.rating ?? null : null,
+        hintsUsed: p.hintsUsed || 0,
+        takebacksUsed: p.takebacksUsed || 0,
+        seriesWins: p.seriesWins || 0,
+        members: (p.members || []).map(m => ({ name: m.name, connected: m.connected !== false })) // チーム戦で同じ色に入った人
       };
     } else players[k] = null;
   }
   return {
+    rules: state.rules,
     board: state.board,
     players,
     currentTurn: state.currentTurn,
     winner: state.winner,
-    started: state.started
+    reason: state.reason,
+    started: state.started,
+    moveCount: state.moveCount,
+    options: state.options,
+    pendingUndo: state.pendingUndo,
+    pendingRestart: state.pendingRestart,
+    restartAgreed: state.restartAgreed,
+    // N番勝負 (1局ずつなら null)。score は今の席から見た勝ち数
+    series: state.options.bestOf > 1 ? {
+      bestOf: state.options.bestOf,
+      swapColors: state.options.swapColors,
+      score: { Blue: state.players.Blue?.seriesWins || 0, Orange: state.players.Orange?.seriesWins || 0 },
+      games: state.series,
+      result: seriesResult(state)
+    } : null,
+    // 残り時間 (ms) はこの状態を送った時点の値。running の側はクライアントで減らして表示する
+    clock: state.clock ? {
+      ...Object.fromEntries(seatsOf(state.rules).map(k => [k, Math.max(0, clockRemaining(state, k))])),
+      running: state.clock.turnStartedAt !== null ? state.currentTurn : null
+    } : null
+  };
+}
+
+// ----------------- 外部ボット (WebSocket /bot) -----------------
+// プロトコルは server/botProtocol.js。ボットの席は players[slot].remote が true で、CPU と同じく再戦・待ったの同意は聞かない。
+// 接続ごとの remote は Socket.IO のソケットと同じく id と data ({ roomID, playerSlot, playerId }) を持つので、
+// 手は submitMove でブラウザと同じように処理できる
+const remoteBots = new Map(); // id -> remote
+
+function remoteBotsIn(roomID) {
+  return [...remoteBots.values()].filter(remote => remote.data.roomID === roomID);
+}
+
+function sendToRemoteBots(roomID, message) {
+  for (const remote of remoteBotsIn(roomID)) remote.send(message);
+}
+
+// 部屋の状態をボットに送る (touchRoom から呼ぶので、状態が変わるたびに届く。同じ状態は続けて送らない)
+function pushStateToRemoteBots(roomID) {
+  const roomState = rooms[roomID];
+  if (!roomState) return;
+  for (const remote of remoteBotsIn(roomID)) {
+    const state = sanitizeState(roomState);
+    const json = JSON.stringify(state);
+    if (json === remote.lastState) continue;
+    remote.lastState = json;
+    const slot = remote.data.playerSlot;
+    remote.send({ type: "state", roomID, slot, yourTurn: state.started && !state.reason && state.currentTurn === slot, state });
+  }
+}
+
+// 相手を待っている公開の部屋 (誰かが座っていて、空いている席がある)
+function findSeekableRoom() {
+  return Object.keys(rooms).find(id => {
+    const roomState = rooms[id];
+    const seats = seatsOf(roomState.rules);
+    return !roomState.access?.private && !roomState.options.rated && !roomState.started && !roomState.reason
+      && seats.some(k => roomState.players[k]) && seats.some(k => !roomState.players[k]);
+  }) || null;
+}
+
+// 空いている席 (部屋を作ったときは設定した色) にボットを座らせ、joined の返事を返す
+function seatRemoteBot(remote, roomID, created) {
+  const roomState = rooms[roomID];
+  const seats = seatsOf(roomState.rules);
+  const seat = created ? creatorSeat(roomState) : seats.find(k => !roomState.players[k]);
+  if (!seat) return { type: "error", error: "room_full" };
+
+  const token = createSessionToken();
+  roomState.players[seat] = {
+    id: remote.id, name: remote.name, color: seat.toLowerCase(), pieces: initialPieces(roomState.rules), token, playerId: remote.data.playerId, remote: true
   };
+  if (created) roomState.creatorToken = token;
+  Object.assign(remote.data, { roomID, playerSlot: seat });
+  remote.lastState = null;
+
+  if (seats.every(k => roomState.players[k]) && !roomState.started && !roomState.reason) startGame(roomID);
+  else io.to(roomID).emit("update_state", sanitizeState(roomState));
+  touchRoom(roomID);
+  const invite = roomState.access?.private ? roomState.access.inviteToken : null;
+  return { type: "joined", roomID, slot: seat, token, created, invite };
 }
 
+async function handleRemoteBotMessage(remote, msg) {
+  if (msg.type === "hello") {
+    if (Number(msg.version) !== BOT_PROTOCOL_VERSION) return { type: "error", error: "unsupported_version", version: BOT_PROTOCOL_VERSION };
+    const player = identify(msg.token, msg.name);
+    remote.data.playerId = player.id;
+    remote.name = player.name;
+    return { type: "welcome", version: BOT_PROTOCOL_VERSION, player: { id: player.id, name: player.name, rating: player.rating }, token: tokenFor(player.id) };
+  }
+  if (!remote.data.playerId) return { type: "error", error: "hello_required" };
+
+  if (msg.type === "seek" || msg.type === "join") {
+    if (remote.data.roomID) return { type: "error", error: "already_in_room" };
+    if (msg.type === "join" && !msg.room) return { type: "error", error: "bad_message" };
+    let roomID = msg.type === "join" ? String(msg.room) : findSeekableRoom();
+    if (!roomID) {
+      roomID = generateRoomId();
+      while (rooms[roomID]) roomID = generateRoomId();
+    }
+    const creating = msg.type === "seek" || !!msg.create;
+    if (!rooms[roomID] && !creating) return { type: "error", error: "no_room" };
+    const options = rooms[roomID] ? null : parseRoomOptions(msg.options);
+    if (!rooms[roomID] && !options) return { type: "error", error: "bad_rules" };
+    const access = rooms[roomID] ? null : await createRoomAccess(msg.type === "join" ? msg : {});
+    const created = !rooms[roomID];
+    if (created) {
+      rooms[roomID] = createNewGameState(options);
+      rooms[roomID].access = access;
+      console.log(`New room created by bot: ${roomID}`);
+    }
+    const roomState = rooms[roomID];
+
+    // 再接続: 席のトークンが一致すれば、その席に戻す
+    const heldSlot = msg.token ? findSeatByToken(roomState, String(msg.token)) : null;
+    if (heldSlot) {
+      Object.assign(remote.data, { roomID, playerSlot: heldSlot });
+      remote.lastState = null;
+      resumeSeat(roomID, heldSlot, remote.id);
+      return { type: "joined", roomID, slot: heldSlot, token: roomState.players[heldSlot].token, created: false, resumed: true };
+    }
+    const accessError = created ? null : await checkRoomAccess(roomState, msg, remote.address);
+    if (accessError) return { type: "error", error: accessError };
+    if (rooms[roomID] !== roomState || !remoteBots.has(remote.id)) return { type: "error", error: "no_room" }; // 確かめているあいだに消えた・切断した
+    return seatRemoteBot(remote, roomID, created);
+  }
+
+  if (msg.type === "move") {
+    const roomID = remote.data.roomID;
+    if (!roomID || !rooms[roomID]) return { type: "error", error: "not_in_room" };
+    const res = submitMove(roomID, remote, msg.move);
+    return res.error ? { type: "error", error: res.error } : { type: "moved", ...res };
+  }
+
+  if (msg.type === "leave") {
+    const { roomID, playerSlot } = remote.data;
+    Object.assign(remote.data, { roomID: null, playerSlot: null });
+    if (roomID && rooms[roomID]?.players[playerSlot]?.id === remote.id) releaseSeat(roomID, playerSlot);
+    return { type: "left" };
+  }
+
+  return { type: "error", error: "bad_message" };
+}
+
+function connectRemoteBot(connection) {
+  const remote = {
+    id: `bot-ws:${crypto.randomUUID()}`, name: "Bot", address: connection.address,
+    data: { roomID: null, playerSlot: null, playerId: null }, send: connection.send, lastState: null
+  };
+  remoteBots.set(remote.id, remote);
+
+  // 合言葉の確認で待つことがあるので、メッセージは届いた順に1通ずつ処理する
+  let pending = Promise.resolve();
+  connection.onMessage(msg => {
+    pending = pending.then(async () => {
+      const reply = msg ? await handleRemoteBotMessage(remote, msg) : { type: "error", error: "bad_message" };
+      connection.send(msg?.id === undefined ? reply : { ...reply, id: msg.id });
+      if (reply.error === "unsupported_version") connection.close();
+    }).catch(e => console.log(`Bot message error (${remote.id}):`, e.message));
+  });
+
+  // 切断: ブラウザと同じく席を猶予時間だけ確保する
+  connection.onClose(() => {
+    remoteBots.delete(remote.id);
+    const { roomID, playerSlot } = remote.data;
+    if (!roomID || !rooms[roomID]) return;
+    if (rooms[roomID].players[playerSlot]?.id === remote.id) holdSeat(roomID, playerSlot);
+    else deleteRoomIfEmpty(roomID);
+  });
+}
+
+attachBotServer(server, connectRemoteBot);
+
 // ----------------- Socket.IO イベント処理 -----------------
 
 io.on("connection", (socket) => {
   console.log("client connected:", socket.id);
 
   // Joinイベント
-  socket.on("join", (data, ack) => {
+  socket.on("join", async (data, ack) => {
     
     // 1. ルームIDの決定
     let roomID = (data && data.room) ? String(data.room) : generateRoomId();
@@ -109,48 +1576,123 @@ io.on("connection", (socket) => {
         }
     }
 
-    const name = (data && data.name) ? String(data.name).slice(0,50) : "Guest";
+    // 名前を省略したら identify 済みのプレイヤー名を使う。指定したらプレイヤー名も変える
+    const account = socket.data.playerId ? getPlayer(socket.data.playerId) : null;
+    const name = (data && data.name) ? String(data.name).slice(0,50) : (account?.name || "Guest");
+    if (account) renamePlayer(account.id, name);
 
-    // 2. 部屋に参加
-    socket.join(roomID);
-    socket.data.roomID = roomID; // ソケットに部屋IDを記憶
-
-    // 3. 部屋データがなければ新規作成
-    if (!rooms[roomID]) {
-      rooms[roomID] = createNewGameState();
+    // 2. 部屋データがなければ新規作成 (非公開の設定は作るときだけ)
+    // 名前を指定して作るときは create を付ける。付けずにない部屋へ入ろうとしたら no_room (非公開の部屋と同じ答え)
+    // 合言葉のハッシュを待つあいだに同じ ID の部屋ができていたら、そちらに入る
+    const creating = !data.room || !!data.create;
+    if (!rooms[roomID] && !creating) {
+      if (ack) ack({ error: "no_room" });
+      return;
+    }
+    const options = rooms[roomID] ? null : parseRoomOptions(data.options);
+    if (!rooms[roomID] && !options) {
+      if (ack) ack({ error: "bad_rules" });
+      return;
+    }
+    const access = rooms[roomID] ? null : await createRoomAccess(data);
+    const created = !rooms[roomID];
+    if (created) {
+      rooms[roomID] = createNewGameState(options);
+      rooms[roomID].access = access;
       console.log(`New room created: ${roomID}`);
     }
     
     const roomState = rooms[roomID]; 
 
+    // 再接続: トークンが席と一致すれば、その席に戻す (非公開の部屋でも合言葉は聞かない)
+    const heldSlot = data?.token ? findSeatByToken(roomState, String(data.token)) : null;
+    const heldMember = data?.token && !heldSlot ? findMemberByToken(roomState, String(data.token)) : null;
+    const accessError = heldSlot || heldMember || created ? null : await checkRoomAccess(roomState, data, socket.handshake.address);
+    if (accessError) {
+      if (ack) ack({ error: accessError });
+      return;
+    }
+    // 合言葉を確かめているあいだに部屋が消えた・切断した
+    if (rooms[roomID] !== roomState || !socket.connected) {
+      if (ack) ack({ error: "no_room" });
+      return;
+    }
+    // チーム戦: 席が埋まっていても、チームのメンバーとして入れる
+    const seats = seatsOf(roomState.rules);
+    const seatsFull = seats.every(k => roomState.players[k]);
+    const team = !heldSlot && !heldMember && !data?.spectate && seatsFull ? pickTeam(roomState, data?.team) : null;
+    // 観戦を禁止した部屋: 席に座れない人は入れない
+    const spectating = !heldSlot && !heldMember && !team && (data?.spectate || seatsFull);
+    if (spectating && !roomState.options.allowSpectators) {
+      if (created) delete rooms[roomID];
+      if (ack) ack({ error: "spectators_disabled" });
+      return;
+    }
+
+    // 3. 部屋に参加 (クイックマッチで待っていたら列から外す)
+    leaveMatchQueue(socket);
+    socket.join(roomID);
+    socket.data.roomID = roomID; // ソケットに部屋IDを記憶
+    const invite = roomState.access?.private ? roomState.access.inviteToken : null;
+
+    if (heldSlot) {
+      socket.data.playerSlot = heldSlot;
+      socket.emit("assign", { slot: heldSlot });
+      socket.emit("chat_init", roomState.chatLog);
+      resumeSeat(roomID, heldSlot, socket.id);
+      enterTeamChannel(socket, roomID, heldSlot);
+      if (ack) ack({ ok: true, slot: heldSlot, roomID, token: roomState.players[heldSlot].token, resumed: true, invite });
+      return;
+    }
+    if (heldMember) {
+      resumeMember(socket, roomID, heldMember.slot, heldMember.member);
+      if (ack) ack({ ok: true, slot: heldMember.slot, roomID, token: heldMember.member.token, resumed: true, member: true, invite });
+      return;
+    }
+
     // 4. プレイヤー割り当て logic
     let assigned = null;
-    if (!roomState.players.Blue) {
-      roomState.players.Blue = { id: socket.id, name, color: "blue", pieces: { small:2, medium:2, large:2 } };
-      assigned = "Blue";
-    } else if (!roomState.players.Orange) {
-      roomState.players.Orange = { id: socket.id, name, color: "orange", pieces: { small:2, medium:2, large:2 } };
-      assigned = "Orange";
+    const token = createSessionToken();
+    const playerId = socket.data.playerId || null; // identify 済みならレーティングの対象
+    // 部屋を作った人は設定した色に座る。ほかの人は空いている席に順に座る
+    const seat = created ? creatorSeat(roomState) : seats.find(k => !roomState.players[k]);
+    if (team) {
+      const player = roomState.players[team];
+      player.members = [...(player.members || []), { id: socket.id, name, token, playerId, connected: true }];
+      assigned = team;
+    } else if (data?.spectate || !seat) {
+      assigned = "spectator"; // 観戦: 席が空いていても座らない
     } else {
-      assigned = "spectator";
+      roomState.players[seat] = { id: socket.id, name, color: seat.toLowerCase(), pieces: initialPieces(roomState.rules), token, playerId };
+      assigned = seat;
     }
 
+    if (created && assigned !== "spectator") roomState.creatorToken = token;
     socket.data.playerSlot = assigned;
 
     // ★追加
     socket.emit("assign", { slot: assigned });
 
+    // CPU対戦: 空いている席に CPU を座らせる (3〜4人対局なら空席すべて)
+    const botLevel = data?.vsBot;
+    if (BOT_LEVELS.includes(botLevel) && assigned !== "spectator") {
+      for (const botSlot of seats) {
+        if (!roomState.players[botSlot]) {
+          roomState.players[botSlot] = createBotPlayer(botLevel, botSlot.toLowerCase(), roomState.rules);
+        }
+      }
+    }
+
     // 5. ゲーム開始判定
-    if (roomState.players.Blue && roomState.players.Orange) {
-      if (!roomState.started && !roomState.winner) {
-          roomState.currentTurn =Math.random() < 0.5 ? "Blue" : "Orange";
-          roomState.started = true;
-          io.to(roomID).emit("start_game", sanitizeState(roomState));
+    if (seats.every(k => roomState.players[k])) {
+      if (!roomState.started && !roomState.reason) {
+          startGame(roomID);
       }
       else {
         // ★修正: すでに開始済みの場合（観戦者などの途中参加）
         // 入室した本人だけに現状を送る（既存プレイヤーの画面には影響させない）
         socket.emit("start_game", sanitizeState(roomState));
+        if (team) socket.to(roomID).emit("update_state", sanitizeState(roomState)); // メンバーの一覧が変わる
       }
     } else {
       io.to(roomID).emit("update_state", sanitizeState(roomState));
@@ -158,9 +1700,73 @@ io.on("connection", (socket) => {
 
     // ★追加: 参加時に過去のチャットログを送信 (このユーザーだけに)
     socket.emit("chat_init", roomState.chatLog);
+    if (assigned !== "spectator") enterTeamChannel(socket, roomID, assigned);
+    touchRoom(roomID);
+
+    // クライアントに結果を返す (席についたら再接続用のトークンも渡す)
+    if (ack) ack({ ok: true, slot: assigned, roomID: roomID, token: assigned === "spectator" ? null : token, member: !!team, invite });
+  });
+
+  // プレイヤーの識別: 保存しておいたトークンを送ると同じプレイヤーとして扱う (なければ新しいゲスト)
+  socket.on("identify", (data, ack) => {
+    const player = identify(data?.token, data?.name);
+    socket.data.playerId = player.id;
+    if (ack) ack({ ok: true, token: tokenFor(player.id), player: { id: player.id, name: player.name, rating: player.rating } });
+  });
+
+  // クイックマッチ: 相手が見つかると match_found { roomID, invite } が届く
+  // 組んだ相手が部屋に来なければ match_cancelled が届き、待ち行列に戻る
+  socket.on("quick_match", (data, ack) => {
+    if (!socket.data.playerId) {
+      if (ack) ack({ error: "not_identified" });
+      return;
+    }
+    leaveMatchQueue(socket);
+    const res = joinMatchQueue(socket, getPlayer(socket.data.playerId));
+    if (ack) ack({ ok: true, ...res });
+  });
+
+  socket.on("cancel_match", (data, ack) => {
+    const cancelled = leaveMatchQueue(socket);
+    if (ack) ack({ ok: true, cancelled });
+  });
+
+  // 部屋があるか (ホーム画面で、新しく作るときだけ設定を聞くため)
+  // 非公開の部屋は、招待トークン・合言葉・席のトークンのどれかが合わなければ「ない」と答える (部屋があることを漏らさない)
+  socket.on("room_status", async (data, ack) => {
+    if (!ack) return;
+    const roomState = rooms[String(data?.room)];
+    const token = data?.token ? String(data.token) : null;
+    const seated = !!token && !!roomState && !!(findSeatByToken(roomState, token) || findMemberByToken(roomState, token));
+    ack({ ok: true, exists: !!roomState && (seated || !await checkRoomAccess(roomState, data, socket.handshake.address)) });
+  });
 
-    // クライアントに結果を返す
-    if (ack) ack({ ok: true, slot: assigned, roomID: roomID });
+  // ロビー: 購読中は部屋の一覧が変わるたびに lobby_update が届く
+  socket.on("lobby_subscribe", (data, ack) => {
+    socket.join(LOBBY_CHANNEL);
+    if (ack) ack({ ok: true, rooms: listLobby() });
+  });
+
+  socket.on("lobby_unsubscribe", (data, ack) => {
+    socket.leave(LOBBY_CHANNEL);
+    if (ack) ack({ ok: true });
+  });
+
+  // 明示的な退出: 再接続を待たずに席を空ける
+  socket.on("leave_room", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (roomID && rooms[roomID]) {
+      const slot = socket.data.playerSlot;
+      const player = rooms[roomID].players[slot];
+      const member = player?.members?.find(m => m.id === socket.id);
+      socket.leave(roomID);
+      socket.leave(teamChannel(roomID, slot));
+      socket.data.roomID = null;
+      if (player && player.id === socket.id) releaseSeat(roomID, slot);
+      else if (member) removeMember(roomID, slot, member);
+      else if (!deleteRoomIfEmpty(roomID)) notifyLobby(); // 観戦者の数が変わる
+    }
+    if (ack) ack({ ok: true });
   });
 
   // 駒の配置・移動
@@ -168,73 +1774,166 @@ io.on("connection", (socket) => {
     const roomID = socket.data.roomID;
     if (!roomID || !rooms[roomID]) return;
 
+    const res = submitMove(roomID, socket, payload);
+    if (ack) ack(res);
+  });
+
+  // チーム戦: 相談中の案に票を入れる (入れ直しもできる)
+  socket.on("vote_move", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
+
     const roomState = rooms[roomID];
-    const slot = socket.data.playerSlot;
+    const vote = roomState.vote;
+    const voter = vote ? teammateOf(roomState, vote.slot, socket) : null;
+    if (!voter) return ack && ack({ error: "no_vote" });
+    const proposal = vote.proposals.find(p => p.id === Number(data?.proposalId));
+    if (!proposal) return ack && ack({ error: "no_proposal" });
+    const res = castVote(roomID, voter, proposal);
+    if (ack) ack(res);
+  });
+
+  // ヒント: 自分の手番の最善手を返す (盤面は変えない)。使った回数は相手にも見える
+  // 探索は CPU の手と同じワーカーで行い、1つの部屋で同時に探すヒントは1つまで
+  socket.on("request_hint", async (data, ack) => {
+    if (!ack) return;
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack({ error: "no_room" });
 
-    if (slot !== "Blue" && slot !== "Orange") return ack({ error: "spectator" });
+    const roomState = rooms[roomID];
+    const slot = socket.data.playerSlot;
+    if (!isSeat(roomState, slot)) return ack({ error: "spectator" });
+    if (!roomState.options.allowHints) return ack({ error: "hints_disabled" });
     if (!roomState.started) return ack({ error: "not_started" });
-    if (roomState.winner) return ack({ error: "game_over" });
+    if (roomState.reason) return ack({ error: "game_over" });
     if (roomState.currentTurn !== slot) return ack({ error: "not_your_turn" });
 
+    if (hintSearches.has(roomID)) return ack({ error: "hint_busy" });
+
+    const moveCount = roomState.moveCount;
+    let moves;
+    hintSearches.add(roomID);
     try {
-        if (payload.action === "place_from_hand") {
-            const { size, to } = payload;
-            const player = roomState.players[slot];
-            if (player.pieces[size] <= 0) throw new Error("no piece");
-            if (!canPlaceAt(roomState.board, to.r, to.c, size)) throw new Error("illegal");
-            
-            roomState.board[to.r][to.c].push({ owner: slot, size, color: player.color });
-            player.pieces[size]--;
-
-        } else if (payload.action === "move_on_board") {
-            const { from, to } = payload;
-            const srcStack = roomState.board[from.r][from.c];
-            if (!srcStack.length) throw new Error("empty");
-            const top = srcStack.at(-1);
-            if (top.owner !== slot) throw new Error("not yours");
-            if (!canPlaceAt(roomState.board, to.r, to.c, top.size)) throw new Error("illegal");
-
-            srcStack.pop();
-            let winner = checkWinner(roomState.board);
-            if (winner) {
-                roomState.winner = winner;
-                roomState.started = false;
-                io.to(roomID).emit("game_over", { winner, state: sanitizeState(roomState) });
-                return; 
-            }
-            roomState.board[to.r][to.c].push(top);
-        }
+      moves = await playEngine.run("suggestMoves", enginePosition(roomState));
+    } catch (e) {
+      return ack({ error: engineError(e) });
+    } finally {
+      hintSearches.delete(roomID);
+    }
+    // 探索している間に指された・待ったされた局面のヒントは出さない
+    if (rooms[roomID] !== roomState || roomState.moveCount !== moveCount || roomState.reason) return ack({ error: "position_changed" });
+    if (!moves.length) return ack({ error: "no_moves" });
 
-        const winner = checkWinner(roomState.board);
-        if (winner) {
-            roomState.winner = winner;
-            roomState.started = false;
-            io.to(roomID).emit("game_over", { winner, state: sanitizeState(roomState) });
-        } else {
-            roomState.currentTurn = (slot === "Blue") ? "Orange" : "Blue";
-            io.to(roomID).emit("update_state", sanitizeState(roomState));
-        }
-        if (ack) ack({ ok: true });
+    const player = roomState.players[slot];
+    player.hintsUsed = (player.hintsUsed || 0) + 1;
+    io.to(roomID).emit("update_state", sanitizeState(roomState));
+    touchRoom(roomID);
+    ack({ ok: true, moves });
+  });
+
+  // 待った: 相手の了承を得て、申し込んだ側の手番まで戻す (CPU・外部ボットはいつでも了承する)
+  socket.on("request_undo", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
 
+    const roomState = rooms[roomID];
+    const slot = socket.data.playerSlot;
+    const error = checkUndoRequest(roomState, slot);
+    if (error) return ack && ack({ error });
+
+    const opponent = roomState.players[opponentOf(slot)];
+    if (opponent.bot || opponent.remote) {
+      performUndo(roomID, slot);
+      io.to(roomID).emit("undo_result", { slot, accepted: true });
+      return ack && ack({ ok: true });
+    }
+
+    roomState.pendingUndo = slot;
+    io.to(roomID).emit("undo_requested", { slot });
+    io.to(roomID).emit("update_state", sanitizeState(roomState));
+    if (ack) ack({ ok: true });
+  });
+
+  socket.on("respond_undo", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
+
+    const roomState = rooms[roomID];
+    const requester = roomState.pendingUndo;
+    if (!requester) return ack && ack({ error: "no_request" });
+    if (socket.data.playerSlot !== opponentOf(requester)) return ack && ack({ error: "not_your_request" });
+
+    roomState.pendingUndo = null;
+    const accepted = !!data?.accept;
+    if (accepted) performUndo(roomID, requester);
+    else io.to(roomID).emit("update_state", sanitizeState(roomState));
+    io.to(roomID).emit("undo_result", { slot: requester, accepted });
+    if (ack) ack({ ok: true });
+  });
+
+  // 棋譜の取得 (リプレイ用): game を省略すると最新の対局
+  socket.on("get_record", (data, ack) => {
+    if (!ack) return;
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack({ error: "no_room" });
+    const list = listRecords(roomID);
+    const game = data?.game === undefined ? list.length - 1 : Number(data.game);
+    const record = list[game];
+    if (!record) return ack({ error: "no_record" });
+    ack({ ok: true, game, headers: record.headers, moves: record.moves });
+  });
+
+  // 棋譜の読み込み: ルールどおりに指し直して検証し、手順を返す (部屋の状態は変えない)
+  socket.on("import_record", (data, ack) => {
+    if (!ack) return;
+    const result = parseRecord(String(data?.text || "").slice(0, 100000));
+    if (!result.ok) return ack({ error: "bad_record", errors: result.errors });
+    ack({
+      ok: true,
+      headers: result.headers,
+      moves: result.moves.map(({ notation, move, slot, elapsedMs }) => ({ notation, move, slot, elapsedMs })),
+      winner: result.winner,
+      reason: result.reason
+    });
+  });
+
+  // 局面評価: position を省略すると今いる部屋の局面を評価する
+  socket.on("analyze", async (data, ack) => {
+    if (!ack) return;
+    let state;
+    if (data && data.position) {
+      state = parsePosition(data.position);
+      if (!state) return ack({ error: "bad_position" });
+    } else {
+      const roomID = socket.data.roomID;
+      if (!roomID || !rooms[roomID] || !rooms[roomID].currentTurn) return ack({ error: "no_position" });
+      if (seatsOf(rooms[roomID].rules).length > 2) return ack({ error: "unsupported_players" }); // 読み切りは2人対局だけ
+      state = rooms[roomID];
+    }
+    if (!allowAnalyze(socket.handshake.address)) return ack({ error: "rate_limited" });
+    try {
+      ack(await analyzeCached(state));
     } catch (e) {
-        if (ack) ack({ error: e.message });
+      ack({ error: engineError(e) });
     }
   });
 
   // -------------------------------------------------------------
   // ★追加: チャットメッセージ処理
   // -------------------------------------------------------------
-  socket.on("chat_message", (data) => {
+  socket.on("chat_message", (data, ack) => {
     const roomID = socket.data.roomID;
     if (!roomID || !rooms[roomID]) return;
 
     const roomState = rooms[roomID];
     const slot = socket.data.playerSlot;
+    if (!isSeat(roomState, slot) && !roomState.options.spectatorChat) {
+      if (ack) ack({ error: "spectator_chat_disabled" });
+      return;
+    }
 
-    // 送信者名の特定
-    let name = "観戦者";
-    if (slot === "Blue" && roomState.players.Blue) name = roomState.players.Blue.name;
-    else if (slot === "Orange" && roomState.players.Orange) name = roomState.players.Orange.name;
+    // 送信者名の特定 (チーム戦のメンバーはその人の名前)
+    const name = teammateOf(roomState, slot, socket)?.name || "観戦者";
 
     const text = String(data?.text || "").slice(0, 200); // 200文字制限
     if (!text) return;
@@ -252,6 +1951,8 @@ io.on("connection", (socket) => {
 
     // 同じ部屋の全員に送信
     io.to(roomID).emit("chat_message", msg);
+    touchRoom(roomID);
+    if (ack) ack({ ok: true });
   });
   // -------------------------------------------------------------
   // ★ここ！ cheer(応援)イベント
@@ -263,9 +1964,7 @@ io.on("connection", (socket) => {
     const roomState = rooms[roomID];
     const slot = socket.data.playerSlot;
 
-    let name = "観戦者";
-    if (slot === "Blue" && roomState.players.Blue) name = roomState.players.Blue.name;
-    else if (slot === "Orange") name = roomState.players.Orange.name;
+    const name = teammateOf(roomState, slot, socket)?.name || "観戦者";
 
     const text = String(data?.text || "").slice(0, 50);
     if (!text) return;
@@ -283,50 +1982,118 @@ io.on("connection", (socket) => {
     if (roomState.chatLog.length > 50) roomState.chatLog.shift();
 
     io.to(roomID).emit("cheer", msg);
+    touchRoom(roomID);
+  });
+
+  // チーム戦: 同じ色のチームにだけ届くチャット
+  socket.on("team_chat", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
+
+    const roomState = rooms[roomID];
+    const slot = socket.data.playerSlot;
+    const sender = roomState.options.teams ? teammateOf(roomState, slot, socket) : null;
+    if (!sender) return ack && ack({ error: "not_in_team" });
+
+    const text = String(data?.text || "").slice(0, 200);
+    if (!text) return;
+
+    const msg = { name: sender.name, text, time: Date.now(), slot, team: true };
+    const log = roomState.teamChat[slot] ||= [];
+    log.push(msg);
+    if (log.length > TEAM_CHAT_LIMIT) log.shift();
+
+    io.to(teamChannel(roomID, slot)).emit("team_chat", msg);
+    touchRoom(roomID);
+    if (ack) ack({ ok: true });
   });
-  // 再戦処理
+  // 再戦の申し込み (相手の申し込みがあれば同意)
   socket.on("restart_game", (data, ack) => {
-      const roomID = socket.data.roomID;
-      if (!roomID || !rooms[roomID]) return;
-      
-      const roomState = rooms[roomID];
-      // 状態リセット
-      roomState.board = [[[],[],[]],[[],[],[]],[[],[],[]]];
-      if(roomState.players.Blue) roomState.players.Blue.pieces = { small:2, medium:2, large:2 };
-      if(roomState.players.Orange) roomState.players.Orange.pieces = { small:2, medium:2, large:2 };
-      roomState.currentTurn = Math.random() < 0.5 ? "Blue" : "Orange";
-      roomState.winner = null;
-      roomState.started = !!(roomState.players.Blue && roomState.players.Orange);
-
-      io.to(roomID).emit("start_game", sanitizeState(roomState));
-      if(ack) ack({ ok: true });
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
+
+    const roomState = rooms[roomID];
+    const slot = socket.data.playerSlot;
+    if (!teammateOf(roomState, slot, socket)) {
+      return ack && ack({ error: "spectator" });
+    }
+
+    // 相手が CPU・空席なら同意は要らない。相手が先に申し込んでいれば、これで同意 (全員揃えば成立)
+    const requester = roomState.pendingRestart;
+    if (requester === slot) return ack && ack({ error: "already_requested" });
+    if (requester && !roomState.restartAgreed.includes(slot)) roomState.restartAgreed.push(slot);
+    if (!requester ? !restartVoters(roomState, slot).length : restartAgreedByAll(roomState)) {
+      restartGame(roomID);
+      if (requester) io.to(roomID).emit("restart_result", { slot: requester, accepted: true });
+      return ack && ack({ ok: true, restarted: true });
+    }
+    if (requester) {
+      io.to(roomID).emit("update_state", sanitizeState(roomState));
+      return ack && ack({ ok: true, pending: true });
+    }
+
+    roomState.pendingRestart = slot;
+    io.to(roomID).emit("restart_requested", { slot, midGame: roomState.started });
+    io.to(roomID).emit("update_state", sanitizeState(roomState));
+    if (ack) ack({ ok: true, pending: true });
+  });
+
+  socket.on("respond_restart", (data, ack) => {
+    const roomID = socket.data.roomID;
+    if (!roomID || !rooms[roomID]) return ack && ack({ error: "no_room" });
+
+    const roomState = rooms[roomID];
+    const requester = roomState.pendingRestart;
+    if (!requester) return ack && ack({ error: "no_request" });
+    const slot = socket.data.playerSlot;
+    if (!restartVoters(roomState, requester).includes(slot) || !teammateOf(roomState, slot, socket)) {
+      return ack && ack({ error: "not_your_request" });
+    }
+
+    const accepted = !!data?.accept;
+    if (accepted && !roomState.restartAgreed.includes(slot)) roomState.restartAgreed.push(slot);
+    if (accepted && !restartAgreedByAll(roomState)) {
+      // 3〜4人対局: ほかの人の同意を待つ
+      io.to(roomID).emit("update_state", sanitizeState(roomState));
+      return ack && ack({ ok: true, pending: true });
+    }
+    if (accepted) {
+      restartGame(roomID);
+    } else {
+      roomState.pendingRestart = null;
+      roomState.restartAgreed = [];
+      io.to(roomID).emit("update_state", sanitizeState(roomState));
+    }
+    io.to(roomID).emit("restart_result", { slot: requester, accepted });
+    if (ack) ack({ ok: true });
   });
 
   // 切断処理
   socket.on("disconnect", () => {
+    leaveMatchQueue(socket);
     const roomID = socket.data.roomID;
     if (roomID && rooms[roomID]) {
         const roomState = rooms[roomID];
         const slot = socket.data.playerSlot;
-        
-        if (slot === "Blue") roomState.players.Blue = null;
-        if (slot === "Orange") roomState.players.Orange = null;
-        
-        roomState.started = false;
-
-        // 誰もいなくなったら部屋をメモリから削除
-        const socketsInRoom = io.sockets.adapter.rooms.get(roomID);
-        if (!socketsInRoom || socketsInRoom.size === 0) {
-            delete rooms[roomID];
-            console.log(`Room deleted: ${roomID}`);
-        } else {
-            io.to(roomID).emit("update_state", sanitizeState(roomState));
+        const player = isSeat(roomState, slot) ? roomState.players[slot] : null;
+        const member = player?.members?.find(m => m.id === socket.id);
+
+        // 席についていたら再接続を待つ (別のソケットで復帰済みなら何もしない)
+        if (player && player.id === socket.id) {
+            holdSeat(roomID, slot);
+        } else if (member) {
+            holdMember(roomID, slot, member);
+        } else if (!deleteRoomIfEmpty(roomID)) {
+            notifyLobby(); // 観戦者の数が変わる
         }
     }
   });
 });
 
+await initPlayers();
+await restoreRooms();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
+  console.log(`Server running at http://localhost:${server.address().port}`); // PORT=0 なら空いているポート
 });
\ No newline at end of file
@@ -0,0 +1,192 @@
+// ai.js (CPU対戦用の思考ルーチン)
+// 局面は rules.js と同じ形 ({ board, players, currentTurn, ... }) で受け取り、
+// place_piece の payload と同じ形の手を返す。
+
+import { applyMove, legalMoves, canonicalKey, geometryOf, rulesOf, seatsOf } from "../public/rules.js";
+
+// 強さ: random = ランダム / greedy = 1手先読み / strong = 時間制限つきのαβ探索
+// strong は読み切れない局面では評価関数で打ち切るので、完全な手を指すとは限らない
+// αβ探索は2人対局専用なので、3〜4人対局では strong も greedy と同じ手選びになる
+export const BOT_LEVELS = ["random", "greedy", "strong"];
+
+const WIN_SCORE = 1000;
+const MATE_BOUND = WIN_SCORE - 100; // これより大きい評価値は詰み (手数つき)
+const MAX_DEPTH = 12;
+const DEFAULT_TIME_LIMIT_MS = 800; // CPU の手やヒントを待たせないよう短めに (サーバーでは engine.js のワーカーで動く)
+
+// 置換表はサーバー全体で共有する (局面は対称形で正規化しているので部屋をまたいで使える。ルールが違えばキーも違う)
+const TABLE_LIMIT = 500000;
+const table = new Map();
+
+class SearchTimeout extends Error {}
+
+// ----------------- 評価関数 -----------------
+// slot から見た静的評価。相手の駒が混ざっていないラインほど高く数える
+function evaluate(state, slot) {
+  const { lines, sizeVal } = geometryOf(rulesOf(state));
+  let score = 0;
+  for (const line of lines) {
+    let mine = 0;
+    let theirs = 0;
+    for (const [r, c] of line) {
+      const top = state.board[r][c].at(-1);
+      if (!top) continue;
+      if (top.owner === slot) mine += sizeVal[top.size];
+      else theirs += sizeVal[top.size];
+    }
+    if (!theirs) score += mine * mine;
+    if (!mine) score -= theirs * theirs;
+  }
+  return score;
+}
+
+// 手を指した側から見た終局スコア (ply が小さいほど良い勝ち / 遅い負け)
+function terminalScore(result, slot, ply) {
+  return result.winner === slot ? WIN_SCORE - ply : -(WIN_SCORE - ply);
+}
+
+// 置換表には「この局面から何手で詰むか」に直した値を入れる
+function toTable(score, ply) {
+  if (score > MATE_BOUND) return score + ply;
+  if (score < -MATE_BOUND) return score - ply;
+  return score;
+}
+function fromTable(score, ply) {
+  if (score > MATE_BOUND) return score - ply;
+  if (score < -MATE_BOUND) return score + ply;
+  return score;
+}
+
+// 子局面を作り、勝ち手 → 評価の高い手 の順に並べる
+function expand(state) {
+  const slot = state.currentTurn;
+  return legalMoves(state)
+    .map(move => {
+      const result = applyMove(state, move);
+      const order = result.winner
+        ? (result.winner === slot ? Infinity : -Infinity)
+        : evaluate(result.state, slot);
+      return { move, result, order };
+    })
+    .sort((a, b) => b.order - a.order);
+}
+
+// ----------------- αβ探索 (negamax) -----------------
+function negamax(state, depth, alpha, beta, ply, ctx) {
+  if (++ctx.nodes % 1024 === 0 && Date.now() > ctx.deadline) throw new SearchTimeout();
+
+  const slot = state.currentTurn;
+  const key = canonicalKey(state);
+  const entry = table.get(key);
+  if (entry && entry.depth >= depth) {
+    const value = fromTable(entry.value, ply);
+    if (entry.flag === "exact") return value;
+    if (entry.flag === "lower" && value >= beta) return value;
+    if (entry.flag === "upper" && value <= alpha) return value;
+  }
+  if (depth === 0) return evaluate(state, slot);
+
+  const children = expand(state);
+  if (!children.length) return 0; // 動かせる手がない局面は引き分け扱い
+
+  const alphaStart = alpha;
+  let best = -Infinity;
+  for (const { result } of children) {
+    const score = result.winner
+      ? terminalScore(result, slot, ply + 1)
+      : -negamax(result.state, depth - 1, -beta, -alpha, ply + 1, ctx);
+    if (score > best) best = score;
+    if (score > alpha) alpha = score;
+    if (alpha >= beta) break;
+  }
+
+  const flag = best <= alphaStart ? "upper" : best >= beta ? "lower" : "exact";
+  if (table.size >= TABLE_LIMIT) table.clear();
+  table.set(key, { depth, value: toTable(best, ply), flag });
+  return best;
+}
+
+// 反復深化で時間いっぱいまで読む。同点の最善手からランダムに選ぶ
+function searchBestMoves(state, timeLimitMs) {
+  const ctx = { deadline: Date.now() + timeLimitMs, nodes: 0 };
+  const slot = state.currentTurn;
+  const children = expand(state);
+  let bestMoves = children.length ? [children[0].move] : [];
+  let bestScore = -Infinity;
+
+  for (let depth = 1; depth <= MAX_DEPTH; depth++) {
+    try {
+      let alpha = -Infinity;
+      const scored = [];
+      for (const child of children) {
+        const score = child.result.winner
+          ? terminalScore(child.result, slot, 1)
+          : -negamax(child.result.state, depth - 1, -Infinity, -alpha + 1, 1, ctx);
+        scored.push({ move: child.move, score });
+        if (score > alpha) alpha = score;
+      }
+      bestScore = Math.max(...scored.map(s => s.score));
+      bestMoves = scored.filter(s => s.score === bestScore).map(s => s.move);
+      // 次の深さでは良かった手から読む
+      children.sort((a, b) => scoreOf(scored, b.move) - scoreOf(scored, a.move));
+    } catch (e) {
+      if (!(e instanceof SearchTimeout)) throw e;
+      break;
+    }
+    if (Math.abs(bestScore) > MATE_BOUND) break; // 勝ち負けが読み切れた
+  }
+  return { moves: bestMoves, score: bestScore };
+}
+
+function scoreOf(scored, move) {
+  return scored.find(s => s.move === move)?.score ?? -Infinity;
+}
+
+// ----------------- 強さ別の手選び -----------------
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function isMultiplayer(state) {
+  return seatsOf(rulesOf(state)).length > 2;
+}
+
+// 勝てる手があれば指し、次の手番の人に即勝ちされる手は避け、残りは評価関数で選ぶ (同点の手すべてを返す)
+function greedyMoves(state) {
+  const slot = state.currentTurn;
+  let best = [];
+  let bestScore = -Infinity;
+  for (const { move, result } of expand(state)) {
+    let score;
+    if (result.winner) {
+      score = result.winner === slot ? Infinity : -Infinity;
+    } else {
+      const replies = legalMoves(result.state).map(m => applyMove(result.state, m));
+      const loses = replies.some(r => r.winner && r.winner !== slot);
+      score = loses ? -WIN_SCORE : evaluate(result.state, slot);
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = [move];
+    } else if (score === bestScore) {
+      best.push(move);
+    }
+  }
+  return best;
+}
+
+// ヒント用: state.currentTurn の手番の最善手 (同点の手すべて) を返す
+export function suggestMoves(state, { timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) {
+  if (!legalMoves(state).length) return [];
+  if (isMultiplayer(state)) return greedyMoves(state);
+  return searchBestMoves(state, timeLimitMs).moves;
+}
+
+// state.currentTurn の手番として次の一手を返す (指せる手がなければ null)
+export function chooseMove(state, level, { timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) {
+  const moves = legalMoves(state);
+  if (!moves.length) return null;
+  if (level === "random") return pickRandom(moves);
+  if (level === "greedy" || isMultiplayer(state)) return pickRandom(greedyMoves(state));
+  return pickRandom(searchBestMoves(state, timeLimitMs).moves);
+}
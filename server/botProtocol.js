@@ -0,0 +1,109 @@
+// botProtocol.js (外部ボット用の WebSocket プロトコル)
+// Socket.IO のクライアントがなくても、どの言語からでもボットを作れるよう、/bot に素の WebSocket の口を開ける。
+// 部屋・手の処理は server.js が行い (place_piece と同じ検証)、このファイルは接続とメッセージの形だけを受け持つ。
+//
+// ----------------- プロトコル (version 1) -----------------
+// 接続先: ws://<host>/bot   1フレームに JSON のオブジェクトを1つ送る。どのメッセージにも "type" がある。
+// ボットから送るメッセージには "id" (文字列か数値) を付けてよく、そのメッセージへの返事には同じ "id" が付く。
+//
+// ボット -> サーバー
+//   { "type": "hello", "version": 1, "name": "MyBot", "token": "..." }
+//       最初に必ず送る。token は前回の welcome で受け取ったプレイヤートークン (省略すると新しいプレイヤー)
+//       -> { "type": "welcome", "version": 1, "player": { "id", "name", "rating" }, "token": "..." }
+//   { "type": "seek", "options": { ... } }
+//       相手を待っている公開の部屋に座る。なければ options (Socket.IO の join と同じ部屋の設定) で部屋を作って待つ
+//       (ありえないハウスルールなら部屋は作らず bad_rules)
+//       -> { "type": "joined", "roomID", "slot", "token", "created" }
+//   { "type": "join", "room": "abcd", "create": true, "token": "...", "invite": "...", "password": "...", "options": { ... } }
+//       部屋を指定して空いている席に座る。部屋がなければ create が true のときだけ作る (なければ no_room)。
+//       token は前回の joined の席のトークンで、同じ席に戻れる
+//       -> { "type": "joined", ... } (戻ったときは "resumed": true)
+//   { "type": "move", "move": { "action": "place_from_hand", "size": "small", "to": { "r": 0, "c": 0 } } }
+//   { "type": "move", "move": { "action": "move_on_board", "from": { "r": 0, "c": 0 }, "to": { "r": 1, "c": 1 } } }
+//       手番の手を指す (形は place_piece の payload と同じ)
+//       -> { "type": "moved", "ok": true }   (チーム戦の部屋では "proposalId", "committed" も付く)
+//   { "type": "leave" }
+//       席を空けて部屋を出る -> { "type": "left" }
+//
+// サーバー -> ボット
+//   { "type": "state", "roomID", "slot", "yourTurn", "state": { ... } }
+//       部屋の状態が変わるたびに届く。state はブラウザの update_state と同じ形 (server.js の sanitizeState)
+//   { "type": "game_over", "roomID", "winner", "reason", "ratings", "state": { ... } }
+//       決着したとき (winner は勝った側の slot、引き分けなら null。reason は rules.js の WIN_REASON / DRAW_REASON)
+//   { "type": "error", "error": "code" }
+//       失敗したとき。エラーコードは Socket.IO の ack と同じ (not_your_turn, bad_move など) か、
+//       bad_message / hello_required / unsupported_version / not_in_room / room_full
+//
+// 接続が切れた席は、ブラウザと同じく一定時間 (再接続の猶予) 確保される。hello のあと join に席のトークンを付ければ戻れる。
+
+import { WebSocketServer } from "ws";
+
+export const BOT_PROTOCOL_VERSION = 1;
+export const BOT_PATH = "/bot";
+
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const HEARTBEAT_MS = 30 * 1000; // 応答のない接続 (ping に pong が返らない) を切るまで
+
+// メッセージ (文字列) -> オブジェクト。JSON のオブジェクトで type がなければ null
+export function parseBotMessage(text) {
+  if (text.length > MAX_MESSAGE_BYTES) return null;
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!msg || typeof msg !== "object" || Array.isArray(msg) || typeof msg.type !== "string") return null;
+  if (msg.id !== undefined && typeof msg.id !== "string" && typeof msg.id !== "number") return null;
+  return msg;
+}
+
+// http サーバーの /bot への WebSocket 接続を受け付ける。ほかのパス (Socket.IO の /socket.io/) には手を出さない
+//   onConnection(connection) の connection:
+//     address                接続元の IP アドレス
+//     send(message)          オブジェクトを JSON にして送る (閉じていれば何もしない)
+//     onMessage(handler)     handler(message) に parseBotMessage 済みのメッセージを渡す (読めなければ null)
+//     onClose(handler)
+//     close()
+export function attachBotServer(httpServer, onConnection) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  httpServer.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== BOT_PATH) return;
+    wss.handleUpgrade(req, socket, head, ws => wss.emit("connection", ws, req));
+  });
+
+  wss.on("connection", (ws, req) => {
+    ws.isAlive = true;
+    ws.on("pong", () => { ws.isAlive = true; });
+    onConnection({
+      address: req.socket.remoteAddress,
+      send(message) {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      },
+      onMessage(handler) {
+        ws.on("message", (data, isBinary) => handler(isBinary ? null : parseBotMessage(data.toString())));
+      },
+      onClose(handler) {
+        ws.on("close", handler);
+      },
+      close() {
+        ws.close();
+      }
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return wss;
+}
@@ -0,0 +1,72 @@
+// engine.js (探索をワーカースレッドで動かす窓口)
+// CPU の手・ヒントの探索や局面の読み切りは1回で数百ミリ秒〜数秒 CPU を使い続けるので、メインスレッドで動かすと
+// その間ほかの部屋の通信が止まる。探索は engineWorker.js のスレッドに任せ、結果を Promise で受け取る。
+//
+// ワーカー1本につき頼まれた順に1つずつ処理する。待ちが MAX_QUEUE 件を超えたら EngineBusy で断る。
+
+import { Worker } from "worker_threads";
+
+const WORKER_PATH = new URL("./engineWorker.js", import.meta.url);
+const MAX_QUEUE = 32;
+
+export class EngineBusy extends Error {
+  constructor() {
+    super("engine_busy");
+  }
+}
+
+// 探索に渡す局面。部屋の状態にはタイマーなど送れないものも入っているので、ルールエンジンが読む項目だけ写す
+export function enginePosition(state) {
+  const players = {};
+  for (const [slot, p] of Object.entries(state.players)) {
+    if (p) players[slot] = { pieces: p.pieces, color: p.color, out: !!p.out };
+  }
+  return { board: state.board, players, currentTurn: state.currentTurn, winner: state.winner, reason: state.reason, rules: state.rules };
+}
+
+export class Engine {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // id -> { resolve, reject }
+    this.nextId = 1;
+  }
+
+  // task は engineWorker.js の TASKS のキー。args は構造化複製できる値だけ
+  run(task, ...args) {
+    if (this.pending.size >= MAX_QUEUE) return Promise.reject(new EngineBusy());
+    const worker = this.start();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, task, args });
+    });
+  }
+
+  // ワーカーは最初に使うときに起動する。落ちたら待っている仕事を失敗させ、次の run で起動し直す
+  start() {
+    if (this.worker) return this.worker;
+    const worker = new Worker(WORKER_PATH);
+    worker.unref(); // 探索待ちのワーカーがあってもプロセスは終了できる
+    worker.on("message", ({ id, result, error }) => {
+      const job = this.pending.get(id);
+      if (!job) return;
+      this.pending.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    });
+    const fail = err => {
+      if (this.worker !== worker) return;
+      this.worker = null;
+      for (const job of this.pending.values()) job.reject(err);
+      this.pending.clear();
+    };
+    worker.on("error", fail);
+    worker.on("exit", code => fail(new Error(`engine worker exited (${code})`)));
+    this.worker = worker;
+    return worker;
+  }
+
+  close() {
+    return this.worker ? this.worker.terminate() : Promise.resolve();
+  }
+}
@@ -0,0 +1,17 @@
+// engineWorker.js (engine.js が起動するワーカースレッド)
+// メッセージ { id, task, args } を受け取り、探索の結果を { id, result } (失敗なら { id, error }) で返す
+
+import { parentPort } from "worker_threads";
+import { chooseMove, suggestMoves } from "./ai.js";
+import { analyze } from "./solver.js";
+
+const TASKS = { chooseMove, suggestMoves, analyze };
+
+parentPort.on("message", async ({ id, task, args }) => {
+  try {
+    if (!TASKS[task]) throw new Error(`unknown task: ${task}`);
+    parentPort.postMessage({ id, result: await TASKS[task](...args) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
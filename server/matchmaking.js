@@ -0,0 +1,12 @@
+// matchmaking.js (クイックマッチの相手選び)
+// 待ち行列の entry は { playerId, rating, ... } の形 (server.js の joinMatchQueue が作る)。
+
+// player と組ませる相手: 待っている人のうちレーティングが一番近い人 (同じ人の別タブとは組ませない)。いなければ null
+export function pickOpponent(queue, player) {
+  let best = null;
+  for (const entry of queue) {
+    if (entry.playerId === player.id) continue;
+    if (!best || Math.abs(entry.rating - player.rating) < Math.abs(best.rating - player.rating)) best = entry;
+  }
+  return best;
+}
@@ -0,0 +1,191 @@
+// players.js (プレイヤーの識別・レーティング・戦績)
+// ゲストとして最初に接続したときに ID を発行し、署名付きトークン "<id>.<署名>" を渡す。
+// 次回からはそのトークンで同じプレイヤーとして扱う (署名が合わないトークンは新しいゲストにする)。
+// レーティングは Elo (初期値 1500)。
+// 終わった対局は棋譜ごと "games" に保存し、プレイヤーには最近の対局としてその ID を残す (リプレイ用)。
+
+import crypto from "crypto";
+import { createStorage } from "./storage.js";
+
+export const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+const MAX_RECENT_GAMES = 20;
+const MAX_RATING_HISTORY = 100;
+
+const storage = createStorage("players");
+const metaStorage = createStorage("meta");
+const gameStorage = createStorage("games"); // 棋譜は必要なときだけ読む (全部はメモリに載せない)
+const players = new Map(); // id -> newPlayer() の形
+let secret = null;
+
+// ----------------- 読み込み -----------------
+// 署名の鍵は PLAYER_SECRET か、初回に作って保存したもの (再起動してもトークンが使えるように)
+export async function initPlayers() {
+  const meta = await metaStorage.loadAll();
+  secret = process.env.PLAYER_SECRET || meta.secret?.key;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    await metaStorage.save("secret", { key: secret });
+  }
+  for (const [id, data] of Object.entries(await storage.loadAll())) players.set(id, { ...newPlayer(id), ...data });
+}
+
+export function flushPlayers() {
+  return Promise.all([storage.flush(), gameStorage.flush()]);
+}
+
+function newPlayer(id) {
+  return {
+    id,
+    name: "Guest",
+    rating: DEFAULT_RATING,
+    createdAt: Date.now(),
+    stats: { wins: 0, losses: 0, draws: 0 },
+    ratingHistory: [], // レート戦のあとのレーティング: { time, rating }
+    recentGames: [] // 新しい順: { gameId, time, slot, opponent: { id, name }, result, reason, rated, ratingDelta }
+  };
+}
+
+function savePlayer(player) {
+  storage.save(player.id, player).catch(e => console.log(`Player save error (${player.id}):`, e.message));
+}
+
+// ----------------- トークン -----------------
+function sign(id) {
+  return crypto.createHmac("sha256", secret).update(id).digest("base64url");
+}
+
+export function tokenFor(id) {
+  return `${id}.${sign(id)}`;
+}
+
+// 正しく署名されたトークンならプレイヤー ID を返す
+export function verifyToken(token) {
+  const [id, sig] = String(token || "").split(".");
+  if (!id || !sig) return null;
+  const expected = Buffer.from(sign(id));
+  const actual = Buffer.from(sig);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? id : null;
+}
+
+// ----------------- プレイヤー -----------------
+// トークンのプレイヤーを返す。なければ新しいゲストを作る。name があれば表示名を更新する
+export function identify(token, name) {
+  const id = verifyToken(token);
+  let player = id ? players.get(id) : null;
+  if (!player) {
+    player = newPlayer(crypto.randomUUID());
+    players.set(player.id, player);
+  }
+  if (name) player.name = String(name).slice(0, 50);
+  savePlayer(player);
+  return player;
+}
+
+export function getPlayer(id) {
+  return players.get(id) || null;
+}
+
+export function renamePlayer(id, name) {
+  const player = players.get(id);
+  if (!player || !name || player.name === name) return;
+  player.name = String(name).slice(0, 50);
+  savePlayer(player);
+}
+
+// API で返すプロフィール (トークンなどは含めない)
+export function publicProfile(id) {
+  const player = players.get(id);
+  if (!player) return null;
+  const { name, rating, createdAt, stats, ratingHistory, recentGames } = player;
+  return { id, name, rating, createdAt, stats, ratingHistory, recentGames };
+}
+
+// レート戦を1局以上指したプレイヤーをレーティング順に
+export function leaderboard(limit = 50) {
+  return [...players.values()]
+    .filter(p => p.ratingHistory.length)
+    .sort((a, b) => b.rating - a.rating || a.createdAt - b.createdAt)
+    .slice(0, limit)
+    .map((p, i) => ({ rank: i + 1, id: p.id, name: p.name, rating: p.rating, ...p.stats }));
+}
+
+// ----------------- レーティング -----------------
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// scoreA: A から見た結果 (勝ち 1 / 引き分け 0.5 / 負け 0)
+// 返り値: { [idA]: { before, after, delta }, [idB]: {...} }
+export function applyResult(idA, idB, scoreA) {
+  const a = players.get(idA);
+  const b = players.get(idB);
+  if (!a || !b) return null;
+
+  const deltaA = Math.round(K_FACTOR * (scoreA - expectedScore(a.rating, b.rating)));
+  const changes = {
+    [a.id]: { before: a.rating, after: a.rating + deltaA, delta: deltaA },
+    [b.id]: { before: b.rating, after: b.rating - deltaA, delta: -deltaA }
+  };
+  a.rating += deltaA;
+  b.rating -= deltaA;
+  const time = Date.now();
+  for (const p of [a, b]) {
+    p.ratingHistory.push({ time, rating: p.rating });
+    if (p.ratingHistory.length > MAX_RATING_HISTORY) p.ratingHistory.shift();
+    savePlayer(p);
+  }
+  return changes;
+}
+
+// ----------------- 戦績 -----------------
+// 終わった対局を両者の戦績に加える
+//   record: server.js の buildRecord の形 (手がなければ null。棋譜は保存しない)
+//   seats: { Blue: { playerId, name } | null, Orange: ... }  playerId が null の席 (CPU など) は記録しない
+//          3〜4人対局は Green / Purple も入り、相手は opponent.ids / name (", " 区切り) にまとめる
+//   ratings: レート戦なら { Blue: { delta, ... }, Orange: ... }
+export function recordGame(record, seats, winner, reason, ratings) {
+  const slots = Object.keys(seats).filter(k => seats[k]?.playerId && players.has(seats[k].playerId));
+  if (!slots.length) return null;
+
+  const gameId = record ? crypto.randomUUID() : null;
+  if (record) {
+    gameStorage.save(gameId, { id: gameId, headers: record.headers, moves: record.moves })
+      .catch(e => console.log(`Game save error (${gameId}):`, e.message));
+  }
+
+  for (const slot of slots) {
+    const player = players.get(seats[slot].playerId);
+    const others = Object.keys(seats).filter(k => k !== slot && seats[k]).map(k => seats[k]);
+    const opponent = others.length > 1
+      ? { id: null, ids: others.map(o => o.playerId).filter(Boolean), name: others.map(o => o.name).join(", ") }
+      : { id: others[0]?.playerId || null, name: others[0]?.name || "" };
+    const result = !winner ? "draw" : winner === slot ? "win" : "loss";
+    player.stats[{ win: "wins", loss: "losses", draw: "draws" }[result]]++;
+    player.recentGames.unshift({
+      gameId,
+      time: Date.now(),
+      slot,
+      opponent,
+      result,
+      reason,
+      rated: !!ratings,
+      ratingDelta: ratings ? ratings[slot].delta : null
+    });
+    for (const old of player.recentGames.splice(MAX_RECENT_GAMES)) forgetGame(old, player.id);
+    savePlayer(player);
+  }
+  return gameId;
+}
+
+// 最近の対局から外れた棋譜は、相手の一覧にも残っていなければ消す
+function forgetGame(entry, playerId) {
+  if (!entry.gameId) return;
+  const ids = (entry.opponent.ids || [entry.opponent.id]).filter(id => id && id !== playerId);
+  if (ids.some(id => players.get(id)?.recentGames.some(g => g.gameId === entry.gameId))) return;
+  gameStorage.remove(entry.gameId).catch(e => console.log(`Game delete error (${entry.gameId}):`, e.message));
+}
+
+export function loadGame(gameId) {
+  return gameStorage.load(String(gameId));
+}
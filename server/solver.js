@@ -0,0 +1,227 @@
+// solver.js (読み切りによる局面評価)
+// 局面ごとに、読みの上限の中で 勝ち / 負け と決着までの手数を求めてキャッシュする。
+// 回転・反転で重なる局面は canonicalKey で同じ局面として扱う。
+// 盤の大きさ・駒・勝ちの長さは局面のルール (state.rules。4x4 やハウスルールも) に従う。読み切りは2人対局だけ (3〜4人対局は server.js で断る)。
+//
+// 結果は「手番側から見た」値:
+//   win     = 手番側が distance 手で必ず勝てる (最短)
+//   loss    = 相手が distance 手で必ず勝てる (最長の粘り)
+//   unknown = 読みの上限 (horizon 手) や時間の上限までに、どちらの勝ちも証明できなかった
+// 探索は上限つきなので引き分けは証明しない (初期局面のように、先が長いだけの勝ち局面も unknown になる)。
+//
+// 読み切った結果は data/solver-table.txt に書き出せる (npm run solve)。
+// サーバーは最初の analyze のときに初めてこのファイルを読み込むので、起動は遅くならない。
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { applyMove, legalMoves, canonicalKey, positionKey, parsePosition, checkWinner, nextTurn, rulesOf } from "../public/rules.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TABLE_PATH = path.join(__dirname, "..", "data", "solver-table.txt");
+
+export const DEFAULT_HORIZON = 9;
+const DEFAULT_TIME_LIMIT_MS = 1500;
+
+// canonicalKey -> { result: "win" | "loss", distance }  (読み切った局面だけ)
+const solved = new Map();
+// "<canonicalKey>|<attacker>" -> attacker が勝ちを強制できる最小の手数 / できないと分かっている手数
+// 長く動くサーバーでメモリを使い切らないよう、CACHE_LIMIT 件を超えたら捨てて読み直す
+const CACHE_LIMIT = 1000000;
+const winWithin = new Map();
+const noWinWithin = new Map();
+
+let tableLoad = null; // 読み込み中 / 読み込み済みの Promise
+
+class SolveTimeout extends Error {}
+
+// ----------------- 表の読み書き -----------------
+// 1行1局面: "<canonicalKey>\t<w|l>\t<distance>"
+export function loadTable() {
+  if (!tableLoad) {
+    tableLoad = fs.promises.readFile(TABLE_PATH, "utf8")
+      .then(text => {
+        for (const line of text.split("\n")) {
+          const [key, code, distance] = line.split("\t");
+          if (!key || !distance) continue;
+          solved.set(key, { result: code === "w" ? "win" : "loss", distance: Number(distance) });
+        }
+        console.log(`Solver table loaded: ${solved.size} positions`);
+      })
+      .catch(e => {
+        if (e.code !== "ENOENT") console.log("Solver table load error:", e.message);
+      });
+  }
+  return tableLoad;
+}
+
+// 探索の途中で手数まで確定した局面も solved に移す
+// (勝ちを強制できる最小手数 w と、w - 1 手ではできないことの両方が分かっていれば確定)
+function collectExact() {
+  for (const [key, w] of winWithin) {
+    if (w !== 1 && noWinWithin.get(key) !== w - 1) continue;
+    const [canonical, attacker] = key.split("|");
+    if (solved.has(canonical)) continue;
+    const toMove = canonical.at(-1); // canonicalKey の末尾は手番の頭文字
+    solved.set(canonical, { result: attacker[0] === toMove ? "win" : "loss", distance: w });
+  }
+}
+
+export async function saveTable(file = TABLE_PATH) {
+  collectExact();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const lines = [];
+  for (const [key, { result, distance }] of solved) {
+    lines.push(`${key}\t${result === "win" ? "w" : "l"}\t${distance}`);
+  }
+  // 書き込み途中で落ちても壊れないよう、一時ファイルに書いてから置き換える
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, lines.join("\n"));
+  await fs.promises.rename(tmp, file);
+  return lines.length;
+}
+
+// ----------------- 探索 -----------------
+// attacker が depth 手以内に勝ちを強制できるか (手番はどちらでもよい)
+function canForceWin(state, attacker, depth, ctx) {
+  if (++ctx.nodes % 1024 === 0 && Date.now() > ctx.deadline) throw new SolveTimeout();
+  if (depth <= 0) return false;
+
+  const key = `${canonicalKey(state)}|${attacker}`;
+  if ((winWithin.get(key) ?? Infinity) <= depth) return true;
+  if ((noWinWithin.get(key) ?? 0) >= depth) return false;
+
+  const children = legalMoves(state).map(move => applyMove(state, move));
+  let wins;
+  if (state.currentTurn === attacker) {
+    // 攻め側の手番: どれか1手で勝てればよい (1手で勝てる手を先に見る)
+    wins = children.some(r => r.winner === attacker)
+      || children.some(r => !r.winner && canForceWin(r.state, attacker, depth - 1, ctx));
+  } else {
+    // 受け側の手番: どの手を指しても負けるなら攻め側の勝ち
+    wins = children.length > 0
+      && !children.some(r => r.winner && r.winner !== attacker)
+      && children.every(r => r.winner === attacker || canForceWin(r.state, attacker, depth - 1, ctx));
+  }
+
+  if (winWithin.size + noWinWithin.size >= CACHE_LIMIT) {
+    collectExact();
+    winWithin.clear();
+    noWinWithin.clear();
+  }
+  if (wins) winWithin.set(key, Math.min(depth, winWithin.get(key) ?? Infinity));
+  else noWinWithin.set(key, Math.max(depth, noWinWithin.get(key) ?? 0));
+  return wins;
+}
+
+// 反復深化で horizon 手まで読む。最初に勝ちが見つかった深さがちょうど決着までの手数になる。
+// 時間切れのときはそこまでに分かった結果を返す
+function solve(state, horizon, ctx) {
+  const key = canonicalKey(state);
+  const known = solved.get(key);
+  if (known) return { value: known, searched: known.distance, complete: true };
+
+  const slot = state.currentTurn;
+  let value = null;
+  let searched = 0;
+  try {
+    for (let depth = 1; depth <= horizon && !value; depth++) {
+      if (canForceWin(state, slot, depth, ctx)) value = { result: "win", distance: depth };
+      else if (canForceWin(state, nextTurn(state, slot), depth, ctx)) value = { result: "loss", distance: depth };
+      searched = depth;
+    }
+  } catch (e) {
+    if (!(e instanceof SolveTimeout)) throw e;
+  }
+  if (value) solved.set(key, value);
+  return { value, searched, complete: !!value || searched === horizon };
+}
+
+// ----------------- 公開 API -----------------
+// state の評価と、同じ結果になる最善手を返す
+//   { position, turn, result, distance, exact, bestMoves, moves: [{ move, result, distance }] }
+//   result は "win" / "loss" / "unknown"。終局している局面なら "terminal" で winner を返す
+//   exact: 勝ち負けと手数まで読み切れたか / complete: 時間切れにならず horizon 手まで読めたか
+export async function analyze(state, options = {}) {
+  await loadTable();
+
+  const position = positionKey(state);
+  const slot = state.currentTurn;
+  const winner = state.winner || checkWinner(state.board, nextTurn(state, slot), rulesOf(state), state.players);
+  if (winner || state.reason) {
+    return { position, turn: slot, result: "terminal", winner, distance: 0, exact: true, bestMoves: [], moves: [] };
+  }
+
+  const { horizon = DEFAULT_HORIZON, timeLimitMs = DEFAULT_TIME_LIMIT_MS } = options;
+  const ctx = { deadline: Date.now() + timeLimitMs, nodes: 0 };
+  const { value, complete } = solve(state, horizon, ctx);
+
+  // 各手の評価 (手を指した側から見た値に直す)。親の探索結果がキャッシュに残っているので軽い。
+  // 読み切れている場合は最短手数より先は読まないので、それより長い手は unknown になる
+  const childHorizon = value ? value.distance - 1 : horizon - 1;
+  const moves = legalMoves(state).map(move => {
+    const result = applyMove(state, move);
+    if (result.winner) {
+      return { move, result: result.winner === slot ? "win" : "loss", distance: 1 };
+    }
+    const child = solve(result.state, childHorizon, ctx).value;
+    if (!child) return { move, result: "unknown", distance: null };
+    return { move, result: child.result === "win" ? "loss" : "win", distance: child.distance + 1 };
+  });
+
+  const rank = m => m.result === "win" ? 1e6 - m.distance : m.result === "loss" ? -1e6 + m.distance : 0;
+  const bestRank = Math.max(...moves.map(rank));
+  return {
+    position,
+    turn: slot,
+    result: value ? value.result : "unknown",
+    distance: value ? value.distance : null,
+    exact: !!value,
+    complete,
+    bestMoves: moves.filter(m => rank(m) === bestRank).map(m => m.move),
+    moves
+  };
+}
+
+export async function analyzePosition(text, options) {
+  const state = parsePosition(text);
+  if (!state) return null;
+  return analyze(state, options);
+}
+
+// 読み切った局面の表を返す (同期版、読み込み済みのものだけ)
+export function lookup(state) {
+  return solved.get(canonicalKey(state)) || null;
+}
+
+// ----------------- 表の作成 (npm run solve) -----------------
+// 初期局面から maxPly 手までに現れる局面を読み、結果を data/solver-table.txt に書き出す
+async function buildTable({ maxPly = 4, horizon = DEFAULT_HORIZON } = {}) {
+  await loadTable();
+  const start = parsePosition("//|//|//;222,222;Blue");
+  let frontier = [start];
+  const seen = new Set();
+  for (let ply = 0; ply <= maxPly; ply++) {
+    const next = [];
+    for (const state of frontier) {
+      const key = canonicalKey(state);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      solve(state, horizon, { deadline: Infinity, nodes: 0 });
+      for (const move of legalMoves(state)) {
+        const result = applyMove(state, move);
+        if (!result.winner) next.push(result.state);
+      }
+    }
+    console.log(`ply ${ply}: ${seen.size} positions visited, ${solved.size} solved`);
+    frontier = next;
+  }
+  const count = await saveTable();
+  console.log(`Saved ${count} positions to ${TABLE_PATH}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const maxPly = Number(process.argv[2] ?? 4);
+  const horizon = Number(process.argv[3] ?? DEFAULT_HORIZON);
+  buildTable({ maxPly, horizon });
+}
@@ -0,0 +1,130 @@
+// storage.js (データの保存先)
+// サーバーを再起動しても対局・チャット・棋譜・プレイヤー情報が消えないよう、JSON で保存する。
+// データは種類 (collection: "rooms", "players" など) ごとに分け、その中を ID で引く。
+// 保存先は STORAGE 環境変数で選ぶ:
+//   file   (既定) data/<collection>/ に ID ごとの JSON ファイル
+//   memory プロセスの中だけ (再起動すると消える。開発・動作確認用)
+//
+// どの保存先も同じ形の非同期 API を持つ:
+//   loadAll()        -> { id: data }
+//   load(id)         -> data (なければ null)
+//   save(id, data)
+//   remove(id)
+//   flush()          書きかけの保存が終わるのを待つ
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+// ----------------- メモリ -----------------
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async loadAll() {
+    return Object.fromEntries([...this.items].map(([id, json]) => [id, JSON.parse(json)]));
+  }
+
+  async load(id) {
+    const json = this.items.get(id);
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  async save(id, data) {
+    // 呼び出し側がこのあと状態を書き換えても影響しないよう文字列で持つ
+    this.items.set(id, JSON.stringify(data));
+  }
+
+  async remove(id) {
+    this.items.delete(id);
+  }
+
+  async flush() {}
+}
+
+// ----------------- ファイル -----------------
+// 1件1ファイル。ID はファイル名に使えるようエンコードする
+export class FileStorage {
+  constructor(dir) {
+    this.dir = dir;
+    this.queues = new Map(); // id -> 直前の書き込みの Promise (同じ ID への書き込みは順番に)
+  }
+
+  fileOf(id) {
+    return path.join(this.dir, `${encodeURIComponent(id)}.json`);
+  }
+
+  // 同じ ID への保存・削除が追い越さないよう、ID ごとに直列にする
+  enqueue(id, task) {
+    const prev = this.queues.get(id) || Promise.resolve();
+    const next = prev.then(task, task);
+    this.queues.set(id, next);
+    next.finally(() => {
+      if (this.queues.get(id) === next) this.queues.delete(id);
+    });
+    return next;
+  }
+
+  async loadAll() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const items = {};
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith(".json")) continue; // 書きかけの .tmp は無視する
+      try {
+        const text = await fs.promises.readFile(path.join(this.dir, name), "utf8");
+        items[decodeURIComponent(name.slice(0, -5))] = JSON.parse(text);
+      } catch (e) {
+        console.log(`Data file skipped (${name}):`, e.message);
+      }
+    }
+    return items;
+  }
+
+  async load(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fileOf(id), "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.log(`Data file unreadable (${id}):`, e.message);
+      return null;
+    }
+  }
+
+  // 一時ファイルに書いて fsync してから置き換えるので、途中で落ちても前の内容が残る
+  save(id, data) {
+    const json = JSON.stringify(data);
+    return this.enqueue(id, async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const file = this.fileOf(id);
+      const tmp = `${file}.tmp`;
+      const handle = await fs.promises.open(tmp, "w");
+      try {
+        await handle.writeFile(json);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+    });
+  }
+
+  remove(id) {
+    return this.enqueue(id, async () => {
+      await fs.promises.rm(this.fileOf(id), { force: true });
+    });
+  }
+
+  // 終了前に書き込みが全部終わるのを待つ
+  async flush() {
+    await Promise.allSettled([...this.queues.values()]);
+  }
+}
+
+export function createStorage(collection, kind = process.env.STORAGE || "file") {
+  if (kind === "memory") return new MemoryStorage();
+  if (kind === "file") return new FileStorage(path.join(process.env.STORAGE_DIR || DEFAULT_DATA_DIR, collection));
+  throw new Error(`Unknown STORAGE: ${kind}`);
+}
@@ -0,0 +1,49 @@
+// ai.js (CPU の手選び) と engine.js (ワーカースレッドでの探索) のテスト
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyMove, legalMoves, parsePosition, initialPosition } from "../public/rules.js";
+import { chooseMove, suggestMoves, BOT_LEVELS } from "../server/ai.js";
+import { Engine, enginePosition } from "../server/engine.js";
+
+// Blue は (0,2) に置けば勝ち。Orange も2つ並べている
+const WIN_IN_ONE = "Bs/Bm/|Os/Om/|//;112,112;Blue";
+
+test("greedy と strong はすぐ勝てる手を指す", () => {
+  const state = parsePosition(WIN_IN_ONE);
+  for (const level of ["greedy", "strong"]) {
+    const move = chooseMove(state, level, { timeLimitMs: 200 });
+    assert.equal(applyMove(state, move).winner, "Blue", level);
+  }
+});
+
+test("どの強さでも合法手を返し、指せる手がなければ null", () => {
+  const state = initialPosition();
+  for (const level of BOT_LEVELS) {
+    const move = chooseMove(state, level, { timeLimitMs: 100 });
+    assert.equal(applyMove(state, move).ok, true, level);
+  }
+  const over = applyMove(parsePosition(WIN_IN_ONE), { action: "place_from_hand", size: "large", to: { r: 0, c: 2 } }).state;
+  assert.equal(chooseMove(over, "strong"), null);
+});
+
+test("ヒントは勝てる手があればその手だけを返す", () => {
+  const state = parsePosition(WIN_IN_ONE);
+  const moves = suggestMoves(state, { timeLimitMs: 200 });
+  assert.ok(moves.length > 0);
+  for (const move of moves) assert.equal(applyMove(state, move).winner, "Blue");
+});
+
+test("Engine はワーカースレッドで探索して結果を返す", async () => {
+  const engine = new Engine();
+  try {
+    const state = parsePosition(WIN_IN_ONE);
+    const move = await engine.run("chooseMove", enginePosition(state), "strong");
+    assert.ok(legalMoves(state).some(m => JSON.stringify(m) === JSON.stringify(move)));
+    assert.equal(applyMove(state, move).winner, "Blue");
+    const hints = await engine.run("suggestMoves", enginePosition(state));
+    assert.ok(hints.every(m => applyMove(state, m).winner === "Blue"));
+    await assert.rejects(engine.run("noSuchTask"), /unknown task/);
+  } finally {
+    await engine.close();
+  }
+});
@@ -0,0 +1,149 @@
+// 外部ボット用 WebSocket プロトコル (/bot) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { parseBotMessage, BOT_PATH, BOT_PROTOCOL_VERSION } from "../server/botProtocol.js";
+import { startServer } from "./helpers.js";
+
+// 届いたメッセージを溜めておき、type ごとに順に取り出す
+class BotClient {
+  constructor(url) {
+    this.ws = new WebSocket(url);
+    this.inbox = [];
+    this.waiters = [];
+    this.ws.on("message", data => {
+      this.inbox.push(JSON.parse(data.toString()));
+      this.flush();
+    });
+    this.opened = new Promise(resolve => this.ws.once("open", resolve));
+    this.closed = new Promise(resolve => this.ws.once("close", resolve));
+  }
+
+  flush() {
+    for (const waiter of [...this.waiters]) {
+      const i = this.inbox.findIndex(waiter.match);
+      if (i < 0) continue;
+      this.waiters.splice(this.waiters.indexOf(waiter), 1);
+      waiter.resolve(this.inbox.splice(i, 1)[0]);
+    }
+  }
+
+  next(match) {
+    return new Promise(resolve => {
+      this.waiters.push({ match, resolve });
+      this.flush();
+    });
+  }
+
+  // type のメッセージ (error も) が届くまで待つ
+  nextOf(...types) {
+    return this.next(msg => types.includes(msg.type) || msg.type === "error");
+  }
+
+  async request(message, ...types) {
+    await this.opened;
+    this.ws.send(typeof message === "string" ? message : JSON.stringify(message));
+    return this.nextOf(...types);
+  }
+
+  close() {
+    this.ws.close();
+    return this.closed;
+  }
+}
+
+const place = (size, r, c) => ({ action: "place_from_hand", size, to: { r, c } });
+
+let server;
+let url;
+
+before(async () => {
+  server = await startServer();
+  url = `ws://localhost:${server.port}${BOT_PATH}`;
+});
+
+after(async () => {
+  await server.close();
+});
+
+test("parseBotMessage は type のある JSON オブジェクトだけを受け付ける", () => {
+  assert.deepEqual(parseBotMessage('{"type":"hello","version":1,"id":3}'), { type: "hello", version: 1, id: 3 });
+  assert.deepEqual(parseBotMessage('{"type":"seek","id":"a"}'), { type: "seek", id: "a" });
+  for (const text of ["", "not json", "null", "[]", '"hello"', "{}", '{"type":1}', '{"type":"hello","id":{}}', `{"type":"x","pad":"${"a".repeat(20000)}"}`]) {
+    assert.equal(parseBotMessage(text), null, text.slice(0, 40));
+  }
+});
+
+test("hello の前のメッセージ・読めないメッセージはエラーを返す", async () => {
+  const bot = new BotClient(url);
+  assert.deepEqual(await bot.request({ type: "seek", id: 1 }), { type: "error", error: "hello_required", id: 1 });
+  assert.deepEqual(await bot.request("{oops"), { type: "error", error: "bad_message" });
+  const welcome = await bot.request({ type: "hello", version: BOT_PROTOCOL_VERSION, name: "Probe", id: "h" }, "welcome");
+  assert.equal(welcome.id, "h");
+  assert.equal(welcome.player.name, "Probe");
+  assert.ok(welcome.token);
+  assert.deepEqual(await bot.request({ type: "fly" }), { type: "error", error: "bad_message" });
+  assert.deepEqual(await bot.request({ type: "move", move: place("small", 0, 0) }), { type: "error", error: "not_in_room" });
+  await bot.close();
+});
+
+test("ありえないハウスルールでは部屋を作らず bad_rules、create のない join でない部屋を指すと no_room", async () => {
+  const bot = new BotClient(url);
+  await bot.request({ type: "hello", version: BOT_PROTOCOL_VERSION, name: "Rules" }, "welcome");
+  const badRules = { variant: "custom", houseRules: { sizes: ["small"], count: 2, boardSize: 3 } };
+  assert.deepEqual(await bot.request({ type: "seek", options: badRules }), { type: "error", error: "bad_rules" });
+  assert.deepEqual(await bot.request({ type: "join", room: "bot-rules", create: true, options: badRules }), { type: "error", error: "bad_rules" });
+  assert.deepEqual(await bot.request({ type: "join", room: "bot-rules" }), { type: "error", error: "no_room" });
+
+  const houseRules = { sizes: ["small", "large"], count: 3, boardSize: 4, winLength: 3 };
+  const joined = await bot.request({ type: "join", room: "bot-rules", create: true, options: { variant: "custom", houseRules } }, "joined");
+  assert.equal(joined.created, true);
+  await bot.request({ type: "leave" }, "left"); // 後のテストの seek がこの部屋に座らないよう消しておく
+  await bot.close();
+});
+
+test("知らないバージョンの hello には unsupported_version を返して切る", async () => {
+  const bot = new BotClient(url);
+  const reply = await bot.request({ type: "hello", version: 99, name: "Future" });
+  assert.equal(reply.error, "unsupported_version");
+  assert.equal(reply.version, BOT_PROTOCOL_VERSION);
+  await bot.closed;
+});
+
+test("2つのボットが seek で同じ部屋に座り、最後まで対局できる", async () => {
+  const first = new BotClient(url);
+  const second = new BotClient(url);
+  await first.request({ type: "hello", version: 1, name: "First" }, "welcome");
+  await second.request({ type: "hello", version: 1, name: "Second" }, "welcome");
+
+  const a = await first.request({ type: "seek", options: { firstMove: "creator" } }, "joined");
+  assert.equal(a.created, true);
+  const b = await second.request({ type: "seek" }, "joined");
+  assert.equal(b.created, false);
+  assert.equal(b.roomID, a.roomID);
+  assert.notEqual(b.slot, a.slot);
+
+  // 部屋を作ったボットが先手
+  const started = await first.next(msg => msg.type === "state" && msg.state.started);
+  assert.equal(started.yourTurn, true);
+  assert.deepEqual(await second.request({ type: "move", move: place("small", 0, 0) }), { type: "error", error: "not_your_turn" });
+
+  // 先手が1段目に3つ並べて勝つ
+  const script = [
+    [first, place("small", 0, 0)], [second, place("small", 1, 0)],
+    [first, place("medium", 0, 1)], [second, place("medium", 1, 1)],
+    [first, place("large", 0, 2)]
+  ];
+  for (const [bot, move] of script) {
+    const reply = await bot.request({ type: "move", move }, "moved");
+    assert.equal(reply.ok, true, JSON.stringify(reply));
+  }
+  const over = await second.nextOf("game_over");
+  assert.equal(over.roomID, a.roomID);
+  assert.equal(over.winner, a.slot);
+  assert.equal(over.reason, "line");
+  assert.equal((await first.request({ type: "move", move: place("small", 2, 2) })).type, "error"); // 終局後の手は受け付けない
+
+  assert.equal((await first.request({ type: "leave" }, "left")).type, "left");
+  await Promise.all([first.close(), second.close()]);
+});
@@ -0,0 +1,40 @@
+// 持ち時間 (1手ごとの時計) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, emit, nextEvent, place } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test("1手の持ち時間を使い切ると時間切れで相手の勝ち、その後の手は受け付けない", async () => {
+  // 設定できる最短の 5 秒
+  const game = await startGame(server, "clock-move", { clock: { mode: "move", moveMs: 5000 } });
+  try {
+    // 送った時点で Blue の時計は動き始めている
+    assert.equal(game.state.clock.running, "Blue");
+    assert.equal(game.state.clock.Orange, 5000);
+    assert.ok(game.state.clock.Blue > 4500 && game.state.clock.Blue <= 5000);
+    await playMoves(game, [place("small", 0, 0)]);
+
+    // Orange が指さずに 5 秒が過ぎる
+    const startedAt = Date.now();
+    const result = await nextEvent(game.first, "game_over");
+    assert.ok(Date.now() - startedAt >= 4500);
+    assert.equal(result.reason, "timeout");
+    assert.equal(result.winner, "Blue");
+    assert.equal(result.state.clock.Orange, 0);
+    assert.equal(result.state.clock.running, null);
+
+    const late = await emit(game.second, "place_piece", place("small", 1, 1));
+    assert.deepEqual(late, { error: "not_started" }); // 終局で started は落ちている
+  } finally {
+    game.close();
+  }
+});
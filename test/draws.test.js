@@ -0,0 +1,63 @@
+// 引き分け (千日手・手数の上限) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, nextEvent, place, move } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// 小を1つずつ置いたあと、互いに同じ2マスを行き来する (4手で元の局面に戻る)
+const SHUFFLE = [
+  place("small", 0, 0), place("small", 2, 2),
+  move(0, 0, 0, 1), move(2, 2, 2, 1),
+  move(0, 1, 0, 0), move(2, 1, 2, 2)
+];
+
+test("同じ局面が3回現れたら千日手で引き分け", async () => {
+  const game = await startGame(server, "repetition");
+  try {
+    const over = nextEvent(game.second, "game_over");
+    // 2手目の後の局面が6手目・10手目の後にも現れる
+    await playMoves(game, [...SHUFFLE, ...SHUFFLE.slice(2)]);
+    const result = await over;
+    assert.equal(result.winner, null);
+    assert.equal(result.reason, "repetition");
+    assert.equal(result.state.moveCount, 10);
+  } finally {
+    game.close();
+  }
+});
+
+test("部屋の maxMoves の手数で決着しなければ引き分け", async () => {
+  const game = await startGame(server, "move-limit", { maxMoves: 10 });
+  try {
+    assert.equal(game.state.options.maxMoves, 10);
+    const over = nextEvent(game.first, "game_over");
+    // 千日手にならないよう、盤上の駒を空いているマスへ順に動かす
+    await playMoves(game, [
+      place("small", 0, 0), place("small", 2, 2),
+      move(0, 0, 0, 1), move(2, 2, 2, 1),
+      move(0, 1, 1, 0), move(2, 1, 1, 2),
+      move(1, 0, 0, 2), move(1, 2, 2, 0),
+      place("medium", 1, 1)
+    ]);
+    let pending = true;
+    over.then(() => { pending = false; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(pending, true); // 9手ではまだ続く
+
+    await playMoves({ first: game.second, second: game.first }, [place("medium", 0, 0)]);
+    const result = await over;
+    assert.equal(result.winner, null);
+    assert.equal(result.reason, "move_limit");
+  } finally {
+    game.close();
+  }
+});
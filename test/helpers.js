@@ -0,0 +1,79 @@
+// サーバーを起動して Socket.IO で話すテスト用の道具
+import { spawn } from "child_process";
+import { once } from "events";
+import path from "path";
+import { fileURLToPath } from "url";
+import { io } from "socket.io-client";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// 空いているポートでサーバーを起動する (部屋・プレイヤーはメモリにだけ置く。env で上書きできる)
+export async function startServer(env = {}) {
+  const proc = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: "0", STORAGE: "memory", ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  const port = await new Promise((resolve, reject) => {
+    let out = "";
+    proc.stdout.on("data", chunk => {
+      out += chunk;
+      const m = /Server running at http:\/\/localhost:(\d+)/.exec(out);
+      if (m) resolve(Number(m[1]));
+    });
+    proc.once("exit", code => reject(new Error(`server exited (${code})`)));
+  });
+  return {
+    url: `http://localhost:${port}`,
+    port,
+    async close() {
+      if (proc.exitCode !== null) return;
+      proc.kill();
+      await once(proc, "exit");
+    }
+  };
+}
+
+export function connect(server) {
+  return io(server.url, { forceNew: true, transports: ["websocket"] });
+}
+
+// ack を待つ
+export function emit(socket, event, data) {
+  return new Promise(resolve => socket.emit(event, data, resolve));
+}
+
+export function nextEvent(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+export const place = (size, r, c) => ({ action: "place_from_hand", size, to: { r, c } });
+export const move = (fr, fc, r, c) => ({ action: "move_on_board", from: { r: fr, c: fc }, to: { r, c } });
+
+// 2人で部屋に入って対局を始める。first は部屋を作った側で先手 (options で変えなければ Blue)
+export async function startGame(server, room, options = {}) {
+  const first = connect(server);
+  const second = connect(server);
+  const started = nextEvent(first, "start_game");
+  const firstJoin = await emit(first, "join", { room, create: true, name: "First", options: { firstMove: "creator", ...options } });
+  const secondJoin = await emit(second, "join", { room, name: "Second" });
+  return {
+    first,
+    second,
+    firstJoin,
+    secondJoin,
+    state: await started,
+    close() {
+      first.close();
+      second.close();
+    }
+  };
+}
+
+// 先手・後手の順に手を指す (ack がエラーなら失敗)
+export async function playMoves(game, moves) {
+  for (let i = 0; i < moves.length; i++) {
+    const ack = await emit(i % 2 ? game.second : game.first, "place_piece", moves[i]);
+    if (!ack?.ok) throw new Error(`${i + 1}手目 ${JSON.stringify(moves[i])}: ${ack?.error}`);
+  }
+}
@@ -0,0 +1,53 @@
+// ロビー (GET /api/rooms と lobby_update) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, connect, emit } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test("公開の部屋は一覧に出て、非公開の部屋は出ない", async () => {
+  const game = await startGame(server, "lobby-playing", { clock: { mode: "move", moveMs: 30000 } });
+  const host = connect(server);
+  const watcher = connect(server);
+  const alone = connect(server);
+  try {
+    await emit(host, "join", { room: "lobby-hidden", create: true, name: "Host", private: true });
+
+    const rooms = await (await fetch(`${server.url}/api/rooms`)).json();
+    assert.deepEqual(rooms.map(r => r.roomID), ["lobby-playing"]);
+    const [entry] = rooms;
+    assert.equal(entry.status, "playing");
+    assert.equal(entry.openSeats, 0);
+    assert.equal(entry.moveCount, 0);
+    assert.deepEqual(entry.players.Blue, { name: "First", isBot: false, connected: true, members: 0 });
+    assert.deepEqual(entry.options.clock, { mode: "move", moveMs: 30000 });
+
+    // 購読すると今の一覧が返り、部屋が増えると lobby_update が届く
+    const subscribed = await emit(watcher, "lobby_subscribe");
+    assert.deepEqual(subscribed.rooms.map(r => r.roomID), ["lobby-playing"]);
+    const updated = new Promise(resolve => {
+      watcher.on("lobby_update", list => {
+        if (list.some(r => r.roomID === "lobby-waiting")) resolve(list);
+      });
+    });
+    await emit(alone, "join", { room: "lobby-waiting", create: true, name: "Alone" });
+    const list = await updated;
+    assert.deepEqual(list.map(r => r.roomID).sort(), ["lobby-playing", "lobby-waiting"]);
+    const waiting = list.find(r => r.roomID === "lobby-waiting");
+    assert.equal(waiting.status, "waiting");
+    assert.equal(waiting.openSeats, 1);
+  } finally {
+    host.close();
+    watcher.close();
+    alone.close();
+    game.close();
+  }
+});
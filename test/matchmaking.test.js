@@ -0,0 +1,92 @@
+// クイックマッチ (相手選び・来なかった相手・レート戦の退出) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { pickOpponent } from "../server/matchmaking.js";
+import { startServer, connect, emit, nextEvent } from "./helpers.js";
+
+const MATCH_JOIN_TIMEOUT_MS = 500;
+let server;
+
+before(async () => {
+  server = await startServer({ MATCH_JOIN_TIMEOUT_MS: String(MATCH_JOIN_TIMEOUT_MS) });
+});
+
+after(async () => {
+  await server.close();
+});
+
+// identify してクイックマッチの列に並ぶ
+async function queue(name) {
+  const socket = connect(server);
+  const identified = await emit(socket, "identify", { name });
+  const found = nextEvent(socket, "match_found");
+  const ack = await emit(socket, "quick_match");
+  return { socket, name, player: identified.player, ack, found };
+}
+
+test("pickOpponent: 同じプレイヤー (別タブ) を除いて、レーティングが一番近い人を選ぶ", () => {
+  const me = { id: "me", rating: 1400 };
+  const queueEntries = [
+    { playerId: "me", rating: 1400 },
+    { playerId: "far", rating: 1700 },
+    { playerId: "near", rating: 1350 },
+    { playerId: "next", rating: 1460 }
+  ];
+  assert.equal(pickOpponent(queueEntries, me).playerId, "near");
+  assert.equal(pickOpponent(queueEntries.slice(0, 2), me).playerId, "far");
+  assert.equal(pickOpponent(queueEntries.slice(0, 1), me), null);
+});
+
+test("2人目が並ぶと組まれ、レート戦で退出した側の負けとしてレーティングが動く", async () => {
+  const a = await queue("Alice");
+  const b = await queue("Bob");
+  try {
+    assert.deepEqual(a.ack, { ok: true, matched: false });
+    assert.deepEqual(b.ack, { ok: true, matched: true });
+    const [foundA, foundB] = await Promise.all([a.found, b.found]);
+    assert.deepEqual(foundA, foundB);
+
+    const started = nextEvent(b.socket, "start_game");
+    const joinedA = await emit(a.socket, "join", { room: foundA.roomID, invite: foundA.invite, name: a.name });
+    const joinedB = await emit(b.socket, "join", { room: foundB.roomID, invite: foundB.invite, name: b.name });
+    assert.equal(joinedA.slot, "Blue");
+    assert.equal(joinedB.slot, "Orange");
+    assert.equal((await started).options.rated, true);
+
+    const over = nextEvent(b.socket, "game_over");
+    await emit(a.socket, "leave_room");
+    const result = await over;
+    assert.equal(result.reason, "abandoned");
+    assert.equal(result.winner, "Orange");
+    assert.deepEqual(result.ratings.Orange, { before: 1500, after: 1516, delta: 16 });
+    assert.deepEqual(result.ratings.Blue, { before: 1500, after: 1484, delta: -16 });
+  } finally {
+    a.socket.close();
+    b.socket.close();
+  }
+});
+
+test("組んだ相手が部屋に来なければ部屋を閉じ、来た人は列に戻って次の人と組まれる", async () => {
+  const a = await queue("Carol");
+  const b = await queue("Dave");
+  let c;
+  try {
+    const found = await a.found;
+    await b.found; // Dave は部屋に入らない
+    b.socket.close();
+    const joined = await emit(a.socket, "join", { room: found.roomID, invite: found.invite, name: a.name });
+    assert.equal(joined.ok, true);
+
+    assert.deepEqual(await nextEvent(a.socket, "match_cancelled"), { requeued: true });
+    const status = await emit(a.socket, "room_status", { room: found.roomID, invite: found.invite });
+    assert.equal(status.exists, false);
+
+    const again = nextEvent(a.socket, "match_found");
+    c = await queue("Erin");
+    assert.deepEqual(c.ack, { ok: true, matched: true });
+    assert.deepEqual(await again, await c.found);
+  } finally {
+    a.socket.close();
+    c?.socket.close();
+  }
+});
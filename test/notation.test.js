@@ -0,0 +1,136 @@
+// notation.js (棋譜の表記) のテスト
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyMove, legalMoves, initialPosition, positionKey, parseHouseRules, formatHouseRules, withPlayers, dropOut, nextTurn, STANDARD_RULES
+} from "../public/rules.js";
+import { formatMove, parseMove, formatRecord, parseRecord, resultTag, formatSlotPlies } from "../public/notation.js";
+
+// 決まった手順になるよう、乱数の代わりに線形合同法で手を選ぶ
+function playRandomGame(state, seed, maxPlies = 40) {
+  const moves = [];
+  for (let ply = 0; ply < maxPlies && !state.winner; ply++) {
+    const list = legalMoves(state);
+    if (!list.length) break;
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const move = list[seed % list.length];
+    moves.push(move);
+    state = applyMove(state, move).state;
+  }
+  return { moves, state };
+}
+
+test("手の表記は読み書きで元に戻る", () => {
+  assert.equal(formatMove({ action: "place_from_hand", size: "large", to: { r: 1, c: 1 } }), "L@b2");
+  assert.equal(formatMove({ action: "move_on_board", from: { r: 2, c: 0 }, to: { r: 0, c: 2 } }), "a1-c3");
+  for (const move of legalMoves(initialPosition())) {
+    assert.deepEqual(parseMove(formatMove(move)), move);
+  }
+  assert.equal(parseMove("L@d1"), null);
+  assert.equal(parseMove("X@a1"), null);
+  assert.equal(parseMove("a1b2"), null);
+});
+
+test("棋譜は書き出して読み込むと同じ手順・同じ局面になる", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const { moves, state } = playRandomGame(initialPosition(), seed);
+    const text = formatRecord({
+      headers: { Blue: "あお \"1\"", Orange: "Orange", Result: resultTag(state.winner, state.reason) },
+      moves: moves.map((move, i) => ({ notation: formatMove(move), elapsedMs: i * 100 }))
+    });
+    const parsed = parseRecord(text);
+    assert.equal(parsed.ok, true, text);
+    assert.deepEqual(parsed.moves.map(m => m.move), moves);
+    assert.deepEqual(parsed.moves.map(m => m.elapsedMs), moves.map((_, i) => i * 100));
+    assert.equal(positionKey(parsed.state), positionKey(state));
+    assert.equal(parsed.winner, state.winner);
+    assert.equal(parsed.headers.Blue, "あお \"1\"");
+  }
+});
+
+test("指せない手・結果の食い違いは行番号つきのエラーになる", () => {
+  const illegal = parseRecord('[Blue "A"]\n\n1. L@b2 S@b2\n*\n');
+  assert.equal(illegal.ok, false);
+  assert.equal(illegal.errors[0].line, 3);
+  assert.match(illegal.errors[0].message, /2手目 S@b2/);
+
+  // Blue が a3-b3-c3 に並べて勝つ手順に Orange の勝ちと書いてある
+  const mismatch = parseRecord('[Result "Orange"]\n\n1. S@a3 S@a1 2. M@b3 M@b1 3. L@c3\n');
+  assert.equal(mismatch.ok, false);
+  assert.match(mismatch.errors[0].message, /Blue が勝っています/);
+
+  assert.equal(parseRecord('[Variant "chess"]\n\n*\n').ok, false);
+});
+
+test("ハウスルールの棋譜は Rules ヘッダーのルールで読み直す", () => {
+  const rules = parseHouseRules({ sizes: ["small", "medium", "xlarge"], count: 2, boardSize: 4, winLength: 3 });
+  const { moves, state } = playRandomGame(initialPosition(rules), 7);
+  const text = formatRecord({
+    headers: { Variant: "custom", Rules: formatHouseRules(rules), Result: resultTag(state.winner, state.reason) },
+    moves: moves.map(move => ({ notation: formatMove(move, rules) }))
+  });
+  const parsed = parseRecord(text);
+  assert.equal(parsed.ok, true, text);
+  assert.deepEqual(parsed.rules, rules);
+  assert.equal(positionKey(parsed.state), positionKey(state));
+
+  assert.equal(parseRecord('[Variant "custom"]\n[Rules "sizes=small;count=9"]\n\n*\n').ok, false);
+});
+
+test("3人対局の棋譜は脱落 (Eliminated) を含めて読み直せる", () => {
+  const rules = withPlayers(STANDARD_RULES, 3);
+  const eliminated = [{ slot: "Green", ply: 2 }];
+  // Blue, Orange と指したところで Green が抜け、残りの2人で続ける
+  let state = initialPosition(rules);
+  const moves = [];
+  for (let ply = 0; ply < 6; ply++) {
+    if (ply === 2) state = dropOut(state, "Green");
+    const move = legalMoves(state)[ply];
+    moves.push(move);
+    state = applyMove(state, move).state;
+  }
+  assert.equal(state.winner, null);
+
+  const text = formatRecord({
+    headers: { Players: "3", Eliminated: formatSlotPlies(eliminated), Result: "*" },
+    moves: moves.map(move => ({ notation: formatMove(move, rules) }))
+  });
+  assert.match(text, /\[Eliminated "Green:2"\]/);
+  const parsed = parseRecord(text);
+  assert.equal(parsed.ok, true, text);
+  assert.equal(parsed.state.players.Green.out, true);
+  assert.deepEqual(parsed.moves.map(m => m.slot), ["Blue", "Orange", "Blue", "Orange", "Blue", "Orange"]);
+  assert.equal(positionKey(parsed.state), positionKey(state));
+
+  assert.equal(parseRecord('[Players "3"]\n[Eliminated "Purple:1"]\n\n*\n').ok, false);
+});
+
+test("3人対局で再接続待ちのため飛ばした手番 (Skipped) を含めて読み直せる", () => {
+  const rules = withPlayers(STANDARD_RULES, 3);
+  // 2手指された後の Green と、3手指された後の Orange の手番を飛ばした
+  const skipped = [{ slot: "Green", ply: 2 }, { slot: "Orange", ply: 3 }];
+  let state = initialPosition(rules);
+  const moves = [];
+  for (let ply = 0; ply < 6; ply++) {
+    if (skipped.some(s => s.ply === ply)) state = { ...state, currentTurn: nextTurn(state) };
+    const move = legalMoves(state)[ply];
+    moves.push(move);
+    state = applyMove(state, move).state;
+  }
+
+  const record = slots => formatRecord({
+    headers: { Players: "3", Skipped: formatSlotPlies(slots), Result: "*" },
+    moves: moves.map(move => ({ notation: formatMove(move, rules) }))
+  });
+  const text = record(skipped);
+  assert.match(text, /\[Skipped "Green:2,Orange:3"\]/);
+  const parsed = parseRecord(text);
+  assert.equal(parsed.ok, true, text);
+  assert.deepEqual(parsed.moves.map(m => m.slot), ["Blue", "Orange", "Blue", "Green", "Blue", "Orange"]);
+  assert.equal(positionKey(parsed.state), positionKey(state));
+
+  // 飛ばした席がその時点の手番と合わない棋譜は読めない
+  const mismatched = parseRecord(record([{ slot: "Orange", ply: 2 }]));
+  assert.equal(mismatched.ok, false);
+  assert.match(mismatched.errors[0].message, /Skipped/);
+});
@@ -0,0 +1,80 @@
+// プレイヤー API (/api/players/:id・/api/leaderboard・/api/games/:gameId) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, emit, nextEvent, place } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const getJson = async path => {
+  const res = await fetch(`${server.url}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+// クイックマッチで組んで部屋に入る
+async function quickMatch(names) {
+  const sockets = names.map(() => connect(server));
+  const players = [];
+  const found = [];
+  for (const [i, socket] of sockets.entries()) {
+    players.push((await emit(socket, "identify", { name: names[i] })).player);
+    found.push(nextEvent(socket, "match_found"));
+    await emit(socket, "quick_match");
+  }
+  const started = nextEvent(sockets[0], "start_game");
+  const slots = [];
+  for (const [i, socket] of sockets.entries()) {
+    const { roomID, invite } = await found[i];
+    slots.push((await emit(socket, "join", { room: roomID, invite, name: names[i] })).slot);
+  }
+  return { sockets, players, slots, state: await started };
+}
+
+test("レート戦が終わると、プロフィール・ランキング・棋譜に反映される", async () => {
+  const names = ["Alpha", "Beta"];
+  const game = await quickMatch(names);
+  try {
+    // 先手が上の段を3つ並べて勝つ (先手はランダムなので、どちらが先手でも同じ手順になるようにする)
+    const firstIndex = game.slots.indexOf(game.state.currentTurn);
+    const [winner, loser] = [firstIndex, 1 - firstIndex];
+    const over = nextEvent(game.sockets[winner], "game_over");
+    const moves = [place("large", 0, 0), place("small", 2, 0), place("large", 0, 1), place("small", 2, 1), place("medium", 0, 2)];
+    for (const [i, m] of moves.entries()) {
+      const ack = await emit(game.sockets[i % 2 ? loser : winner], "place_piece", m);
+      assert.equal(ack.ok, true, `${i + 1}手目: ${ack.error}`);
+    }
+    const result = await over;
+    assert.equal(result.winner, game.slots[winner]);
+
+    const { status, body: profile } = await getJson(`/api/players/${game.players[winner].id}`);
+    assert.equal(status, 200);
+    assert.equal(profile.name, names[winner]);
+    assert.equal(profile.rating, 1516);
+    assert.deepEqual(profile.stats, { wins: 1, losses: 0, draws: 0 });
+    assert.deepEqual(profile.ratingHistory.map(h => h.rating), [1516]);
+    const [recent] = profile.recentGames;
+    assert.equal(recent.result, "win");
+    assert.equal(recent.rated, true);
+    assert.equal(recent.ratingDelta, 16);
+    assert.deepEqual(recent.opponent, { id: game.players[loser].id, name: names[loser] });
+    assert.equal(profile.token, undefined);
+
+    const { body: board } = await getJson("/api/leaderboard");
+    assert.deepEqual(board.map(p => [p.rank, p.name, p.rating, p.wins, p.losses]), [[1, names[winner], 1516, 1, 0], [2, names[loser], 1484, 0, 1]]);
+    assert.equal((await getJson("/api/leaderboard?limit=1")).body.length, 1);
+
+    const { body: record } = await getJson(`/api/games/${recent.gameId}`);
+    assert.equal(record.moves.length, moves.length);
+
+    assert.deepEqual(await getJson("/api/players/nobody"), { status: 404, body: { error: "no_player" } });
+  } finally {
+    for (const socket of game.sockets) socket.close();
+  }
+});
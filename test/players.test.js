@@ -0,0 +1,39 @@
+// レーティング (players.js の expectedScore・applyResult) のテスト
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+let players;
+
+before(async () => {
+  process.env.STORAGE = "memory"; // data/ には書かない (players.js は読み込んだときに保存先を決める)
+  players = await import("../server/players.js");
+  await players.initPlayers();
+});
+
+test("expectedScore: 同じレーティングなら 0.5、400 差なら 10:1、両者の和は 1", () => {
+  const { expectedScore } = players;
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.equal(expectedScore(1900, 1500), 10 / 11);
+  assert.equal(expectedScore(1500, 1900), 1 / 11);
+  assert.equal(expectedScore(1612, 1437) + expectedScore(1437, 1612), 1);
+});
+
+test("applyResult: 勝った側が負けた側から K × (結果 − 期待値) を受け取る", () => {
+  const a = players.identify(null, "A");
+  const b = players.identify(null, "B");
+  assert.equal(a.rating, players.DEFAULT_RATING);
+
+  const first = players.applyResult(a.id, b.id, 1);
+  assert.deepEqual(first, {
+    [a.id]: { before: 1500, after: 1516, delta: 16 },
+    [b.id]: { before: 1500, after: 1484, delta: -16 }
+  });
+  // 格上 (1516) が引き分けると少し下がる
+  const second = players.applyResult(a.id, b.id, 0.5);
+  assert.equal(second[a.id].delta, -1);
+  assert.equal(second[b.id].delta, 1);
+  assert.equal(players.getPlayer(a.id).rating, 1515);
+  assert.deepEqual(players.getPlayer(b.id).ratingHistory.map(h => h.rating), [1484, 1485]);
+
+  assert.equal(players.applyResult(a.id, "nobody", 1), null);
+});
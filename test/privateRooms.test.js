@@ -0,0 +1,84 @@
+// 非公開の部屋 (招待トークン・合言葉) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, emit } from "./helpers.js";
+
+let server;
+let host;
+let guest;
+
+before(async () => {
+  server = await startServer();
+  host = connect(server);
+  guest = connect(server);
+});
+
+after(async () => {
+  host.close();
+  guest.close();
+  await server.close();
+});
+
+test("room_status は非公開の部屋を、招待トークンか合言葉か席のトークンがなければ「ない」と答える", async () => {
+  const created = await emit(host, "join", { room: "hidden", create: true, name: "Host", private: true, password: "open sesame" });
+  assert.equal(created.ok, true);
+  assert.ok(created.invite);
+
+  assert.equal((await emit(guest, "room_status", { room: "hidden" })).exists, false);
+  assert.equal((await emit(guest, "room_status", { room: "hidden", invite: "wrong" })).exists, false);
+  assert.equal((await emit(guest, "room_status", { room: "hidden", password: "wrong" })).exists, false);
+  assert.equal((await emit(guest, "room_status", { room: "hidden", invite: created.invite })).exists, true);
+  assert.equal((await emit(guest, "room_status", { room: "hidden", password: "open sesame" })).exists, true);
+  assert.equal((await emit(guest, "room_status", { room: "hidden", token: created.token })).exists, true);
+
+  // ない部屋と同じ答えなので、入室しようとするまで区別がつかない
+  assert.deepEqual(await emit(guest, "room_status", { room: "nowhere" }), await emit(guest, "room_status", { room: "hidden" }));
+});
+
+test("公開の部屋は誰が聞いても「ある」と答える", async () => {
+  const created = await emit(host, "join", { room: "open", create: true, name: "Host" });
+  assert.equal(created.ok, true);
+  assert.equal((await emit(guest, "room_status", { room: "open" })).exists, true);
+});
+
+test("非公開の部屋に手がかりなしで入ろうとすると、ない部屋と同じく no_room が返り、部屋は作られない", async () => {
+  const created = await emit(host, "join", { room: "locked", create: true, name: "Host", private: true });
+  const locked = await emit(guest, "join", { room: "locked", name: "Guest" });
+  const nowhere = await emit(guest, "join", { room: "nowhere", name: "Guest" });
+  assert.deepEqual(locked, { error: "no_room" });
+  assert.deepEqual(nowhere, locked);
+  assert.deepEqual(await emit(guest, "join", { room: "locked", name: "Guest", invite: "wrong" }), { error: "no_room" });
+  assert.equal((await emit(guest, "room_status", { room: "nowhere" })).exists, false);
+
+  // 同じ名前で作ろうとすると使われていると分かるが、入れはしない
+  assert.deepEqual(await emit(guest, "join", { room: "locked", create: true, name: "Guest" }), { error: "room_taken" });
+  assert.equal((await emit(guest, "join", { room: "locked", name: "Guest", invite: created.invite })).ok, true);
+});
+
+test("合言葉の部屋は、合言葉を付ければ招待トークンなしでも入れる", async () => {
+  await emit(host, "join", { room: "passphrase", create: true, name: "Host", password: "open sesame" });
+  const visitor = connect(server);
+  try {
+    assert.deepEqual(await emit(visitor, "join", { room: "passphrase", name: "Visitor" }), { error: "no_room" });
+    assert.deepEqual(await emit(visitor, "join", { room: "passphrase", create: true, name: "Visitor" }), { error: "room_taken" });
+    const joined = await emit(visitor, "join", { room: "passphrase", name: "Visitor", password: "open sesame" });
+    assert.equal(joined.ok, true);
+    assert.equal(joined.slot, "Orange");
+  } finally {
+    visitor.close();
+  }
+});
+
+test("合言葉を試せる回数には IP ごとに上限があり、招待トークンなら入れる", async () => {
+  const created = await emit(host, "join", { room: "guarded", create: true, name: "Host", password: "open sesame" });
+  // 前のテストで試した分も同じ IP に数えられているので、上限 (10回) に届くまで間違え続ける
+  let attempts = 0;
+  let ack;
+  while ((ack = await emit(guest, "join", { room: "guarded", name: "Guest", password: `guess ${attempts}` })).error === "wrong_password") {
+    attempts++;
+  }
+  assert.deepEqual(ack, { error: "rate_limited" });
+  assert.ok(attempts > 0 && attempts <= 10);
+  assert.deepEqual(await emit(guest, "join", { room: "guarded", name: "Guest", password: "open sesame" }), { error: "rate_limited" });
+  assert.equal((await emit(guest, "join", { room: "guarded", name: "Guest", invite: created.invite })).ok, true);
+});
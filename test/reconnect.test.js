@@ -0,0 +1,73 @@
+// 切断したプレイヤーの席の確保と再接続のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, connect, emit, nextEvent, place } from "./helpers.js";
+
+const GRACE_MS = 500;
+let server;
+
+before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: String(GRACE_MS) });
+});
+
+after(async () => {
+  await server.close();
+});
+
+test("猶予時間内ならトークンで同じ席・同じ手駒に戻り、チャット履歴も届く", async () => {
+  const game = await startGame(server, "resume");
+  const back = connect(server);
+  try {
+    await playMoves(game, [place("large", 1, 1), place("small", 0, 0)]);
+    const chatted = nextEvent(game.second, "chat_message");
+    game.first.emit("chat_message", { text: "すぐ戻ります" });
+    await chatted;
+
+    const away = nextEvent(game.second, "player_status");
+    game.first.disconnect();
+    assert.deepEqual(await away, { slot: "Blue", connected: false, graceMs: GRACE_MS });
+
+    const chat = nextEvent(back, "chat_init");
+    const returned = nextEvent(game.second, "player_status");
+    const synced = nextEvent(back, "update_state");
+    const resumed = await emit(back, "join", { room: "resume", token: game.firstJoin.token });
+    assert.equal(resumed.ok, true);
+    assert.equal(resumed.resumed, true);
+    assert.equal(resumed.slot, "Blue");
+    assert.deepEqual((await chat).map(m => m.text), ["すぐ戻ります"]);
+    assert.deepEqual(await returned, { slot: "Blue", connected: true });
+
+    // 戻った席で続きを指せる
+    const state = await synced;
+    assert.equal(state.players.Blue.pieces.large, 1);
+    assert.equal(state.currentTurn, "Blue");
+    assert.deepEqual(await emit(back, "place_piece", place("large", 0, 0)), { ok: true });
+  } finally {
+    back.close();
+    game.close();
+  }
+});
+
+test("猶予時間が過ぎると席は空き、トークンでは戻れない", async () => {
+  const game = await startGame(server, "expire");
+  const late = connect(server);
+  try {
+    await playMoves(game, [place("small", 0, 0)]);
+    const freed = new Promise(resolve => {
+      game.second.on("update_state", state => {
+        if (!state.players.Blue) resolve(state);
+      });
+    });
+    game.first.disconnect();
+    const state = await freed;
+    assert.equal(state.started, false);
+
+    const joined = await emit(late, "join", { room: "expire", name: "Late", token: game.firstJoin.token });
+    assert.equal(joined.ok, true);
+    assert.equal(joined.resumed, undefined);
+    assert.notEqual(joined.token, game.firstJoin.token);
+  } finally {
+    late.close();
+    game.close();
+  }
+});
@@ -0,0 +1,100 @@
+// もう一局・やり直し (両者の同意) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, connect, emit, nextEvent, place } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// 先手が上の段を3つ並べて勝つ
+const BLUE_WINS = [place("large", 0, 0), place("small", 2, 0), place("large", 0, 1), place("small", 2, 1), place("medium", 0, 2)];
+
+test("観戦者はやり直しを申し込めない", async () => {
+  const game = await startGame(server, "restart-spectator");
+  const watcher = connect(server);
+  try {
+    const joined = await emit(watcher, "join", { room: "restart-spectator", name: "Watcher" });
+    assert.equal(joined.slot, "spectator");
+    assert.deepEqual(await emit(watcher, "restart_game"), { error: "spectator" });
+    assert.deepEqual(await emit(watcher, "respond_restart", { accept: true }), { error: "no_request" });
+  } finally {
+    watcher.close();
+    game.close();
+  }
+});
+
+test("対局中のやり直しは、相手が同意するまで申し込み中のまま", async () => {
+  const game = await startGame(server, "restart-midgame");
+  try {
+    await playMoves(game, [place("large", 1, 1), place("small", 0, 0)]);
+    const requested = nextEvent(game.second, "restart_requested");
+    const pending = nextEvent(game.second, "update_state");
+    assert.deepEqual(await emit(game.first, "restart_game"), { ok: true, pending: true });
+    assert.deepEqual(await requested, { slot: "Blue", midGame: true });
+    assert.deepEqual(await emit(game.first, "restart_game"), { error: "already_requested" });
+    assert.deepEqual(await emit(game.first, "respond_restart", { accept: true }), { error: "not_your_request" });
+
+    // 申し込み中も盤面はそのまま
+    const state = await pending;
+    assert.equal(state.moveCount, 2);
+    assert.equal(state.pendingRestart, "Blue");
+
+    const restarted = nextEvent(game.second, "start_game");
+    const result = nextEvent(game.first, "restart_result");
+    assert.deepEqual(await emit(game.second, "respond_restart", { accept: true }), { ok: true });
+    assert.deepEqual(await result, { slot: "Blue", accepted: true });
+    const fresh = await restarted;
+    assert.equal(fresh.moveCount, 0);
+    assert.equal(fresh.pendingRestart, null);
+  } finally {
+    game.close();
+  }
+});
+
+test("断ると申し込みは消え、対局はそのまま", async () => {
+  const game = await startGame(server, "restart-declined");
+  try {
+    await playMoves(game, [place("large", 1, 1)]);
+    await emit(game.first, "restart_game");
+    const result = nextEvent(game.first, "restart_result");
+    const updated = nextEvent(game.first, "update_state");
+    assert.deepEqual(await emit(game.second, "respond_restart", { accept: false }), { ok: true });
+    assert.deepEqual(await result, { slot: "Blue", accepted: false });
+    const state = await updated;
+    assert.equal(state.pendingRestart, null);
+    assert.deepEqual(state.restartAgreed, []);
+    assert.equal(state.moveCount, 1);
+    assert.deepEqual(await emit(game.second, "respond_restart", { accept: true }), { error: "no_request" });
+  } finally {
+    game.close();
+  }
+});
+
+test("終局後は、2人目がもう一局を押したときに始まる", async () => {
+  const game = await startGame(server, "restart-after");
+  try {
+    const over = nextEvent(game.second, "game_over");
+    await playMoves(game, BLUE_WINS);
+    assert.equal((await over).winner, "Blue");
+
+    const requested = nextEvent(game.second, "restart_requested");
+    assert.deepEqual(await emit(game.first, "restart_game"), { ok: true, pending: true });
+    assert.deepEqual(await requested, { slot: "Blue", midGame: false });
+
+    const started = nextEvent(game.first, "start_game");
+    assert.deepEqual(await emit(game.second, "restart_game"), { ok: true, restarted: true });
+    const state = await started;
+    assert.equal(state.started, true);
+    assert.equal(state.moveCount, 0);
+    assert.equal(state.winner, null);
+  } finally {
+    game.close();
+  }
+});
@@ -0,0 +1,105 @@
+// 部屋の設定 (parseRoomOptions) の既定値・範囲外の値・観戦の禁止のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, connect, emit, nextEvent } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// 部屋を作って2人目を座らせ、始まった対局の状態と作った人の席を返す
+async function createRoom(room, options) {
+  const creator = connect(server);
+  const guest = connect(server);
+  const started = nextEvent(creator, "start_game");
+  const created = await emit(creator, "join", { room, create: true, name: "Creator", options });
+  await emit(guest, "join", { room, name: "Guest" });
+  return { slot: created.slot, state: await started, close: () => { creator.close(); guest.close(); } };
+}
+
+test("知らない値や範囲外の値は既定値になる", async () => {
+  const room = await createRoom("options-fallback", {
+    firstMove: "whoever", creatorColor: "Green", maxMoves: 5, maxTakebacks: -1, bestOf: 4,
+    clock: { mode: "move", moveMs: 1000 }, teamVoteMs: 12345, players: 5, variant: "nope"
+  });
+  try {
+    const { options } = room.state;
+    assert.equal(room.slot, "Blue");
+    assert.equal(options.firstMove, "random");
+    assert.equal(options.creatorColor, "Blue");
+    assert.equal(options.maxMoves, 200);
+    assert.equal(options.maxTakebacks, 3);
+    assert.equal(options.bestOf, 1);
+    assert.equal(options.clock, null);
+    assert.equal(options.teamVoteMs, 20000);
+    assert.equal(options.players, 2);
+    assert.equal(options.variant, "standard");
+    assert.equal(options.allowSpectators, true);
+    assert.equal(room.state.series, null);
+  } finally {
+    room.close();
+  }
+});
+
+test("ありえないハウスルールでは部屋を作らず bad_rules を返す", async () => {
+  const socket = connect(server);
+  try {
+    const bad = [
+      { variant: "custom" },
+      { variant: "custom", houseRules: { sizes: ["small"], count: 2, boardSize: 3 } },
+      { variant: "custom", houseRules: { sizes: ["small", "large"], count: 3, boardSize: 4, winLength: 9 } }
+    ];
+    for (const options of bad) {
+      assert.deepEqual(await emit(socket, "join", { room: "options-bad-rules", create: true, name: "Host", options }), { error: "bad_rules" });
+    }
+    assert.equal((await emit(socket, "room_status", { room: "options-bad-rules" })).exists, false);
+
+    const houseRules = { sizes: ["small", "large"], count: 3, boardSize: 4, winLength: 3 };
+    const created = await emit(socket, "join", { room: "options-bad-rules", create: true, name: "Host", options: { variant: "custom", houseRules } });
+    assert.equal(created.ok, true);
+  } finally {
+    socket.close();
+  }
+});
+
+test("creatorColor で作った人の色を、firstMove で最初の対局の先手を決められる", async () => {
+  const opponentFirst = await createRoom("options-opponent", { creatorColor: "Orange", firstMove: "opponent" });
+  const creatorFirst = await createRoom("options-creator", { creatorColor: "Orange", firstMove: "creator" });
+  try {
+    assert.equal(opponentFirst.slot, "Orange");
+    assert.equal(opponentFirst.state.currentTurn, "Blue");
+    assert.equal(creatorFirst.slot, "Orange");
+    assert.equal(creatorFirst.state.currentTurn, "Orange");
+  } finally {
+    opponentFirst.close();
+    creatorFirst.close();
+  }
+});
+
+test("allowSpectators: false の部屋には、席に座れない人は入れない", async () => {
+  const game = await startGame(server, "options-no-spectators", { allowSpectators: false });
+  const watcher = connect(server);
+  try {
+    assert.equal(game.state.options.allowSpectators, false);
+    assert.deepEqual(await emit(watcher, "join", { room: "options-no-spectators", name: "Watcher" }), { error: "spectators_disabled" });
+    assert.deepEqual(
+      await emit(watcher, "join", { room: "options-no-spectators", name: "Watcher", spectate: true }),
+      { error: "spectators_disabled" }
+    );
+    // 観戦しようとして作った部屋は残さない
+    assert.deepEqual(
+      await emit(watcher, "join", { room: "options-watch-only", create: true, name: "Watcher", spectate: true, options: { allowSpectators: false } }),
+      { error: "spectators_disabled" }
+    );
+    assert.equal((await emit(watcher, "room_status", { room: "options-watch-only" })).exists, false);
+  } finally {
+    watcher.close();
+    game.close();
+  }
+});
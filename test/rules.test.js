@@ -0,0 +1,201 @@
+// rules.js (ルールエンジン) のテスト
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyMove, legalMoves, isTerminal, checkWinner, initialPosition, parsePosition, positionKey, MOVE_ERROR, WIN_REASON, VARIANTS,
+  parseHouseRules, formatHouseRules, parseHouseRulesText, STANDARD_RULES, withPlayers, seatsOf, nextTurn, dropOut, findLines
+} from "../public/rules.js";
+
+const place = (size, r, c) => ({ action: "place_from_hand", size, to: { r, c } });
+const move = (fr, fc, r, c) => ({ action: "move_on_board", from: { r: fr, c: fc }, to: { r, c } });
+
+test("applyMove は新しい局面を返し、元の局面を変更しない", () => {
+  const start = initialPosition();
+  const before = positionKey(start);
+  const result = applyMove(start, place("small", 1, 1));
+  assert.equal(result.ok, true);
+  assert.equal(positionKey(start), before);
+  assert.equal(positionKey(result.state), "//|/Bs/|//;122,222;Orange");
+  assert.equal(result.winner, null);
+  assert.equal(result.reason, null);
+});
+
+test("ルール違反の手はエラーコードで失敗する", () => {
+  const state = parsePosition("Om//|//|//;222,212;Blue");
+  assert.deepEqual(applyMove(state, place("medium", 0, 0)), { ok: false, error: MOVE_ERROR.ILLEGAL });
+  assert.deepEqual(applyMove(state, move(0, 0, 1, 1)), { ok: false, error: MOVE_ERROR.NOT_YOURS });
+  assert.deepEqual(applyMove(state, move(2, 2, 1, 1)), { ok: false, error: MOVE_ERROR.EMPTY });
+  assert.deepEqual(applyMove(state, place("huge", 1, 1)), { ok: false, error: MOVE_ERROR.BAD_MOVE });
+  assert.deepEqual(applyMove(state, place("small", 3, 0)), { ok: false, error: MOVE_ERROR.BAD_MOVE });
+  assert.deepEqual(applyMove(state, { action: "pass" }), { ok: false, error: MOVE_ERROR.BAD_MOVE });
+  assert.deepEqual(applyMove(state, null), { ok: false, error: MOVE_ERROR.BAD_MOVE });
+
+  const empty = parsePosition("//|//|//;022,222;Blue");
+  assert.deepEqual(applyMove(empty, place("small", 0, 0)), { ok: false, error: MOVE_ERROR.NO_PIECE });
+});
+
+test("大きい駒は小さい駒に被せられる", () => {
+  const state = parsePosition("Os//|//|//;222,122;Blue");
+  const result = applyMove(state, place("medium", 0, 0));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.state.board[0][0].map(p => p.owner + ":" + p.size), ["Orange:small", "Blue:medium"]);
+  assert.equal(result.state.players.Blue.pieces.medium, 1);
+});
+
+test("legalMoves は applyMove が受け付ける手をすべて返す", () => {
+  assert.equal(legalMoves(initialPosition()).length, 27);
+
+  const state = parsePosition("Bl/Om/|/Os/|//;221,112;Blue");
+  const moves = legalMoves(state);
+  for (const m of moves) assert.equal(applyMove(state, m).ok, true, JSON.stringify(m));
+  // 盤上の大きい駒は他の8マスすべてに動ける
+  assert.equal(moves.filter(m => m.action === "move_on_board").length, 8);
+  // 中の駒は小の上と空きマスに置ける (大・中の上は不可)
+  assert.equal(moves.filter(m => m.action === "place_from_hand" && m.size === "medium").length, 7);
+});
+
+test("ラインを揃えると勝ちになり、終局後は手を受け付けない", () => {
+  const state = parsePosition("Bs/Bm/|//|//;112,222;Blue");
+  const result = applyMove(state, place("large", 0, 2));
+  assert.equal(result.winner, "Blue");
+  assert.equal(result.reason, "line");
+  assert.equal(isTerminal(result.state), true);
+  assert.deepEqual(legalMoves(result.state), []);
+  assert.deepEqual(applyMove(result.state, place("small", 2, 2)), { ok: false, error: MOVE_ERROR.GAME_OVER });
+});
+
+test("isTerminal は盤上に揃ったラインがあれば終局とみなす", () => {
+  assert.equal(isTerminal(initialPosition()), false);
+  assert.equal(isTerminal(parsePosition("Os/Om/Ol|//|//;222,111;Blue")), true);
+});
+
+// ----------------- 持ち上げて現れたライン・同時に揃ったライン -----------------
+// 1行目は大の下に Orange の中、その右に Orange の小・中。2行目は Blue の中が2つ
+const LIFT = "OmBl/Os/Om|Bm/Bm/|//;201,102;Blue";
+
+test("持ち上げて現れた相手のラインを塞げなければ相手の勝ち", () => {
+  const result = applyMove(parsePosition(LIFT), move(0, 0, 2, 2));
+  assert.equal(result.winner, "Orange");
+  assert.equal(result.reason, WIN_REASON.REVEALED_LINE);
+});
+
+test("現れたラインの駒に被せて塞げば対局は続く", () => {
+  const result = applyMove(parsePosition(LIFT), move(0, 0, 0, 1));
+  assert.equal(result.ok, true);
+  assert.equal(result.winner, null);
+  assert.equal(result.state.currentTurn, "Orange");
+});
+
+test("両者のラインが同時に揃えば手番側の負け", () => {
+  const result = applyMove(parsePosition(LIFT), move(0, 0, 1, 2));
+  assert.equal(result.winner, "Orange");
+  assert.equal(result.reason, WIN_REASON.BOTH_LINES);
+  // checkWinner も直前に指した側を負けにする
+  assert.equal(checkWinner(result.state.board, "Blue"), "Orange");
+  assert.equal(checkWinner(result.state.board), null);
+});
+
+// ----------------- 4x4 のルール (gobblet) -----------------
+const GOBBLET = VARIANTS.gobblet;
+
+test("gobblet の手駒は入れ子の山なので、最初は一番大きい駒しか使えない", () => {
+  const start = initialPosition(GOBBLET);
+  assert.equal(start.board.length, 4);
+  const moves = legalMoves(start);
+  assert.equal(moves.length, 16);
+  assert.ok(moves.every(m => m.size === "xlarge"));
+  assert.deepEqual(applyMove(start, place("small", 0, 0)), { ok: false, error: MOVE_ERROR.BURIED });
+
+  // 特大を1つ使うと、その山の下の大が出てくる
+  const after = applyMove(start, place("xlarge", 0, 0)).state;
+  assert.ok(legalMoves(after, "Blue").some(m => m.action === "place_from_hand" && m.size === "large"));
+});
+
+test("gobblet では手駒で被せられるのは、相手が3つ並べている列の駒だけ", () => {
+  // Orange の小が (0,0) (0,1) (0,2) に並び、(3,3) に中
+  const state = parsePosition("Os/Os/Os/|///|///|///Om;3333,0000;Blue", GOBBLET);
+  assert.ok(state);
+  assert.equal(applyMove(state, place("xlarge", 0, 1)).ok, true);
+  assert.deepEqual(applyMove(state, place("xlarge", 3, 3)), { ok: false, error: MOVE_ERROR.NO_GOBBLE });
+});
+
+test("gobblet は4つ並べて勝ち (3つでは勝ちにならない)", () => {
+  const state = parsePosition("Bx/Bx/Bx/|///|///|///;3330,3333;Blue", GOBBLET);
+  assert.equal(isTerminal(state), false);
+  assert.equal(checkWinner(state.board, null, GOBBLET), null);
+  const result = applyMove(state, place("large", 0, 3));
+  assert.equal(result.winner, "Blue");
+  assert.equal(result.reason, WIN_REASON.LINE);
+});
+
+// ----------------- ハウスルール -----------------
+test("parseHouseRules は正しい設定だけを rules の形にする", () => {
+  assert.deepEqual(parseHouseRules({ sizes: ["small", "large"], count: 3, boardSize: 4, winLength: 3 }), {
+    variant: "custom", sizes: ["small", "large"], count: 3, boardSize: 4, winLength: 3, stacks: false, handGobble: "always"
+  });
+  // winLength を省略すると盤の一辺
+  assert.equal(parseHouseRules({ sizes: ["small", "medium"], count: 2, boardSize: 5 }).winLength, 5);
+
+  const invalid = [
+    null,
+    { sizes: "small,large", count: 2, boardSize: 3 },
+    { sizes: ["small"], count: 2, boardSize: 3 },                         // 駒が1種類
+    { sizes: ["large", "small"], count: 2, boardSize: 3 },                // 小さい順でない
+    { sizes: ["small", "huge"], count: 2, boardSize: 3 },                 // 知らない大きさ
+    { sizes: ["small", "large"], count: 0, boardSize: 3 },
+    { sizes: ["small", "large"], count: 2.5, boardSize: 3 },
+    { sizes: ["small", "large"], count: 2, boardSize: 6 },
+    { sizes: ["small", "large"], count: 2, boardSize: 3, winLength: 4 },  // 盤より長いライン
+    { sizes: ["small", "large"], count: 2, boardSize: 4, winLength: 2 },
+    { sizes: ["small", "large"], count: 2, boardSize: 3, handGobble: "never" }
+  ];
+  for (const raw of invalid) assert.equal(parseHouseRules(raw), null, JSON.stringify(raw));
+});
+
+test("ハウスルールの1行表記は読み書きで元に戻る", () => {
+  const rules = parseHouseRules({ sizes: ["small", "medium", "xlarge"], count: 2, boardSize: 5, winLength: 4, stacks: true, handGobble: "threat" });
+  assert.equal(formatHouseRules(rules), "sizes=small,medium,xlarge;count=2;board=5;win=4;stacks=1;gobble=threat");
+  assert.deepEqual(parseHouseRulesText(formatHouseRules(rules)), rules);
+  assert.equal(parseHouseRulesText("sizes=small;count=2;board=3;win=3;stacks=0;gobble=always"), null);
+  assert.equal(parseHouseRulesText(""), null);
+});
+
+test("ハウスルールの盤と勝ちの長さで手と勝ちを判定する", () => {
+  const rules = parseHouseRules({ sizes: ["small", "large"], count: 2, boardSize: 4, winLength: 3 });
+  const start = initialPosition(rules);
+  assert.equal(legalMoves(start).length, 2 * 16);
+  // 4x4 の右下の3マスでも3つ並べば勝ち
+  const state = parsePosition("///|///|///|/Bs/Bl/;11,22;Blue", rules);
+  const result = applyMove(state, place("small", 3, 3));
+  assert.equal(result.winner, "Blue");
+  assert.equal(checkWinner(result.state.board, null, rules), "Blue");
+});
+
+// ----------------- 3〜4人対局の脱落 -----------------
+const THREE = withPlayers(STANDARD_RULES, 3);
+
+test("脱落したプレイヤーの手番は飛ばす", () => {
+  const start = initialPosition(THREE);
+  assert.deepEqual(seatsOf(THREE), ["Blue", "Orange", "Green"]);
+  assert.equal(nextTurn(start, "Blue"), "Orange");
+  const dropped = dropOut(start, "Orange");
+  assert.equal(nextTurn(dropped, "Blue"), "Green");
+  assert.equal(applyMove(dropped, place("small", 0, 0)).state.currentTurn, "Green");
+  // 手番のプレイヤーが抜けたら次の人の手番になる
+  assert.equal(dropOut(start, "Blue").currentTurn, "Orange");
+  assert.equal(start.players.Blue.out, undefined);
+});
+
+test("脱落したプレイヤーのラインは勝ちにならない", () => {
+  const state = parsePosition("Gs/Gm/Gl/|///|///|///;222,222,111;Blue", THREE);
+  assert.equal(isTerminal(state), true);
+  const dropped = dropOut(state, "Green");
+  assert.equal(isTerminal(dropped), false);
+  assert.equal(checkWinner(dropped.board, null, THREE, dropped.players), null);
+  assert.deepEqual(findLines(dropped.board, THREE, dropped.players).Green, []);
+
+  const result = applyMove(dropped, place("small", 3, 3));
+  assert.equal(result.ok, true);
+  assert.equal(result.winner, null);
+  assert.equal(result.state.currentTurn, "Orange");
+});
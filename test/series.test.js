@@ -0,0 +1,100 @@
+// N番勝負 (先手の交代・色の入れ替え・過半数での決着) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, emit, nextEvent, place } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// 先手が上の段を3つ並べて勝つ
+const FIRST_WINS = [place("large", 0, 0), place("small", 2, 0), place("large", 0, 1), place("small", 2, 1), place("medium", 0, 2)];
+// 後手が上の段を3つ並べて勝つ
+const SECOND_WINS = [
+  place("small", 2, 0), place("large", 0, 0), place("small", 2, 2),
+  place("large", 0, 1), place("medium", 1, 0), place("medium", 0, 2)
+];
+
+// 色が入れ替わっても、名前で部屋を作った側 (First) か後から来た側 (Second) かが分かる
+const socketOf = (game, state, slot) => (state.players[slot].name === "First" ? game.first : game.second);
+
+// state の手番から moves を指し、終局の通知を返す
+async function play(game, state, moves) {
+  const mover = socketOf(game, state, state.currentTurn);
+  const other = mover === game.first ? game.second : game.first;
+  const over = nextEvent(game.first, "game_over");
+  for (const [i, m] of moves.entries()) {
+    const ack = await emit(i % 2 ? other : mover, "place_piece", m);
+    assert.equal(ack.ok, true, `${i + 1}手目: ${ack.error}`);
+  }
+  return over;
+}
+
+// 両者が「もう一局」を押す
+async function rematch(game) {
+  const started = nextEvent(game.first, "start_game");
+  await emit(game.first, "restart_game");
+  await emit(game.second, "restart_game");
+  return started;
+}
+
+test("先手は1局ごとに交代し、過半数を勝ったところでシリーズが終わる", async () => {
+  const game = await startGame(server, "series-alternate", { bestOf: 3 });
+  try {
+    assert.equal(game.state.currentTurn, "Blue");
+    const first = await play(game, game.state, FIRST_WINS);
+    assert.equal(first.winner, "Blue");
+    assert.deepEqual(first.state.series.score, { Blue: 1, Orange: 0 });
+    assert.equal(first.state.series.result, null);
+
+    const second = await rematch(game);
+    assert.equal(second.currentTurn, "Orange");
+    const result = await play(game, second, SECOND_WINS);
+    assert.equal(result.winner, "Blue");
+    // 3番勝負は2勝で決まり、3局目は指さない
+    assert.deepEqual(result.state.series.score, { Blue: 2, Orange: 0 });
+    assert.equal(result.state.series.result, "Blue");
+    assert.deepEqual(result.state.series.games.map(g => [g.first, g.winner]), [["Blue", "Blue"], ["Orange", "Blue"]]);
+
+    // 決着したあとの再戦は新しいシリーズ
+    const next = await rematch(game);
+    assert.equal(next.currentTurn, "Blue");
+    assert.deepEqual(next.series.score, { Blue: 0, Orange: 0 });
+    assert.deepEqual(next.series.games, []);
+  } finally {
+    game.close();
+  }
+});
+
+test("swapColors では席ごと色が入れ替わり、勝ち数もその人に付いていく", async () => {
+  const game = await startGame(server, "series-swap", { bestOf: 3, swapColors: true });
+  try {
+    await play(game, game.state, FIRST_WINS); // First (Blue) の勝ち
+
+    const assigned = nextEvent(game.first, "assign");
+    const second = await rematch(game);
+    assert.deepEqual(await assigned, { slot: "Orange" });
+    assert.equal(second.players.Blue.name, "Second");
+    assert.equal(second.players.Orange.name, "First");
+    assert.equal(second.players.Orange.seriesWins, 1);
+    assert.deepEqual(second.series.score, { Blue: 0, Orange: 1 });
+    assert.equal(second.currentTurn, "Blue"); // 入れ替えたときは同じ色 (Blue) が先手
+    assert.equal((await play(game, second, FIRST_WINS)).winner, "Blue"); // Second の勝ち
+
+    const third = await rematch(game);
+    assert.equal(third.players.Blue.name, "First");
+    assert.deepEqual(third.series.score, { Blue: 1, Orange: 1 });
+    const result = await play(game, third, FIRST_WINS);
+    assert.equal(result.state.series.result, "Blue");
+    assert.equal(result.state.players.Blue.name, "First");
+    assert.equal(result.state.players.Blue.seriesWins, 2);
+  } finally {
+    game.close();
+  }
+});
@@ -0,0 +1,70 @@
+// solver.js (局面評価) のテスト
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyMove, legalMoves, parsePosition, initialPosition, parseHouseRules, VARIANTS } from "../public/rules.js";
+import { analyze, analyzePosition } from "../server/solver.js";
+
+const QUICK = { timeLimitMs: 300 };
+
+test("1手で勝てる局面は win / distance 1 で、最善手はすべて勝ちの手", async () => {
+  const state = parsePosition("Bs/Bm/|Os/Om/|//;112,112;Blue");
+  const result = await analyze(state, QUICK);
+  assert.equal(result.result, "win");
+  assert.equal(result.distance, 1);
+  assert.equal(result.exact, true);
+  assert.ok(result.bestMoves.length > 0);
+  for (const move of result.bestMoves) assert.equal(applyMove(state, move).winner, "Blue");
+});
+
+test("どう指しても次に負ける局面は loss / distance 2", async () => {
+  const state = parsePosition("BmBl//|Bl/Os/|Ol//Os;210,021;Blue");
+  const result = await analyze(state, QUICK);
+  assert.equal(result.result, "loss");
+  assert.equal(result.distance, 2);
+  // 読み切りの結果を直接確かめる: Blue のどの手にも Orange の勝ちの応手がある
+  for (const move of legalMoves(state)) {
+    const after = applyMove(state, move);
+    const lost = after.winner === "Orange"
+      || legalMoves(after.state).some(reply => applyMove(after.state, reply).winner === "Orange");
+    assert.ok(lost, JSON.stringify(move));
+  }
+});
+
+test("読み切れない局面は draw ではなく unknown", async () => {
+  const result = await analyze(initialPosition(), { horizon: 3, timeLimitMs: 300 });
+  assert.equal(result.result, "unknown");
+  assert.equal(result.distance, null);
+  assert.equal(result.exact, false);
+  assert.equal(result.moves.length, 27);
+  assert.ok(result.moves.every(m => m.result === "unknown"));
+});
+
+test("終局している局面は terminal", async () => {
+  const result = await analyze(parsePosition("Os/Om/Ol|//|//;222,111;Blue"), QUICK);
+  assert.equal(result.result, "terminal");
+  assert.equal(result.winner, "Orange");
+});
+
+test("analyzePosition は読めない文字列に null を返す", async () => {
+  assert.equal(await analyzePosition("not a position"), null);
+  assert.equal((await analyzePosition("Bs/Bm/|Os/Om/|//;112,112;Blue", QUICK)).result, "win");
+});
+
+test("局面のルールで勝ちを判定する (4x4 では3つ並んでも終局ではない)", async () => {
+  const state = parsePosition("Bx/Bx/Bx/|///|///|///;3330,3333;Blue", VARIANTS.gobblet);
+  const result = await analyze(state, QUICK);
+  assert.equal(result.result, "win");
+  assert.equal(result.distance, 1);
+  for (const move of result.bestMoves) assert.equal(applyMove(state, move).winner, "Blue");
+});
+
+test("ハウスルールの局面もそのルールで読む", async () => {
+  const rules = parseHouseRules({ sizes: ["small", "large"], count: 2, boardSize: 4, winLength: 3 });
+  const threat = await analyze(parsePosition("///|/Bs/Bl/|///|///;11,22;Blue", rules), QUICK);
+  assert.equal(threat.result, "win");
+  assert.equal(threat.distance, 1);
+  // 標準ルールのラインには入らない右下の3マスで Blue の勝ちが決まっている
+  const over = await analyze(parsePosition("///|///|///|/Bs/Bl/Bs;01,22;Orange", rules), QUICK);
+  assert.equal(over.result, "terminal");
+  assert.equal(over.winner, "Blue");
+});
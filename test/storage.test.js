@@ -0,0 +1,73 @@
+// 保存先 (ファイル) と、再起動をまたいだ部屋の復元のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileStorage } from "../server/storage.js";
+import { startServer, startGame, playMoves, connect, emit, nextEvent, place } from "./helpers.js";
+
+let dir;
+
+before(async () => {
+  dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "gobblet-storage-"));
+});
+
+after(async () => {
+  await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test("FileStorage: 保存・読み込み・削除", async () => {
+  const storage = new FileStorage(path.join(dir, "roundtrip"));
+  await storage.save("room/1", { board: [[1, 2]], name: "あ" });
+  await storage.save("room/1", { board: [[3]], name: "い" }); // 同じ ID は後の保存が残る
+  await storage.save("room-2", { n: 2 });
+  await storage.flush();
+
+  assert.deepEqual(await storage.load("room/1"), { board: [[3]], name: "い" });
+  assert.deepEqual(await storage.loadAll(), { "room/1": { board: [[3]], name: "い" }, "room-2": { n: 2 } });
+
+  await storage.remove("room/1");
+  assert.equal(await storage.load("room/1"), null);
+  assert.deepEqual(await storage.loadAll(), { "room-2": { n: 2 } });
+});
+
+test("FileStorage: loadAll は書きかけの .tmp と壊れたファイルを読み飛ばす", async () => {
+  const storage = new FileStorage(path.join(dir, "leftovers"));
+  await storage.save("ok", { fine: true });
+  await fs.promises.writeFile(path.join(storage.dir, "ok.json.tmp"), "{\"fine\":");
+  await fs.promises.writeFile(path.join(storage.dir, "broken.json"), "{\"board\": [");
+
+  assert.deepEqual(await storage.loadAll(), { ok: { fine: true } });
+  assert.equal(await storage.load("broken"), null);
+});
+
+test("SIGTERM で止めて起動し直しても、トークンで同じ席・同じ局面に戻れる", async () => {
+  const env = { STORAGE: "file", STORAGE_DIR: path.join(dir, "server") };
+  let server = await startServer(env);
+  const game = await startGame(server, "restart");
+  try {
+    await playMoves(game, [place("large", 1, 1)]);
+  } finally {
+    game.close();
+  }
+  await server.close(); // helpers の close は SIGTERM で止める
+
+  server = await startServer(env);
+  const back = connect(server);
+  try {
+    const synced = nextEvent(back, "update_state");
+    const joined = await emit(back, "join", { room: "restart", token: game.secondJoin.token });
+    assert.equal(joined.resumed, true);
+    assert.equal(joined.slot, "Orange");
+    const state = await synced;
+    assert.equal(state.moveCount, 1);
+    assert.equal(state.currentTurn, "Orange");
+    assert.equal(state.players.Blue.pieces.large, 1);
+    assert.equal(state.players.Blue.name, "First");
+    assert.deepEqual(await emit(back, "place_piece", place("small", 0, 0)), { ok: true });
+  } finally {
+    back.close();
+    await server.close();
+  }
+});
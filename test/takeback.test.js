@@ -0,0 +1,101 @@
+// 待った (1手・2手の巻き戻し、回数の制限、了承できる人) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, emit, nextEvent, place } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// 巻き戻しで戻るべき部分 (盤面・両者の手駒・手番)
+const position = state => ({
+  board: state.board,
+  Blue: state.players.Blue.pieces,
+  Orange: state.players.Orange.pieces,
+  currentTurn: state.currentTurn
+});
+
+// moveCount 手目のあとの状態を受け取る
+function stateAt(socket, moveCount) {
+  return new Promise(resolve => {
+    socket.on("update_state", function listener(state) {
+      if (state.moveCount !== moveCount) return;
+      socket.off("update_state", listener);
+      resolve(state);
+    });
+  });
+}
+
+// requester が待ったを申し込み、相手が了承したあとの状態を返す
+async function takeback(requester, responder) {
+  assert.deepEqual(await emit(requester, "request_undo"), { ok: true });
+  const undone = nextEvent(requester, "update_state");
+  assert.deepEqual(await emit(responder, "respond_undo", { accept: true }), { ok: true });
+  return undone;
+}
+
+test("相手がまだ指していなければ1手戻し、使える回数を使い切ると申し込めない", async () => {
+  const game = await startGame(server, "undo-one", { maxTakebacks: 1 });
+  try {
+    await playMoves(game, [place("large", 1, 1)]);
+    const state = await takeback(game.first, game.second);
+    assert.deepEqual(position(state), position(game.state));
+    assert.equal(state.moveCount, 0);
+
+    await playMoves(game, [place("medium", 1, 1)]);
+    assert.deepEqual(await emit(game.first, "request_undo"), { error: "no_takebacks_left" });
+  } finally {
+    game.close();
+  }
+});
+
+test("相手が指したあとなら2手戻して自分の手番に戻る", async () => {
+  const game = await startGame(server, "undo-two");
+  try {
+    const reached = stateAt(game.first, 2);
+    await playMoves(game, [place("large", 1, 1), place("small", 0, 0)]);
+    const before = await reached;
+    await playMoves(game, [place("medium", 2, 2), place("medium", 0, 2)]);
+
+    const state = await takeback(game.first, game.second);
+    assert.deepEqual(position(state), position(before));
+    assert.equal(state.currentTurn, "Blue");
+    assert.equal(state.moveCount, 2);
+    assert.equal(state.players.Blue.takebacksUsed, 1);
+  } finally {
+    game.close();
+  }
+});
+
+test("待ったを了承・拒否できるのは相手だけ", async () => {
+  const game = await startGame(server, "undo-consent");
+  try {
+    await playMoves(game, [place("large", 1, 1)]);
+    assert.deepEqual(await emit(game.first, "request_undo"), { ok: true });
+    assert.deepEqual(await emit(game.first, "request_undo"), { error: "already_requested" });
+    assert.deepEqual(await emit(game.first, "respond_undo", { accept: true }), { error: "not_your_request" });
+
+    const refused = nextEvent(game.first, "undo_result");
+    assert.deepEqual(await emit(game.second, "respond_undo", { accept: false }), { ok: true });
+    assert.deepEqual(await refused, { slot: "Blue", accepted: false });
+    assert.deepEqual(await emit(game.second, "respond_undo", { accept: true }), { error: "no_request" });
+  } finally {
+    game.close();
+  }
+});
+
+test("maxTakebacks が 0 の部屋では待ったできない", async () => {
+  const game = await startGame(server, "undo-off", { maxTakebacks: 0 });
+  try {
+    await playMoves(game, [place("large", 1, 1)]);
+    assert.deepEqual(await emit(game.first, "request_undo"), { error: "takebacks_disabled" });
+  } finally {
+    game.close();
+  }
+});
@@ -0,0 +1,75 @@
+// チーム戦 (1色を複数人で受け持ち、投票で手を決める) のテスト
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, emit, nextEvent } from "./helpers.js";
+
+const place = (size, r, c) => ({ action: "place_from_hand", size, to: { r, c } });
+
+let server;
+let sockets;
+let blue;   // Blue の席の人 (部屋を作る・先手)
+let orange; // Orange の席の人
+let blueMate;
+let orangeMate;
+const teamVotes = new Map(); // socket -> 届いた team_vote
+
+before(async () => {
+  server = await startServer();
+  sockets = [blue, orange, blueMate, orangeMate] = [connect(server), connect(server), connect(server), connect(server)];
+  for (const socket of sockets) {
+    teamVotes.set(socket, []);
+    socket.on("team_vote", vote => teamVotes.get(socket).push(vote));
+  }
+  const started = nextEvent(blue, "start_game");
+  await emit(blue, "join", { room: "teams", create: true, name: "A", options: { teams: true, teamVoteMs: 60000, firstMove: "creator" } });
+  await emit(orange, "join", { room: "teams", name: "B" });
+  await started;
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server.close();
+});
+
+test("席が埋まった後に入った人は、指定した色のチームのメンバーになる", async () => {
+  const joinedBlue = await emit(blueMate, "join", { room: "teams", name: "C", team: "Blue" });
+  const joinedOrange = await emit(orangeMate, "join", { room: "teams", name: "D", team: "Orange" });
+  assert.equal(joinedBlue.slot, "Blue");
+  assert.equal(joinedBlue.member, true);
+  assert.equal(joinedOrange.slot, "Orange");
+  assert.equal(joinedOrange.member, true);
+});
+
+test("手番のチームの案は過半数の票が揃ったときに指される", async () => {
+  assert.deepEqual(await emit(orange, "place_piece", place("small", 0, 0)), { error: "not_your_turn" });
+
+  // 2人のうち1票ではまだ決まらない
+  const proposed = await emit(blue, "place_piece", place("small", 0, 0));
+  assert.deepEqual(proposed, { ok: true, proposalId: 1, committed: false });
+  const seen = await new Promise(resolve => setTimeout(() => resolve(teamVotes.get(blueMate).at(-1)), 100));
+  assert.equal(seen.slot, "Blue");
+  assert.deepEqual(seen.proposals.map(p => [p.notation, p.votes]), [["S@a3", 1]]);
+  // 相手チームには案が届かない
+  assert.ok(teamVotes.get(orangeMate).every(vote => vote === null || vote.slot !== "Blue"));
+
+  const updated = nextEvent(orange, "update_state");
+  assert.deepEqual(await emit(blueMate, "vote_move", { proposalId: 1 }), { ok: true, proposalId: 1, committed: true });
+  const state = await updated;
+  assert.equal(state.currentTurn, "Orange");
+  assert.deepEqual(state.board[0][0].map(p => p.owner), ["Blue"]);
+});
+
+test("1人1票で、別の案に入れ直すと前の票は消える", async () => {
+  assert.equal((await emit(orange, "place_piece", place("medium", 2, 2))).proposalId, 1);
+  assert.equal((await emit(orangeMate, "place_piece", place("large", 1, 1))).proposalId, 2);
+  assert.deepEqual(await emit(orange, "vote_move", { proposalId: 9 }), { error: "no_proposal" });
+  assert.deepEqual(await emit(blue, "vote_move", { proposalId: 1 }), { error: "no_vote" });
+
+  // Orange の2人がそろって案1 (M@c1) に入れると指される
+  const updated = nextEvent(blue, "update_state");
+  assert.equal((await emit(orangeMate, "vote_move", { proposalId: 1 })).committed, true);
+  const state = await updated;
+  assert.equal(state.currentTurn, "Blue");
+  assert.deepEqual(state.board[2][2].map(p => p.size), ["medium"]);
+  assert.deepEqual(state.board[1][1], []);
+});